@@ -0,0 +1,154 @@
+import * as THREE from 'three';
+
+/**
+ * Opacity the frames fade to with their distance to the current frame.
+ */
+const MIN_OPACITY = 0.15;
+
+
+/**
+ * Change the opacity of all clouds of a frame.
+ */
+function setOpacity(points, opacity) {
+    points.traverse((object) => {
+        if(undefined !== object.material) {
+            object.material.opacity = opacity;
+            object.material.transparent = opacity < 1;
+        }
+    });
+}
+
+
+/**
+ * Shows the frames around the current frame together with it.
+ *
+ * Fusing several sweeps makes sparse point clouds denser and shows the
+ * trails of moving objects. The frames are registered by their poses, see
+ * `SceneTransform`; without poses they are simply overlaid.
+ *
+ * The frames are put into a group of their own while they are shown here,
+ * so the current frame is the only one with the name of the point clouds of
+ * the player. They fade with their distance to the current frame. The
+ * sequence is not treated as a loop, so the last frames are not fused with
+ * the first ones.
+ */
+export class FrameAccumulation {
+    /**
+     * Set up the accumulation, turned off.
+     *
+     * :param name: name of the point clouds of the player
+     */
+    constructor(name) {
+        this.group = new THREE.Group();
+        this.setTarget(name);
+
+        this.previous = 0;
+        this.next = 0;
+        this.fade = true;
+    }
+
+
+    /**
+     * Change the name of the point clouds, see `setTarget` of the `Player`.
+     */
+    setTarget(name) {
+        this.clear();
+        this.name = name;
+        this.group.name = name + "_accumulated";
+    }
+
+
+    /**
+     * Change the number of frames shown.
+     *
+     * :param previous: number of frames before the current frame
+     * :param next: number of frames after the current frame
+     * :param fade: whether older frames are more transparent
+     */
+    setWindow(previous, next, fade=this.fade) {
+        this.previous = Math.max(0, Math.round(previous));
+        this.next = Math.max(0, Math.round(next));
+        this.fade = fade;
+    }
+
+
+    /**
+     * Whether any frames besides the current one are shown.
+     */
+    isEnabled() {
+        return 0 < this.previous || 0 < this.next;
+    }
+
+
+    /**
+     * Whether a frame is shown together with the current frame.
+     */
+    covers(current, index) {
+        const offset = index - current;
+
+        return 0 != offset && -this.previous <= offset && offset <= this.next;
+    }
+
+
+    /**
+     * Opacity of a frame by its distance to the current frame.
+     */
+    opacity(offset) {
+        const range = offset < 0 ? this.previous : this.next;
+        if(!this.fade || 0 == range) {
+            return 1;
+        }
+
+        return 1 - (1 - MIN_OPACITY) * Math.abs(offset) / (range + 1);
+    }
+
+
+    /**
+     * Put the loaded frames around the current frame into the group.
+     *
+     * The group itself is added to the scene by the player.
+     *
+     * :param frames: the frames of the player, sorted by their timestamps
+     * :param current: index of the current frame
+     */
+    show(frames, current) {
+        this.clear();
+
+        for(var offset = -this.previous; offset <= this.next; ++offset) {
+            const frame = frames[current + offset];
+            if(0 == offset || undefined === frame || undefined === frame.points) {
+                continue;
+            }
+
+            const points = frame.points;
+            points.name = this.group.name + "_" + offset;
+            setOpacity(points, this.opacity(offset));
+            this.group.add(points);
+        }
+    }
+
+
+    /**
+     * Take a frame out of the group, e.g. before it is disposed.
+     */
+    release(points) {
+        if(points.parent !== this.group) {
+            return;
+        }
+
+        this.group.remove(points);
+        points.name = this.name;
+        setOpacity(points, 1);
+    }
+
+
+    /**
+     * Take all frames out of the group.
+     */
+    clear() {
+        for(const points of this.group.children.slice()) {
+            this.release(points);
+        }
+    }
+}
+
@@ -0,0 +1,269 @@
+import * as THREE from 'three';
+
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+
+const DEFAULT_BOX_SIZE = [4.5, 1.9, 1.6];
+const PICK_THRESHOLD = 0.2;
+const CLICK_TOLERANCE = 4;
+
+/**
+ * Modes of the gizmo and the matching modes of `TransformControls`.
+ */
+export const EDIT_MODES = {
+    move: "translate",
+    rotate: "rotate",
+    resize: "scale"
+};
+
+
+/**
+ * Edits the annotations of the current frame.
+ *
+ * A box is selected by clicking it. The selected box can be moved, rotated
+ * around its vertical axis and resized with a gizmo. All changes are written
+ * directly into the annotations of the frame, so they are kept when the
+ * player moves on to other frames.
+ */
+export class AnnotationEditor {
+    /**
+     * Set up the editor.
+     *
+     * The editor is disabled initially.
+     *
+     * :param renderer: the `PointCloudRenderer` showing the annotations
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.overlay = renderer.annotations;
+        this.enabled = false;
+        this.selection_listeners = [];
+        this.pointer_start = undefined;
+
+        const dom_element = renderer.renderer.domElement;
+        this.gizmo = new TransformControls(renderer.camera, dom_element);
+        this.gizmo.setSpace("local");
+        this.gizmo.addEventListener("change", () => renderer.render());
+        this.gizmo.addEventListener("objectChange", this.onObjectChange.bind(this));
+        this.gizmo.addEventListener("dragging-changed", this.onDraggingChanged.bind(this));
+
+        // newer versions of three.js separate the controls from the helper
+        this.gizmo_helper = this.gizmo.getHelper ? this.gizmo.getHelper() : this.gizmo;
+
+        this.overlay.update_listener = this.onOverlayUpdate.bind(this);
+
+        dom_element.addEventListener("pointerdown", this.onPointerDown.bind(this));
+        dom_element.addEventListener("click", this.onClick.bind(this));
+
+        this.setMode("move");
+    }
+
+
+    /**
+     * Register a function which is called when the selection changes.
+     *
+     * The listener is called with the selected annotation or `undefined`.
+     */
+    addSelectionChangeListener(listener) {
+        this.selection_listeners.push(listener);
+    }
+
+
+    /**
+     * Turn editing on or off.
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+
+        if(enabled) {
+            this.renderer.scene.add(this.gizmo_helper);
+        } else {
+            this.overlay.select(undefined);
+            this.renderer.scene.remove(this.gizmo_helper);
+        }
+
+        this.renderer.render();
+    }
+
+
+    /**
+     * Select what the gizmo does, see `EDIT_MODES`.
+     *
+     * Boxes only rotate around their vertical axis.
+     */
+    setMode(mode) {
+        if(!(mode in EDIT_MODES)) {
+            throw new Error("Unknown edit mode " + mode + ".");
+        }
+
+        const rotate = "rotate" == mode;
+        this.gizmo.setMode(EDIT_MODES[mode]);
+        this.gizmo.showX = !rotate;
+        this.gizmo.showY = !rotate;
+    }
+
+
+    onPointerDown(event) {
+        this.pointer_start = {x: event.clientX, y: event.clientY};
+    }
+
+
+    /**
+     * Select the box under the pointer.
+     *
+     * Clicks which end a camera movement or hit the gizmo are ignored.
+     */
+    onClick(event) {
+        if(!this.enabled || this.gizmo.dragging || this.gizmo.axis || undefined === this.pointer_start) {
+            return;
+        }
+
+        const moved = Math.hypot(
+            event.clientX - this.pointer_start.x,
+            event.clientY - this.pointer_start.y);
+        if(moved > CLICK_TOLERANCE) {
+            return;
+        }
+
+        this.overlay.select(this.pick(event));
+        this.renderer.render();
+    }
+
+
+    /**
+     * Index of the annotation under the pointer or `undefined`.
+     */
+    pick(event) {
+        const bounds = this.renderer.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            2 * (event.clientX - bounds.left) / bounds.width - 1,
+            1 - 2 * (event.clientY - bounds.top) / bounds.height);
+
+        const raycaster = new THREE.Raycaster();
+        raycaster.params.Line.threshold = PICK_THRESHOLD;
+        raycaster.setFromCamera(pointer, this.renderer.camera);
+
+        const boxes = Array.from(this.overlay.boxes.values());
+        const hits = raycaster.intersectObjects(boxes, false);
+
+        return 0 < hits.length ? hits[0].object.userData.index : undefined;
+    }
+
+
+    /**
+     * Attach the gizmo to the selected box whenever the boxes are redrawn.
+     */
+    onOverlayUpdate() {
+        const box = this.enabled ? this.overlay.selectedBox() : undefined;
+
+        if(undefined === box) {
+            this.gizmo.detach();
+        } else {
+            this.gizmo.attach(box);
+        }
+
+        const annotation = this.overlay.selectedAnnotation();
+        for(const listener of this.selection_listeners) {
+            listener(annotation);
+        }
+    }
+
+
+    /**
+     * Write the state of the box back into the annotation while dragging.
+     */
+    onObjectChange() {
+        const box = this.gizmo.object;
+        const annotation = this.overlay.annotations[box.userData.index];
+
+        annotation.center = box.position.toArray();
+        annotation.size = box.scale.toArray().map(Math.abs);
+        annotation.yaw = box.rotation.z;
+    }
+
+
+    /**
+     * The camera must not move while the gizmo is dragged.
+     *
+     * After dragging, the boxes are redrawn so the label follows the box.
+     */
+    onDraggingChanged(event) {
+        this.renderer.controls.enabled = !event.value;
+
+        if(!event.value) {
+            this.overlay.update();
+            this.renderer.render();
+        }
+    }
+
+
+    /**
+     * Add a new box at the center of the view and select it.
+     *
+     * :param name: class of the box
+     * :param track_id: track identifier of the box
+     */
+    createAnnotation(name, track_id=undefined) {
+        const inverse = new THREE.Matrix4().copy(this.overlay.matrix).invert();
+        const center = this.renderer.controls.target.clone().applyMatrix4(inverse);
+
+        this.overlay.annotations.push({
+            center: center.toArray(),
+            size: Array.from(DEFAULT_BOX_SIZE),
+            yaw: 0,
+            class: name,
+            track_id: track_id,
+            score: undefined
+        });
+
+        this.overlay.select(this.overlay.annotations.length - 1);
+        this.renderer.render();
+    }
+
+
+    /**
+     * Remove the selected box.
+     */
+    deleteSelected() {
+        if(undefined === this.overlay.selected) {
+            return;
+        }
+
+        this.overlay.annotations.splice(this.overlay.selected, 1);
+        this.overlay.select(undefined);
+        this.renderer.render();
+    }
+
+
+    /**
+     * Change the class or the track identifier of the selected box.
+     *
+     * :param changes: object with a new `class` and/or `track_id`
+     */
+    updateSelected(changes) {
+        const annotation = this.overlay.selectedAnnotation();
+        if(undefined === annotation) {
+            return;
+        }
+
+        if("class" in changes) {
+            annotation.class = changes.class;
+        }
+
+        if("track_id" in changes) {
+            annotation.track_id = changes.track_id;
+        }
+
+        this.overlay.update();
+        this.renderer.render();
+    }
+
+
+    /**
+     * Free the gizmo.
+     */
+    dispose() {
+        this.setEnabled(false);
+        this.overlay.update_listener = undefined;
+        this.gizmo.dispose();
+    }
+}
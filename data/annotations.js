@@ -0,0 +1,409 @@
+import * as THREE from 'three';
+
+import { createLabelMaterial } from './labels.js';
+
+const ANNOTATIONS_NAME = "annotations";
+const LABEL_HEIGHT = 0.4;
+const SELECTION_COLOR = "#ffff00";
+
+/**
+ * Colors for the boxes.
+ *
+ * Classes and track identifiers are hashed into this palette, so an object
+ * keeps its color in all frames.
+ */
+const PALETTE = [
+    "#1f77b4", "#ff7f0e", "#2ca02c", "#d62728", "#9467bd",
+    "#8c564b", "#e377c2", "#bcbd22", "#17becf", "#ffffff"];
+
+/**
+ * What the color of a box depends on.
+ */
+export const ANNOTATION_COLOR_MODES = ["class", "track"];
+
+
+/**
+ * Stable hash of a class name or track identifier.
+ */
+function hash(value) {
+    const text = String(value);
+    var result = 5381;
+
+    for(var index = 0; index < text.length; ++index) {
+        result = ((result * 33) ^ text.charCodeAt(index)) >>> 0;
+    }
+
+    return result;
+}
+
+
+/**
+ * Color of a class or track identifier.
+ */
+export function annotationColor(value) {
+    return PALETTE[hash(value) % PALETTE.length];
+}
+
+
+/**
+ * Read an annotation from the configuration of a frame.
+ *
+ * Boxes are given in the coordinates of the sensor, just like the points:
+ *
+ *     annotations:
+ *     - center: [10.2, -1.5, 0.8]
+ *       size: [4.5, 1.9, 1.6]
+ *       yaw: 0.3
+ *       class: car
+ *       track_id: 12
+ *       score: 0.93
+ *
+ * `size` is the length, width and height of the box. `yaw` is the rotation
+ * around the Z axis in radians. `track_id` and `score` are optional.
+ */
+export function parseAnnotation(config) {
+    return {
+        center: config["center"] || [0, 0, 0],
+        size: config["size"] || [1, 1, 1],
+        yaw: config["yaw"] || 0,
+        class: config["class"] || "unknown",
+        track_id: config["track_id"],
+        score: config["score"]
+    };
+}
+
+
+/**
+ * Convert an annotation back into the layout of the scene configuration.
+ *
+ * Optional values which are not set are left out.
+ */
+export function serializeAnnotation(annotation) {
+    var config = {
+        center: Array.from(annotation.center),
+        size: Array.from(annotation.size),
+        yaw: annotation.yaw,
+        class: annotation.class
+    };
+
+    if(undefined !== annotation.track_id) {
+        config["track_id"] = annotation.track_id;
+    }
+
+    if(undefined !== annotation.score) {
+        config["score"] = annotation.score;
+    }
+
+    return config;
+}
+
+
+/**
+ * Move an annotation from the coordinates of one frame into another one.
+ *
+ * Objects which stand still in the world keep their place, even if the
+ * sensor moved between the frames. The boxes only rotate around their Z
+ * axis, so only the yaw of the relative rotation is applied.
+ *
+ * :param annotation: the annotation in the coordinates of the source frame
+ * :param source: matrix from the source frame into world coordinates
+ * :param target: matrix from the target frame into world coordinates
+ * :returns: a new annotation in the coordinates of the target frame
+ */
+export function transferAnnotation(annotation, source, target) {
+    const relative = new THREE.Matrix4().copy(target).invert().multiply(source);
+    const center = new THREE.Vector3(...annotation.center).applyMatrix4(relative);
+    const elements = relative.elements;
+
+    return {
+        center: center.toArray(),
+        size: Array.from(annotation.size),
+        yaw: annotation.yaw + Math.atan2(elements[1], elements[0]),
+        class: annotation.class,
+        track_id: annotation.track_id,
+        score: annotation.score
+    };
+}
+
+
+/**
+ * Geometry of a unit box with its edges and a line pointing forwards.
+ */
+function createBoxGeometry() {
+    const edges = new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1));
+    const positions = Array.from(edges.getAttribute("position").array);
+
+    // heading of the box
+    positions.push(0, 0, 0, 0.5, 0, 0);
+    edges.dispose();
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+
+    return geometry;
+}
+
+
+/**
+ * Draws 3D bounding boxes on top of the point cloud.
+ *
+ * The boxes of a frame are drawn as wireframes with a label. They are
+ * transformed with the same matrix as the point cloud of the frame, so they
+ * line up with the points. Classes can be hidden one by one.
+ */
+export class AnnotationOverlay {
+    constructor(scene) {
+        this.group = new THREE.Group();
+        this.group.name = ANNOTATIONS_NAME;
+        this.group.matrixAutoUpdate = false;
+        scene.add(this.group);
+
+        this.box_geometry = createBoxGeometry();
+        this.line_materials = new Map();
+        this.label_materials = new Map();
+
+        this.visible = true;
+        this.hidden_classes = new Set();
+        this.color_mode = "class";
+        this.show_labels = true;
+
+        this.annotations = [];
+        this.matrix = new THREE.Matrix4();
+        this.boxes = new Map();
+        this.selected = undefined;
+        this.update_listener = undefined;
+    }
+
+
+    /**
+     * Show the boxes of a frame.
+     *
+     * :param annotations: the annotations of the frame, see
+     *     `parseAnnotation`
+     * :param matrix: the transformation applied to the point cloud of the
+     *     frame
+     */
+    show(annotations, matrix) {
+        this.annotations = annotations;
+        this.matrix = matrix || new THREE.Matrix4();
+        this.selected = undefined;
+        this.update();
+    }
+
+
+    /**
+     * Remove all boxes.
+     */
+    clear() {
+        this.show([], undefined);
+    }
+
+
+    /**
+     * Remove all boxes and free the labels when the scene changes.
+     */
+    reset() {
+        this.clear();
+
+        for(const material of this.label_materials.values()) {
+            material.map.dispose();
+            material.dispose();
+        }
+
+        this.label_materials.clear();
+    }
+
+
+    /**
+     * Draw the boxes again, e.g. after a class was hidden.
+     */
+    update() {
+        this.group.clear();
+        this.group.matrix.copy(this.matrix);
+        this.group.matrixWorldNeedsUpdate = true;
+        this.boxes.clear();
+
+        if(this.visible) {
+            for(var index = 0; index < this.annotations.length; ++index) {
+                const annotation = this.annotations[index];
+                if(this.hidden_classes.has(annotation.class)) {
+                    continue;
+                }
+
+                const box = this.createBox(annotation, index == this.selected);
+                box.userData.index = index;
+
+                this.boxes.set(index, box);
+                this.group.add(box);
+
+                if(this.show_labels) {
+                    this.group.add(this.createLabel(annotation));
+                }
+            }
+        }
+
+        if(undefined !== this.update_listener) {
+            this.update_listener();
+        }
+    }
+
+
+    /**
+     * Highlight an annotation.
+     *
+     * :param index: index of the annotation in the current frame or
+     *     `undefined` to clear the selection
+     */
+    select(index) {
+        this.selected = index;
+        this.update();
+    }
+
+
+    /**
+     * The selected annotation or `undefined`.
+     */
+    selectedAnnotation() {
+        return undefined === this.selected ? undefined : this.annotations[this.selected];
+    }
+
+
+    /**
+     * The wireframe of the selected annotation or `undefined` if it is not
+     * visible.
+     */
+    selectedBox() {
+        return this.boxes.get(this.selected);
+    }
+
+
+    /**
+     * Show or hide all boxes.
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.update();
+    }
+
+
+    /**
+     * Show or hide the boxes of a class.
+     */
+    setClassVisible(name, visible) {
+        if(visible) {
+            this.hidden_classes.delete(name);
+        } else {
+            this.hidden_classes.add(name);
+        }
+
+        this.update();
+    }
+
+
+    /**
+     * Color the boxes by class or by track, see `ANNOTATION_COLOR_MODES`.
+     */
+    setColorMode(mode) {
+        if(!ANNOTATION_COLOR_MODES.includes(mode)) {
+            throw new Error("Unknown color mode " + mode + ".");
+        }
+
+        this.color_mode = mode;
+        this.update();
+    }
+
+
+    /**
+     * Color of a box.
+     *
+     * Boxes without a track identifier are colored by class.
+     */
+    colorOf(annotation) {
+        if("track" == this.color_mode && undefined !== annotation.track_id) {
+            return annotationColor("track" + annotation.track_id);
+        }
+
+        return annotationColor(annotation.class);
+    }
+
+
+    /**
+     * Create the wireframe of a box.
+     */
+    createBox(annotation, selected=false) {
+        const color = selected ? SELECTION_COLOR : this.colorOf(annotation);
+        if(!this.line_materials.has(color)) {
+            this.line_materials.set(color, new THREE.LineBasicMaterial({color: color}));
+        }
+
+        const box = new THREE.LineSegments(this.box_geometry, this.line_materials.get(color));
+        box.position.set(...annotation.center);
+        box.scale.set(...annotation.size);
+        box.rotation.set(0, 0, annotation.yaw);
+
+        return box;
+    }
+
+
+    /**
+     * Text of the label of a box.
+     */
+    labelText(annotation) {
+        var text = annotation.class;
+
+        if(undefined !== annotation.track_id) {
+            text += " #" + annotation.track_id;
+        }
+
+        if(undefined !== annotation.score) {
+            text += " " + Number(annotation.score).toFixed(2);
+        }
+
+        return text;
+    }
+
+
+    /**
+     * Create the label above a box.
+     *
+     * Labels are sprites, so they always face the camera. The materials are
+     * shared by all labels with the same text.
+     */
+    createLabel(annotation) {
+        const text = this.labelText(annotation);
+        const color = this.colorOf(annotation);
+        const key = color + text;
+
+        if(!this.label_materials.has(key)) {
+            this.label_materials.set(key, createLabelMaterial(text, color));
+        }
+
+        const material = this.label_materials.get(key);
+        const label = new THREE.Sprite(material);
+        const aspect = material.map.image.width / material.map.image.height;
+
+        label.position.set(
+            annotation.center[0],
+            annotation.center[1],
+            annotation.center[2] + annotation.size[2] / 2 + LABEL_HEIGHT);
+        label.scale.set(LABEL_HEIGHT * aspect, LABEL_HEIGHT, 1);
+
+        return label;
+    }
+
+
+    /**
+     * Free all GPU resources of the overlay.
+     */
+    dispose() {
+        this.reset();
+        this.box_geometry.dispose();
+
+        for(const material of this.line_materials.values()) {
+            material.dispose();
+        }
+
+        this.line_materials.clear();
+    }
+}
+
@@ -0,0 +1,363 @@
+import * as THREE from 'three';
+
+import { COLORMAPS } from './colormaps.js';
+import { cloudsOf } from './layers.js';
+import { parseMatrix } from './transforms.js';
+
+/**
+ * Points projected into an image at most, larger clouds are thinned out.
+ */
+const MAX_PROJECTED_POINTS = 100000;
+
+/**
+ * Depth in meters shown with the last color of the colormap.
+ */
+const MAX_DEPTH = 50;
+const DEPTH_COLORMAP = "turbo";
+const POINT_RADIUS = 1.5;
+const HOVER_RADIUS = 8;
+const HOVER_COLOR = "#ff00ff";
+
+
+/**
+ * Parse the focal lengths and the principal point of a camera.
+ *
+ * Either `intrinsics` with `fx`, `fy`, `cx` and `cy` as a list or an object,
+ * or the 3x3 `camera_matrix`.
+ */
+function parseIntrinsics(config) {
+    if(undefined !== config["camera_matrix"]) {
+        const values = config["camera_matrix"].flat();
+        if(9 != values.length) {
+            throw new Error("A camera matrix needs 9 values.");
+        }
+
+        return {fx: values[0], fy: values[4], cx: values[2], cy: values[5]};
+    }
+
+    const intrinsics = config["intrinsics"];
+    if(undefined === intrinsics) {
+        throw new Error("A camera needs intrinsics.");
+    }
+
+    if(Array.isArray(intrinsics)) {
+        const [fx, fy, cx, cy] = intrinsics;
+        return {fx: fx, fy: fy, cx: cx, cy: cy};
+    }
+
+    return {fx: intrinsics["fx"], fy: intrinsics["fy"], cx: intrinsics["cx"], cy: intrinsics["cy"]};
+}
+
+
+/**
+ * Calibration of a camera of a scene.
+ *
+ * The scene configuration lists the cameras in `images`, each with its
+ * intrinsics and its extrinsic transformation into the ego vehicle, like
+ * the `sensors` of the `transform`:
+ *
+ *     images:
+ *       front:
+ *         intrinsics: [1266.4, 1266.4, 816.3, 491.5]
+ *         rotation: [-0.5, 0.5, -0.5, 0.5]
+ *         translation: [1.7, 0.0, 1.5]
+ *
+ * The frames reference their images by the name of the camera:
+ *
+ *     frames:
+ *     - timestamp: 0.0
+ *       clouds: ...
+ *       images:
+ *         front:
+ *           path: images/front/000.jpg
+ *           timestamp: 0.012
+ *
+ * Cameras look along their z axis with x to the right and y down. Lens
+ * distortion is not modelled, so the images should be rectified.
+ */
+export class CameraCalibration {
+    /**
+     * :param name: name of the camera
+     * :param config: the entry of the camera in `images`
+     */
+    constructor(name, config) {
+        this.name = name;
+        this.intrinsics = parseIntrinsics(config);
+        this.extrinsic = parseMatrix(config);
+    }
+
+
+    /**
+     * Transformation of the viewer coordinates into the camera.
+     *
+     * :param ego_matrix: transformation of the ego vehicle into the viewer,
+     *     see `egoMatrix` of the `SceneTransform`
+     * :returns: `THREE.Matrix4`
+     */
+    viewerToCamera(ego_matrix) {
+        return ego_matrix.clone().multiply(this.extrinsic).invert();
+    }
+
+
+    /**
+     * Project a point into the image.
+     *
+     * :param position: the point in viewer coordinates
+     * :param matrix: see `viewerToCamera`
+     * :returns: object with the pixel coordinates `x` and `y` and the
+     *     `depth` or `undefined` for points behind the camera
+     */
+    project(position, matrix) {
+        const point = position.clone().applyMatrix4(matrix);
+        if(point.z <= 0) {
+            return undefined;
+        }
+
+        const intrinsics = this.intrinsics;
+
+        return {
+            x: intrinsics.fx * point.x / point.z + intrinsics.cx,
+            y: intrinsics.fy * point.y / point.z + intrinsics.cy,
+            depth: point.z
+        };
+    }
+}
+
+
+/**
+ * Read the cameras of a scene configuration.
+ *
+ * :param config: the `images` entry of the scene configuration
+ * :returns: `Map` from the names of the cameras to `CameraCalibration`
+ */
+export function parseCameras(config) {
+    return new Map(Object.entries(config || {})
+        .map(([name, camera]) => [name, new CameraCalibration(name, camera)]));
+}
+
+
+/**
+ * Project the points of a frame into an image.
+ *
+ * :param points: the point clouds of the frame, see `composeClouds`
+ * :param calibration: the `CameraCalibration`
+ * :param matrix: see `viewerToCamera`
+ * :param width: width of the image in pixels
+ * :param height: height of the image in pixels
+ * :returns: `Float32Array` with the `x`, `y` and `depth` of every point
+ *     within the image
+ */
+export function projectPoints(points, calibration, matrix, width, height) {
+    // the nodes of point clouds with a level of detail are nested
+    var clouds = [];
+    for(const cloud of cloudsOf(points)) {
+        cloud.traverseVisible((object) => {
+            if(object.isPoints) {
+                clouds.push(object);
+            }
+        });
+    }
+
+    const count = clouds.reduce((sum, cloud) => sum + cloud.geometry.getAttribute("position").count, 0);
+    const stride = Math.max(1, Math.ceil(count / MAX_PROJECTED_POINTS));
+
+    var result = [];
+    var position = new THREE.Vector3();
+    for(const cloud of clouds) {
+        const positions = cloud.geometry.getAttribute("position");
+
+        for(var index = 0; index < positions.count; index += stride) {
+            const pixel = calibration.project(position.fromBufferAttribute(positions, index), matrix);
+
+            if(undefined !== pixel && 0 <= pixel.x && pixel.x < width && 0 <= pixel.y && pixel.y < height) {
+                result.push(pixel.x, pixel.y, pixel.depth);
+            }
+        }
+    }
+
+    return new Float32Array(result);
+}
+
+
+/**
+ * Side panel showing the camera images of the current frame.
+ *
+ * The panel follows the frames of a player. On request, the points of the
+ * frame are drawn onto the image, colored by their depth, and the point
+ * under the pointer is marked, see `addPickListener` of the
+ * `MeasurementTool`. Points which don't match the image reveal calibration
+ * and coloring errors.
+ *
+ * The panel is hidden for scenes without images.
+ */
+export class CameraImagePanel {
+    /**
+     * Set up the panel.
+     *
+     * :param container: element the panel is drawn into
+     * :param player: the player the panel follows
+     */
+    constructor(container, player) {
+        this.container = container;
+        this.player = player;
+        this.camera = undefined;
+        this.projection = false;
+        this.hovered = undefined;
+
+        this.createElements();
+        this.updateCameras();
+
+        this.player.addEventListener("framechange", this.update.bind(this));
+    }
+
+
+    /**
+     * Create the camera menu, the image with the overlay and the caption.
+     */
+    createElements() {
+        this.select_element = document.createElement("select");
+        this.select_element.addEventListener("change", () => this.setCamera(this.select_element.value));
+
+        const label = document.createElement("label");
+        this.projection_element = document.createElement("input");
+        this.projection_element.type = "checkbox";
+        this.projection_element.addEventListener("change", () => this.setProjection(this.projection_element.checked));
+        label.append(this.projection_element, "Project points");
+
+        this.image_element = document.createElement("img");
+        this.image_element.className = "camera_image";
+        this.image_element.addEventListener("load", this.draw.bind(this));
+        this.image_element.addEventListener("error", () => {
+            this.caption_element.textContent = "Could not load " + this.image_element.src + ".";
+        });
+
+        this.canvas_element = document.createElement("canvas");
+        this.canvas_element.className = "camera_overlay";
+
+        const view = document.createElement("div");
+        view.className = "camera_view";
+        view.append(this.image_element, this.canvas_element);
+
+        this.caption_element = document.createElement("div");
+
+        this.container.replaceChildren(this.select_element, label, view, this.caption_element);
+    }
+
+
+    /**
+     * Fill the camera menu with the cameras of the current scene.
+     *
+     * Is called whenever a new scene is loaded.
+     */
+    updateCameras() {
+        const names = this.player.imageCameras();
+
+        this.select_element.replaceChildren(...names.map((name) => new Option(name, name)));
+        this.container.style.display = 0 == names.length ? "none" : "";
+
+        this.setCamera(names.includes(this.camera) ? this.camera : names[0]);
+    }
+
+
+    /**
+     * Show the images of another camera.
+     */
+    setCamera(name) {
+        this.camera = name;
+        this.select_element.value = name;
+        this.update();
+    }
+
+
+    /**
+     * Draw the points of the frame onto the image or not.
+     */
+    setProjection(enabled) {
+        this.projection = enabled;
+        this.projection_element.checked = enabled;
+        this.draw();
+    }
+
+
+    /**
+     * Mark a point on the image.
+     *
+     * :param hit: the point picked by the `MeasurementTool` or `undefined`
+     */
+    showPoint(hit) {
+        this.hovered = undefined === hit ? undefined : hit.position;
+        this.draw();
+    }
+
+
+    /**
+     * Show the image of the current frame.
+     */
+    update() {
+        const image = this.player.frameImage(this.camera);
+
+        if(undefined === image) {
+            this.image_element.removeAttribute("src");
+            this.caption_element.textContent = undefined === this.camera ? "" : "No " + this.camera + " image in this frame.";
+            this.draw();
+            return;
+        }
+
+        this.caption_element.textContent = this.camera + (undefined === image.offset
+            ? ""
+            : ", " + (1000 * image.offset).toFixed(0) + " ms from the point cloud");
+
+        if(this.image_element.getAttribute("src") != image.full_path) {
+            // drawn as soon as it is loaded
+            this.image_element.src = image.full_path;
+        } else {
+            this.draw();
+        }
+    }
+
+
+    /**
+     * Draw the projected points and the marked point over the image.
+     */
+    draw() {
+        const canvas = this.canvas_element;
+        const width = this.image_element.naturalWidth;
+        const height = this.image_element.naturalHeight;
+
+        canvas.width = width;
+        canvas.height = height;
+
+        const matrix = this.player.imageProjection(this.camera);
+        if(undefined === matrix || !this.image_element.complete || 0 == width) {
+            return;
+        }
+
+        const context = canvas.getContext("2d");
+        const calibration = this.player.image_cameras.get(this.camera);
+        const frame = this.player.frames[this.player.current_frame];
+
+        if(this.projection) {
+            const colormap = COLORMAPS[DEPTH_COLORMAP];
+            const pixels = projectPoints(frame.points, calibration, matrix, width, height);
+
+            for(var index = 0; index < pixels.length; index += 3) {
+                const [r, g, b] = colormap(pixels[index + 2] / MAX_DEPTH);
+                context.fillStyle = "rgb(" + 255 * r + "," + 255 * g + "," + 255 * b + ")";
+                context.fillRect(pixels[index] - POINT_RADIUS, pixels[index + 1] - POINT_RADIUS, 2 * POINT_RADIUS, 2 * POINT_RADIUS);
+            }
+        }
+
+        const hovered = undefined === this.hovered ? undefined : calibration.project(this.hovered, matrix);
+        if(undefined !== hovered) {
+            context.strokeStyle = HOVER_COLOR;
+            context.lineWidth = 2;
+            context.beginPath();
+            context.arc(hovered.x, hovered.y, HOVER_RADIUS, 0, 2 * Math.PI);
+            context.moveTo(hovered.x - 2 * HOVER_RADIUS, hovered.y);
+            context.lineTo(hovered.x + 2 * HOVER_RADIUS, hovered.y);
+            context.moveTo(hovered.x, hovered.y - 2 * HOVER_RADIUS);
+            context.lineTo(hovered.x, hovered.y + 2 * HOVER_RADIUS);
+            context.stroke();
+        }
+    }
+}
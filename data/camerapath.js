@@ -0,0 +1,202 @@
+import * as THREE from 'three';
+
+/**
+ * What the keyframes of a camera path are relative to.
+ *
+ * `scene` keyframes are in the coordinates of the viewer, `ego` keyframes
+ * are relative to the ego pose of the frame shown, so the camera follows the
+ * vehicle.
+ */
+export const CAMERA_PATH_MODES = ["scene", "ego"];
+
+/**
+ * Vertical field of view of the camera in degrees.
+ */
+export const DEFAULT_FIELD_OF_VIEW = 60;
+
+
+/**
+ * Read a viewpoint from a configuration.
+ *
+ * :param config: object with a `name`, the `position` of the camera, the
+ *     `target` it looks at, both as arrays of three values, and the vertical
+ *     field of view `fov` in degrees; only the position is required
+ * :returns: the viewpoint with `THREE.Vector3` positions
+ */
+export function parseViewpoint(config) {
+    const position = config["position"];
+    const target = config["target"] || [0, 0, 0];
+
+    if(!Array.isArray(position) || 3 != position.length || 3 != target.length) {
+        throw new Error("A viewpoint needs a position and a target with three values.");
+    }
+
+    return {
+        name: config["name"],
+        position: new THREE.Vector3(...position),
+        target: new THREE.Vector3(...target),
+        fov: config["fov"] || DEFAULT_FIELD_OF_VIEW
+    };
+}
+
+
+/**
+ * Write a viewpoint into the layout of the configuration.
+ */
+export function serializeViewpoint(viewpoint) {
+    var config = {
+        position: viewpoint.position.toArray(),
+        target: viewpoint.target.toArray(),
+        fov: viewpoint.fov
+    };
+
+    if(undefined !== viewpoint.name) {
+        config = {name: viewpoint.name, ...config};
+    }
+
+    return config;
+}
+
+
+/**
+ * Hermite interpolation between two values with the given tangents.
+ */
+function hermite(p0, p1, m0, m1, t, length) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+
+    return (2 * t3 - 3 * t2 + 1) * p0
+        + (t3 - 2 * t2 + t) * length * m0
+        + (-2 * t3 + 3 * t2) * p1
+        + (t3 - t2) * length * m1;
+}
+
+
+/**
+ * Keyframed motion of the camera over the time of a scene.
+ *
+ * The camera passes through the position, target and field of view of every
+ * keyframe at its time. In between, the values follow a Catmull-Rom spline,
+ * so the camera moves without jerks. Before the first and after the last
+ * keyframe, the camera stays at that keyframe.
+ *
+ * The configuration has the following layout:
+ *
+ *     name: drive
+ *     follow: ego
+ *     keyframes:
+ *     - time: 0.0
+ *       position: [0, 5, -15]
+ *       target: [0, 0, 0]
+ *       fov: 60
+ */
+export class CameraPath {
+    /**
+     * Set up the path.
+     *
+     * :param config: see above; `follow` is one of `CAMERA_PATH_MODES`
+     */
+    constructor(config = {}) {
+        this.name = config["name"];
+        this.follow = config["follow"] || "scene";
+
+        if(!CAMERA_PATH_MODES.includes(this.follow)) {
+            throw new Error("Unknown camera path mode " + this.follow + ".");
+        }
+
+        this.keyframes = (config["keyframes"] || []).map((keyframe) => ({
+            time: keyframe["time"],
+            ...parseViewpoint(keyframe)
+        }));
+        this.keyframes.sort((a, b) => a.time - b.time);
+    }
+
+
+    /**
+     * Add a keyframe or replace the one at the same time.
+     *
+     * :param time: normalized timestamp in seconds
+     * :param viewpoint: the `position`, `target` and `fov` of the camera
+     */
+    addKeyframe(time, viewpoint) {
+        this.removeKeyframe(time);
+        this.keyframes.push({
+            time: time,
+            position: viewpoint.position.clone(),
+            target: viewpoint.target.clone(),
+            fov: viewpoint.fov
+        });
+        this.keyframes.sort((a, b) => a.time - b.time);
+    }
+
+
+    /**
+     * Remove the keyframe at a point in time.
+     */
+    removeKeyframe(time) {
+        this.keyframes = this.keyframes.filter((keyframe) => keyframe.time != time);
+    }
+
+
+    /**
+     * Position, target and field of view of the camera at a point in time.
+     *
+     * :param time: normalized timestamp in seconds
+     * :returns: viewpoint or `undefined` if the path has no keyframes
+     */
+    at(time) {
+        const keyframes = this.keyframes;
+        if(0 == keyframes.length) {
+            return undefined;
+        }
+
+        var next = keyframes.findIndex((keyframe) => keyframe.time > time);
+        if(0 == next || -1 == next) {
+            const keyframe = keyframes[0 == next ? 0 : keyframes.length - 1];
+            return {position: keyframe.position.clone(), target: keyframe.target.clone(), fov: keyframe.fov};
+        }
+
+        const k0 = keyframes[Math.max(0, next - 2)];
+        const k1 = keyframes[next - 1];
+        const k2 = keyframes[next];
+        const k3 = keyframes[Math.min(keyframes.length - 1, next + 1)];
+
+        const length = k2.time - k1.time;
+        const t = (time - k1.time) / length;
+
+        // tangents from the neighbouring keyframes, scaled by their distance in time
+        const interpolate = (get) => hermite(
+            get(k1),
+            get(k2),
+            (get(k2) - get(k0)) / Math.max(k2.time - k0.time, Number.EPSILON),
+            (get(k3) - get(k1)) / Math.max(k3.time - k1.time, Number.EPSILON),
+            t,
+            length);
+
+        const vector = (name) => new THREE.Vector3(
+            interpolate((keyframe) => keyframe[name].x),
+            interpolate((keyframe) => keyframe[name].y),
+            interpolate((keyframe) => keyframe[name].z));
+
+        return {
+            position: vector("position"),
+            target: vector("target"),
+            fov: interpolate((keyframe) => keyframe.fov)
+        };
+    }
+
+
+    /**
+     * Write the path into the layout of the configuration.
+     */
+    toConfig() {
+        return {
+            name: this.name,
+            follow: this.follow,
+            keyframes: this.keyframes.map((keyframe) => ({
+                time: keyframe.time,
+                ...serializeViewpoint({...keyframe, name: undefined})
+            }))
+        };
+    }
+}
@@ -0,0 +1,154 @@
+export const MIN_PLAYBACK_SPEED = 0.1;
+export const MAX_PLAYBACK_SPEED = 8.0;
+
+/**
+ * What happens when the playback reaches the end of the scene.
+ *
+ * `loop` starts again at the other end, `once` stops and `pingpong` reverses
+ * the direction.
+ */
+export const PLAYBACK_MODES = ["loop", "once", "pingpong"];
+
+
+/**
+ * Clock for the playback of a scene.
+ *
+ * The clock keeps the current scene time in seconds. It is advanced with the
+ * wall-clock time passed between two animation frames, scaled by the playback
+ * speed. Hence, the playback follows the recorded timestamps no matter how
+ * long rendering a frame takes.
+ */
+export class PlaybackClock {
+    constructor() {
+        this.time = 0;
+        this.duration = 0;
+        this.speed = 1.0;
+        this.direction = 1;
+        this.mode = "loop";
+        this.last_tick = undefined;
+    }
+
+
+    /**
+     * Set the length of the scene in seconds.
+     */
+    setDuration(duration) {
+        this.duration = Math.max(0, duration);
+        this.setTime(this.time);
+    }
+
+
+    /**
+     * Jump to a point in time.
+     *
+     * The time is clamped to the length of the scene.
+     */
+    setTime(time) {
+        this.time = Math.min(Math.max(0, time), this.duration);
+    }
+
+
+    /**
+     * Set the playback speed.
+     *
+     * The speed is clamped to the range of supported speeds.
+     */
+    setSpeed(speed) {
+        this.speed = Math.min(Math.max(MIN_PLAYBACK_SPEED, speed), MAX_PLAYBACK_SPEED);
+    }
+
+
+    /**
+     * Play forwards or backwards.
+     *
+     * :param reverse: `true` to play backwards
+     */
+    setReverse(reverse) {
+        this.direction = reverse ? -1 : 1;
+    }
+
+
+    isReverse() {
+        return this.direction < 0;
+    }
+
+
+    /**
+     * Set what happens at the end of the scene, see `PLAYBACK_MODES`.
+     */
+    setMode(mode) {
+        if(!PLAYBACK_MODES.includes(mode)) {
+            throw new Error("Unknown playback mode " + mode + ".");
+        }
+
+        this.mode = mode;
+    }
+
+
+    /**
+     * Check whether the clock is at the end it is running towards.
+     */
+    atEnd() {
+        if(this.isReverse()) {
+            return this.time <= 0;
+        }
+
+        return this.time >= this.duration;
+    }
+
+
+    /**
+     * Start measuring the time.
+     *
+     * Must be called before the first call to `advance` and whenever the
+     * clock was halted, otherwise the halted time is played back at once.
+     *
+     * :param now: timestamp of the animation frame in milliseconds
+     */
+    start(now) {
+        this.last_tick = now;
+
+        if("once" == this.mode && this.atEnd()) {
+            // start again from the beginning
+            this.time = this.isReverse() ? this.duration : 0;
+        }
+    }
+
+
+    /**
+     * Advance the clock to an animation frame.
+     *
+     * :param now: timestamp of the animation frame in milliseconds
+     * :returns: `false` if the clock reached the end of the scene and stopped
+     */
+    advance(now) {
+        const seconds = (now - this.last_tick) / 1000;
+        this.last_tick = now;
+
+        if(this.duration <= 0) {
+            return false;
+        }
+
+        this.time += seconds * this.speed * this.direction;
+
+        if("loop" == this.mode) {
+            this.time = ((this.time % this.duration) + this.duration) % this.duration;
+        } else if("pingpong" == this.mode) {
+            if(this.time > this.duration) {
+                this.time = 2 * this.duration - this.time;
+                this.direction = -1;
+            } else if(this.time < 0) {
+                this.time = -this.time;
+                this.direction = 1;
+            }
+
+            // a long halt might skip more than the whole scene
+            this.setTime(this.time);
+        } else if(this.time < 0 || this.time > this.duration) {
+            this.setTime(this.time);
+            return false;
+        }
+
+        return true;
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * The layout of parsed point clouds shared by all formats.
+ *
+ * A parsed point cloud is an object with the number of points in `count`,
+ * the positions as `Float32Array` with three values per point in `position`,
+ * the colors as `Float32Array` with three values from 0 to 1 per point in
+ * `color` (or `undefined` if there are no colors) and all other attributes
+ * as object mapping the name of the attribute to a `Float32Array` in
+ * `fields`.
+ *
+ * Formats with large coordinates, e.g. georeferenced LAS files, store the
+ * positions relative to an `offset`, a list of three numbers in the
+ * coordinates of the file. 32 bit floats are not precise enough for the
+ * absolute coordinates. The offset is `undefined` for all other clouds.
+ */
+
+const POSITION_COLUMNS = ["x", "y", "z"];
+const COLOR_COLUMNS = ["red", "green", "blue"];
+
+
+/**
+ * Assemble a parsed point cloud from columns.
+ *
+ * The columns `x`, `y` and `z` are the position, `red`, `green` and `blue`
+ * the colors. All other columns become scalar fields.
+ *
+ * :param columns: object mapping the names of the columns to arrays with one
+ *     value per point
+ * :param count: number of points
+ * :param color_scale: value of a fully saturated color channel, e.g. 255
+ *     for 8 bit colors; `undefined` guesses it from the values
+ */
+export function createCloud(columns, count, color_scale=undefined) {
+    var position = new Float32Array(3 * count);
+    for(var axis = 0; axis < 3; ++axis) {
+        const column = columns[POSITION_COLUMNS[axis]];
+        if(undefined === column) {
+            continue;
+        }
+
+        for(var point = 0; point < count; ++point) {
+            position[3 * point + axis] = column[point];
+        }
+    }
+
+    var color = undefined;
+    if(COLOR_COLUMNS.every((name) => undefined !== columns[name])) {
+        const scale = 1 / (color_scale || guessColorScale(COLOR_COLUMNS.map((name) => columns[name])));
+        color = new Float32Array(3 * count);
+
+        for(var channel = 0; channel < 3; ++channel) {
+            const column = columns[COLOR_COLUMNS[channel]];
+
+            for(var point = 0; point < count; ++point) {
+                color[3 * point + channel] = Math.min(Math.max(0, column[point] * scale), 1);
+            }
+        }
+    }
+
+    var fields = {};
+    for(const name in columns) {
+        if(!POSITION_COLUMNS.includes(name) && !COLOR_COLUMNS.includes(name)) {
+            const column = columns[name];
+            fields[name] = column instanceof Float32Array ? column : Float32Array.from(column);
+        }
+    }
+
+    return {
+        count: count,
+        position: position,
+        color: color,
+        fields: fields
+    };
+}
+
+
+/**
+ * Guess the value of a fully saturated color channel.
+ *
+ * Colors are stored from 0 to 1, from 0 to 255 or from 0 to 65535.
+ */
+function guessColorScale(channels) {
+    var max = 0;
+    for(const channel of channels) {
+        for(var index = 0; index < channel.length; ++index) {
+            max = Math.max(max, channel[index]);
+        }
+    }
+
+    if(max <= 1) {
+        return 1;
+    }
+
+    return max <= 255 ? 255 : 65535;
+}
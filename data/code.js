@@ -1,15 +1,38 @@
 import {Player} from "pointcloud";
+import {SceneCatalog} from "./scenes.js";
+import {Timeline} from "./timeline.js";
+import {KeyboardShortcuts} from "./keyboard.js";
+import {CameraImagePanel} from "./cameraimages.js";
+import {ComparisonView} from "./comparison.js";
+import {ViewStateLink, parseViewState} from "./viewstate.js";
+import {acceptDroppedFiles, filesFromInput, openLocalFiles} from "./localfiles.js";
+import {dump as dumpYAML} from "js-yaml";
 
 const TYPE_TO_NAME = {
     color: "Color",
-    combined: "Combined"
+    combined: "Combined",
+    sensors: "All sensors"
 };
 
+/**
+ * Type which shows the clouds of all sensors of a rig together.
+ */
+const ALL_SENSORS = "sensors";
+
+/**
+ * Milliseconds a downloaded file is kept before its object URL is revoked.
+ */
+const DOWNLOAD_REVOKE_DELAY = 60000;
+
 
 class Controller {
     constructor(on_render_frame_callback = undefined) {
         this.on_render_frame_callback = on_render_frame_callback
         this.player = undefined;
+        this.export_controller = undefined;
+        this.link = undefined;
+        this.timeline = undefined;
+        this.comparison = undefined;
         this.scene_configurations = undefined;
         
         // already collect all the elements
@@ -17,13 +40,81 @@ class Controller {
         this.status_element = document.getElementById("status");
         this.select_scene_element = document.getElementById("select_scene");
         this.select_type_element = document.getElementById("select_type");
+        this.open_files_element = document.getElementById("open_files");
+        this.open_folder_element = document.getElementById("open_folder");
         this.play_pause_button = document.getElementById("play_pause");
         this.next_frame_button = document.getElementById("next_frame");
         this.previous_frame_button = document.getElementById("previous_frame");
+        this.reverse_button = document.getElementById("reverse");
+        this.select_speed_element = document.getElementById("select_speed");
+        this.select_mode_element = document.getElementById("select_mode");
+        this.select_failed_frames_element = document.getElementById("select_failed_frames");
+        this.retry_failed_button = document.getElementById("retry_failed");
+        this.select_field_element = document.getElementById("select_field");
+        this.select_colormap_element = document.getElementById("select_colormap");
+        this.color_min_element = document.getElementById("color_min");
+        this.color_max_element = document.getElementById("color_max");
+        this.annotation_classes_element = document.getElementById("annotation_classes");
+        this.cloud_layers_element = document.getElementById("cloud_layers");
+        this.select_annotation_colors_element = document.getElementById("select_annotation_colors");
+        this.edit_button = document.getElementById("edit");
+        this.select_edit_mode_element = document.getElementById("select_edit_mode");
+        this.add_box_button = document.getElementById("add_box");
+        this.delete_box_button = document.getElementById("delete_box");
+        this.box_class_element = document.getElementById("box_class");
+        this.box_track_element = document.getElementById("box_track");
+        this.copy_count_element = document.getElementById("copy_count");
+        this.copy_box_button = document.getElementById("copy_box");
+        this.export_json_button = document.getElementById("export_json");
+        this.export_yaml_button = document.getElementById("export_yaml");
+        this.select_viewpoint_element = document.getElementById("select_viewpoint");
+        this.viewpoint_name_element = document.getElementById("viewpoint_name");
+        this.save_viewpoint_button = document.getElementById("save_viewpoint");
+        this.select_camera_path_element = document.getElementById("select_camera_path");
+        this.select_camera_follow_element = document.getElementById("select_camera_follow");
+        this.add_keyframe_button = document.getElementById("add_keyframe");
+        this.remove_keyframe_button = document.getElementById("remove_keyframe");
+        this.export_cameras_button = document.getElementById("export_cameras");
+        this.select_export_format_element = document.getElementById("select_export_format");
+        this.export_width_element = document.getElementById("export_width");
+        this.export_height_element = document.getElementById("export_height");
+        this.export_start_element = document.getElementById("export_start");
+        this.export_end_element = document.getElementById("export_end");
+        this.export_sequence_button = document.getElementById("export_sequence");
+        this.select_measurement_tool_element = document.getElementById("select_measurement_tool");
+        this.clear_measurements_button = document.getElementById("clear_measurements");
+        this.helper_elements = {
+            grid: document.getElementById("show_grid"),
+            rings: document.getElementById("show_rings"),
+            axes: document.getElementById("show_axes")
+        };
+        this.select_ground_mode_element = document.getElementById("select_ground_mode");
+        this.point_size_element = document.getElementById("point_size");
+        this.select_point_units_element = document.getElementById("select_point_units");
+        this.point_attenuation_element = document.getElementById("point_attenuation");
+        this.keyboard_help_button = document.getElementById("keyboard_help");
+        this.accumulation_elements = [
+            document.getElementById("accumulate_previous"),
+            document.getElementById("accumulate_next"),
+            document.getElementById("accumulate_fade")
+        ];
+        this.pin_scene_button = document.getElementById("pin_scene");
+        this.clear_store_button = document.getElementById("clear_store");
+        this.storage_usage_element = document.getElementById("storage_usage");
+        this.select_compare_element = document.getElementById("select_compare");
+        this.select_compare_mode_element = document.getElementById("select_compare_mode");
+        this.is_editing = false;
+        this.listens_to_editor = false;
+        this.listens_to_measurement = false;
+        this.timeline_element = document.getElementById("timeline");
+        this.camera_images_element = document.getElementById("camera_images");
         
         // the controller is now ready, we only have to load the
-        // configurations
-        this.fetchJSON("/configurations", this.initialize.bind(this));
+        // configurations of all the scenes
+        this.catalog = new SceneCatalog();
+        this.catalog.load().then(this.initialize.bind(this)).catch((error) => {
+            this.updateStatus("Could not load the scenes: " + error.message);
+        });
     }
     
     
@@ -33,14 +124,85 @@ class Controller {
      * This function is called when the scene configuration is loaded.
      */
     initialize(configurations) {
-        this.player = new Player(
-            this.render_window,
-            this.updateStatus.bind(this),
-            this.on_render_frame_callback);
+        this.player = new Player(this.render_window, {
+            status: this.updateStatus.bind(this),
+            render_frame: this.on_render_frame_callback
+        });
+        this.timeline = new Timeline(this.timeline_element, this.player);
+        this.keyboard = new KeyboardShortcuts(this.player);
+        this.image_panel = new CameraImagePanel(this.camera_images_element, this.player);
+        this.player.addEventListener("viewchange", this.updatePointSizeControls.bind(this));
+        this.updatePointSizeControls();
+        this.player.addEventListener("play", this.updatePlayPauseButton.bind(this));
+        this.player.addEventListener("pause", this.updatePlayPauseButton.bind(this));
+        this.player.addEventListener("framechange", this.updateFieldMenue.bind(this));
+        // the pins are known once the store is open
+        this.player.renderer.frame_store.database.then(this.updateStorage.bind(this));
         this.scene_configurations = configurations;
         
-        this.updateSceneMenue();
+        // a shared link selects the scene right away
+        const state = parseViewState(window.location.hash);
+        
+        this.updateSceneMenue(state.scene, state.type);
         this.createEventListeners();
+        this.restoreViewState(state);
+        
+        this.link = new ViewStateLink(
+            this.player,
+            () => ({scene: this.select_scene_element.value, type: this.select_type_element.value}),
+            this.onNavigate.bind(this));
+    }
+    
+    
+    /**
+     * Restore the view of a shared link in the player and the controls.
+     * 
+     * :param state: see `parseViewState`
+     */
+    restoreViewState(state) {
+        if(undefined !== state.colormap) {
+            this.select_colormap_element.value = state.colormap;
+        }
+        
+        if(undefined !== state.min) {
+            this.color_min_element.value = state.min;
+        }
+        
+        if(undefined !== state.max) {
+            this.color_max_element.value = state.max;
+        }
+        
+        this.player.restoreViewState(state);
+        this.updateAnnotationMenue(false);
+        
+        if(undefined !== this.player.camera_path) {
+            this.select_camera_path_element.value = this.player.camera_path.name;
+        }
+        
+        if(undefined !== this.comparison) {
+            this.comparison.updateColoring();
+        }
+    }
+    
+    
+    /**
+     * A link was pasted into the address of the page.
+     * 
+     * Another scene or type is loaded before the view is restored.
+     */
+    onNavigate(state) {
+        const scene = state.scene || this.select_scene_element.value;
+        const type = state.type || this.select_type_element.value;
+        
+        if(scene != this.select_scene_element.value || type != this.select_type_element.value) {
+            if(scene in this.scene_configurations) {
+                this.select_scene_element.value = scene;
+            }
+            
+            this.onSelectScene(type);
+        }
+        
+        this.restoreViewState(state);
     }
     
     
@@ -53,7 +215,17 @@ class Controller {
     createEventListeners() {
         this.select_scene_element.addEventListener(
             "change",
-            this.onSelectScene.bind(this));
+            () => this.onSelectScene());
+        
+        for(const element of [this.open_files_element, this.open_folder_element]) {
+            element.addEventListener(
+                "change",
+                () => this.openLocalFiles(filesFromInput(element.files)));
+        }
+        
+        acceptDroppedFiles(this.render_window, this.openLocalFiles.bind(this), (error) => {
+            this.updateStatus("Could not open the files: " + error.message);
+        });
         
         this.select_type_element.addEventListener(
             "change",
@@ -70,19 +242,166 @@ class Controller {
         this.previous_frame_button.addEventListener(
             "click",
             this.jumpToPreviousFrame.bind(this));
-    }
-    
-    
-    /**
-     * Fetch some JSON data.
-     * 
-     * Fetches JSON data from the given URL and calls the callback with the
-     * data when it is fully loaded.
-     */
-    fetchJSON(url, callback) {
-        fetch(url)
-            .then((response) => response.json())
-            .then(callback);
+        
+        this.reverse_button.addEventListener(
+            "click",
+            this.toggleReverse.bind(this));
+        
+        this.select_speed_element.addEventListener(
+            "change",
+            this.onSelectSpeed.bind(this));
+        
+        this.select_mode_element.addEventListener(
+            "change",
+            this.onSelectMode.bind(this));
+        
+        this.select_failed_frames_element.addEventListener(
+            "change",
+            () => this.player.setFailedFrameMode(this.select_failed_frames_element.value));
+        
+        this.retry_failed_button.addEventListener(
+            "click",
+            () => this.player.retryFailedFrames());
+        
+        this.select_field_element.addEventListener(
+            "change",
+            this.onSelectColoring.bind(this));
+        
+        this.select_colormap_element.addEventListener(
+            "change",
+            this.onSelectColoring.bind(this));
+        
+        this.color_min_element.addEventListener(
+            "change",
+            this.onSelectColoring.bind(this));
+        
+        this.color_max_element.addEventListener(
+            "change",
+            this.onSelectColoring.bind(this));
+        
+        this.select_annotation_colors_element.addEventListener(
+            "change",
+            this.onSelectAnnotationColors.bind(this));
+        
+        this.edit_button.addEventListener(
+            "click",
+            this.toggleEditing.bind(this));
+        
+        this.select_edit_mode_element.addEventListener(
+            "change",
+            this.onSelectEditMode.bind(this));
+        
+        this.add_box_button.addEventListener(
+            "click",
+            this.addBox.bind(this));
+        
+        this.delete_box_button.addEventListener(
+            "click",
+            () => this.editor().deleteSelected());
+        
+        this.box_class_element.addEventListener(
+            "change",
+            this.onChangeBox.bind(this));
+        
+        this.box_track_element.addEventListener(
+            "change",
+            this.onChangeBox.bind(this));
+        
+        this.copy_box_button.addEventListener(
+            "click",
+            this.copyBox.bind(this));
+        
+        this.export_json_button.addEventListener(
+            "click",
+            () => this.exportAnnotations("json"));
+        
+        this.export_yaml_button.addEventListener(
+            "click",
+            () => this.exportAnnotations("yaml"));
+        
+        this.select_viewpoint_element.addEventListener(
+            "change",
+            () => this.player.showViewpoint(this.select_viewpoint_element.value));
+        
+        this.save_viewpoint_button.addEventListener(
+            "click",
+            this.saveViewpoint.bind(this));
+        
+        this.select_camera_path_element.addEventListener(
+            "change",
+            () => this.player.setCameraPath(this.select_camera_path_element.value || undefined));
+        
+        this.add_keyframe_button.addEventListener(
+            "click",
+            this.addKeyframe.bind(this));
+        
+        this.remove_keyframe_button.addEventListener(
+            "click",
+            () => this.player.removeCameraKeyframe(this.select_camera_path_element.value));
+        
+        this.export_cameras_button.addEventListener(
+            "click",
+            () => download(new Blob([dumpYAML(this.player.exportCameras())], {type: "application/yaml"}), "cameras.yaml"));
+        
+        this.export_sequence_button.addEventListener(
+            "click",
+            this.exportSequence.bind(this));
+        
+        this.select_measurement_tool_element.addEventListener(
+            "change",
+            this.onSelectMeasurementTool.bind(this));
+        
+        this.clear_measurements_button.addEventListener(
+            "click",
+            () => this.player.clearMeasurements());
+        
+        for(const [name, element] of Object.entries(this.helper_elements)) {
+            element.addEventListener(
+                "change",
+                () => this.player.setHelperVisible(name, element.checked));
+        }
+        
+        this.select_ground_mode_element.addEventListener(
+            "change",
+            () => this.player.setGroundMode(this.select_ground_mode_element.value));
+        
+        this.point_size_element.addEventListener(
+            "change",
+            this.onChangePointSize.bind(this));
+        
+        this.select_point_units_element.addEventListener(
+            "change",
+            this.onChangePointSize.bind(this));
+        
+        this.point_attenuation_element.addEventListener(
+            "change",
+            this.onChangePointSize.bind(this));
+        
+        this.keyboard_help_button.addEventListener(
+            "click",
+            () => this.keyboard.toggleHelp());
+        
+        for(const element of this.accumulation_elements) {
+            element.addEventListener(
+                "change",
+                this.onChangeAccumulation.bind(this));
+        }
+        
+        this.pin_scene_button.addEventListener(
+            "click",
+            this.togglePinScene.bind(this));
+        
+        this.clear_store_button.addEventListener(
+            "click",
+            this.clearStore.bind(this));
+        
+        this.select_compare_element.addEventListener(
+            "change",
+            this.updateComparison.bind(this));
+        
+        this.select_compare_mode_element.addEventListener(
+            "change",
+            this.updateComparison.bind(this));
     }
     
     
@@ -91,8 +410,11 @@ class Controller {
      * 
      * It automatically updates the drop-down menue with the point-cloud
      * types.
+     * 
+     * :param scene_identifier: scene to select instead of the first one
+     * :param type_identifier: type to select instead of the first one
      */
-    updateSceneMenue() {
+    updateSceneMenue(scene_identifier=undefined, type_identifier=undefined) {
         for(const identifier in this.scene_configurations) {
             const scene = this.scene_configurations[identifier];
             const name = scene["name"];
@@ -104,25 +426,83 @@ class Controller {
             select_scene.appendChild(entry);
         }
         
+        if(scene_identifier in this.scene_configurations) {
+            this.select_scene_element.value = scene_identifier;
+        }
+        
         // point clouds depend on selected scene
-        this.onSelectScene();
+        this.onSelectScene(type_identifier);
+    }
+    
+    
+    /**
+     * Open dropped or picked files.
+     * 
+     * Scenes are added to the scene menue with the prefix `local:` and the
+     * first one is selected. A single point cloud is shown right away.
+     * 
+     * :param files: see `filesFromDrop`
+     */
+    openLocalFiles(files) {
+        this.updateStatus("Opening local files...");
+        
+        openLocalFiles(files).then((opened) => {
+            if(undefined !== opened.single) {
+                this.player.loadSinglePointCloud(opened.single.url, opened.single.format);
+                this.updatePlayPauseButton();
+                this.updateAnnotationMenue();
+                this.updateCameraMenues();
+                return;
+            }
+            
+            var first = undefined;
+            for(const identifier in opened.scenes) {
+                const key = "local:" + identifier;
+                const scene = opened.scenes[identifier];
+                this.scene_configurations[key] = scene;
+                first = first || key;
+                
+                if(!Array.from(this.select_scene_element.options, (entry) => entry.value).includes(key)) {
+                    var entry = document.createElement("option");
+                    entry.textContent = scene["name"] + " (local)";
+                    entry.value = key;
+                    
+                    this.select_scene_element.appendChild(entry);
+                }
+            }
+            
+            this.select_scene_element.value = first;
+            this.onSelectScene();
+        }).catch((error) => {
+            this.updateStatus("Could not open the files: " + error.message);
+        });
     }
     
     
     /*
      * When a scene is selected, update the available types.
+     * 
+     * The given type or else the previously selected type stays selected if
+     * the scene has it.
      */
-    onSelectScene() {
+    onSelectScene(type_identifier=this.select_type_element.value) {
         const scene_identifier = this.select_scene_element.value;
         const scene = this.scene_configurations[scene_identifier];
         const frames = scene["frames"];
         const types = this.typesInFrames(frames);
         
-        const previous_value = this.select_type_element.value;
-        this.updateTypesMenue(types);
+        // rigs with several sensors can show all of them at once
+        var selectable = new Set(types);
+        if(0 < this.sensorTypes(scene).length) {
+            selectable.add(ALL_SENSORS);
+        }
+        
+        const previous_value = type_identifier;
+        this.updateTypesMenue(selectable);
+        this.updateCompareMenue(types);
         
         // if the previously selected type is also availble, use it!
-        if(types.has(previous_value)) {
+        if(selectable.has(previous_value)) {
             this.select_type_element.value = previous_value;
         }
         
@@ -150,6 +530,16 @@ class Controller {
     }
     
     
+    /**
+     * Types of the sensors with an extrinsic transformation of their own.
+     * 
+     * See `SceneTransform`.
+     */
+    sensorTypes(scene) {
+        return Object.keys((scene["transform"] || {})["sensors"] || {});
+    }
+    
+    
     /**
      * Update menue with point-cloud types.
      */
@@ -168,6 +558,86 @@ class Controller {
     }
     
     
+    /**
+     * Update the menue with the sources to compare with.
+     * 
+     * Sources are the other types of the selected scene and the other scenes
+     * with the selected type.
+     */
+    updateCompareMenue(types) {
+        const previous_value = this.select_compare_element.value;
+        
+        this.select_compare_element.replaceChildren();
+        this.addCompareEntry("", "No comparison");
+        
+        for(const type of types.values()) {
+            const name = type in TYPE_TO_NAME ? TYPE_TO_NAME[type] : "<" + type + ">";
+            this.addCompareEntry("type:" + type, "Type: " + name);
+        }
+        
+        for(const identifier in this.scene_configurations) {
+            if(identifier != this.select_scene_element.value) {
+                const name = this.scene_configurations[identifier]["name"];
+                this.addCompareEntry("scene:" + identifier, "Scene: " + name);
+            }
+        }
+        
+        const values = Array.from(this.select_compare_element.options, (entry) => entry.value);
+        if(values.includes(previous_value)) {
+            this.select_compare_element.value = previous_value;
+        }
+    }
+    
+    
+    addCompareEntry(value, text) {
+        var entry = document.createElement("option");
+        entry.textContent = text;
+        entry.value = value;
+        
+        this.select_compare_element.appendChild(entry);
+    }
+    
+    
+    /**
+     * Start, change or end the comparison.
+     * 
+     * The comparison is set up from scratch whenever the selection changes.
+     */
+    updateComparison() {
+        if(undefined !== this.comparison) {
+            this.comparison.dispose();
+            this.comparison = undefined;
+        }
+        
+        const value = this.select_compare_element.value;
+        if(!value) {
+            return;
+        }
+        
+        const separator = value.indexOf(":");
+        const kind = value.substring(0, separator);
+        const identifier = value.substring(separator + 1);
+        
+        var scene = this.scene_configurations[this.select_scene_element.value];
+        var type_identifier = this.select_type_element.value;
+        if("type" == kind) {
+            type_identifier = identifier;
+        } else {
+            scene = this.scene_configurations[identifier];
+        }
+        
+        if(!this.typesInFrames(scene["frames"]).has(type_identifier)) {
+            this.updateStatus("Can't compare: the scene has no " + type_identifier + " point clouds.");
+            return;
+        }
+        
+        this.comparison = new ComparisonView(
+            this.player,
+            this.select_compare_mode_element.value);
+        this.comparison.addSource(scene, type_identifier);
+    }
+    
+    
     /**
      * Callback function: is called on point-cloud type selection.
      */
@@ -177,13 +647,69 @@ class Controller {
         
         // now figure out what to do next
         const scene_identifier = this.select_scene_element.value;
-        const type_identifier = this.select_type_element.value;
+        const type = this.select_type_element.value;
         const scene = this.scene_configurations[scene_identifier];
-        const frames = scene["frames"];
-        const name = scene["name"]
+        const type_identifier = ALL_SENSORS == type ? this.sensorTypes(scene) : type;
         
-        this.player.loadPointClouds(name, frames, type_identifier);
+        this.player.loadPointClouds(scene, type_identifier);
+        this.image_panel.updateCameras();
         this.updatePlayPauseButton();
+        this.updateAnnotationMenue();
+        this.updateLayerMenue();
+        this.updateCameraMenues();
+        this.updateComparison();
+        this.updateStorage();
+    }
+    
+    
+    /**
+     * Name under which the selected scene and type are pinned.
+     */
+    pinKey() {
+        return this.select_scene_element.value + "/" + this.select_type_element.value;
+    }
+    
+    
+    /**
+     * Keep the selected scene for offline use or release it again.
+     */
+    togglePinScene() {
+        const store = this.player.renderer.frame_store;
+        const key = this.pinKey();
+        
+        const done = store.isPinned(key)
+            ? this.player.unpinScene(key)
+            : this.player.pinScene(key);
+        
+        this.updateStorage();
+        done.then(this.updateStorage.bind(this), (error) => {
+            this.updateStatus("Could not store the scene: " + error.message);
+            this.updateStorage();
+        });
+    }
+    
+    
+    /**
+     * Remove all stored point clouds.
+     */
+    clearStore() {
+        this.player.renderer.frame_store.clear().then(this.updateStorage.bind(this));
+        this.updateStorage();
+    }
+    
+    
+    /**
+     * Show how much storage is used and whether the scene is pinned.
+     */
+    updateStorage() {
+        const store = this.player.renderer.frame_store;
+        const usage = store.usage();
+        const megabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(0) + " MB";
+        
+        this.storage_usage_element.textContent = "Stored " + usage.count + " frames, "
+            + megabytes(usage.size) + " of " + megabytes(usage.max_size) + ", "
+            + megabytes(usage.pinned_size) + " offline";
+        this.pin_scene_button.innerHTML = store.isPinned(this.pinKey()) ? "RELEASE OFFLINE" : "KEEP OFFLINE";
     }
     
     
@@ -243,17 +769,457 @@ class Controller {
     }
     
     
+    /**
+     * Switch between playing forwards and backwards.
+     */
+    toggleReverse() {
+        const reverse = !this.player.clock.isReverse();
+        
+        this.player.setReverse(reverse);
+        this.reverse_button.innerHTML = reverse ? "BACKWARD" : "FORWARD";
+    }
+    
+    
+    /**
+     * Callback function: is called on playback-speed selection.
+     */
+    onSelectSpeed() {
+        this.player.setPlaybackSpeed(parseFloat(this.select_speed_element.value));
+    }
+    
+    
+    /**
+     * Callback function: is called on playback-mode selection.
+     */
+    onSelectMode() {
+        this.player.setPlaybackMode(this.select_mode_element.value);
+    }
+    
+    
+    /**
+     * Update the menue with the fields the points can be colored by.
+     * 
+     * The menue is only refilled if the fields of the current frame differ
+     * from the ones in the menue.
+     */
+    updateFieldMenue() {
+        const fields = this.player.availableFields();
+        const entries = Array.from(this.select_field_element.options, (entry) => entry.value);
+        
+        if(0 == fields.length || fields.join() == entries.join()) {
+            return;
+        }
+        
+        // the field may come from a link before the menue has it
+        const previous_value = this.player.renderer.coloring.field;
+        this.select_field_element.replaceChildren();
+        for(const field of fields) {
+            var entry = document.createElement("option");
+            entry.textContent = field;
+            entry.value = field;
+            
+            this.select_field_element.appendChild(entry);
+        }
+        
+        if(fields.includes(previous_value)) {
+            this.select_field_element.value = previous_value;
+        } else {
+            this.onSelectColoring();
+        }
+    }
+    
+    
+    /**
+     * Callback function: is called when the coloring changes.
+     * 
+     * Empty range inputs are taken from the data.
+     */
+    onSelectColoring() {
+        const min = parseFloat(this.color_min_element.value);
+        const max = parseFloat(this.color_max_element.value);
+        
+        this.player.setColoring({
+            field: this.select_field_element.value,
+            colormap: this.select_colormap_element.value,
+            min: isNaN(min) ? undefined : min,
+            max: isNaN(max) ? undefined : max
+        });
+        
+        if(undefined !== this.comparison) {
+            this.comparison.updateColoring();
+        }
+    }
+    
+    
+    /**
+     * Update the toggles for the annotation classes of the scene.
+     * 
+     * All classes are visible after a scene is loaded.
+     * 
+     * :param reset: `false` to keep the classes hidden which are hidden in
+     *     the player
+     */
+    updateAnnotationMenue(reset=true) {
+        const hidden = this.player.renderer.annotations.hidden_classes;
+        
+        this.annotation_classes_element.replaceChildren();
+        for(const name of this.player.annotationClasses()) {
+            var label = document.createElement("label");
+            var checkbox = document.createElement("input");
+            
+            checkbox.type = "checkbox";
+            checkbox.checked = reset || !hidden.has(name);
+            checkbox.addEventListener(
+                "change",
+                () => this.player.setAnnotationClassVisible(name, checkbox.checked));
+            this.player.setAnnotationClassVisible(name, checkbox.checked);
+            
+            label.appendChild(checkbox);
+            label.append(name);
+            this.annotation_classes_element.appendChild(label);
+        }
+    }
+    
+    
+    /**
+     * Update the toggles and colors of the sensors and static layers.
+     *
+     * Scenes with a single cloud per frame don't get any.
+     */
+    updateLayerMenue() {
+        const layers = this.player.renderer.layers;
+        const names = this.player.cloudNames();
+    
+        this.cloud_layers_element.replaceChildren();
+        if(names.length < 2) {
+            return;
+        }
+    
+        for(const name of names) {
+            var label = document.createElement("label");
+            var checkbox = document.createElement("input");
+            var color = document.createElement("input");
+    
+            checkbox.type = "checkbox";
+            checkbox.checked = layers.isVisible(name);
+            checkbox.addEventListener(
+                "change",
+                () => this.player.setCloudVisible(name, checkbox.checked));
+    
+            // white keeps the colors of the points
+            color.type = "color";
+            color.value = layers.color(name) || "#ffffff";
+            color.addEventListener(
+                "input",
+                () => this.player.setCloudColor(name, "#ffffff" == color.value ? undefined : color.value));
+    
+            label.appendChild(checkbox);
+            label.append(name);
+            label.appendChild(color);
+            this.cloud_layers_element.appendChild(label);
+        }
+    }
+    
+    
+    /**
+     * Callback function: is called when the annotation colors change.
+     */
+    onSelectAnnotationColors() {
+        this.player.setAnnotationColorMode(this.select_annotation_colors_element.value);
+    }
+    
+    
+    /**
+     * The annotation editor of the player.
+     * 
+     * On first use, the controller registers for changes of the selection.
+     */
+    editor() {
+        const editor = this.player.setEditing(this.is_editing);
+        
+        if(!this.listens_to_editor) {
+            editor.addSelectionChangeListener(this.onSelectBox.bind(this));
+            this.listens_to_editor = true;
+        }
+        
+        return editor;
+    }
+    
+    
+    /**
+     * Turn the editing of annotations on or off.
+     */
+    toggleEditing() {
+        this.is_editing = !this.is_editing;
+        this.editor();
+        
+        this.edit_button.innerHTML = this.is_editing ? "STOP EDITING" : "EDIT";
+    }
+    
+    
+    /**
+     * Callback function: is called on edit-mode selection.
+     */
+    onSelectEditMode() {
+        this.editor().setMode(this.select_edit_mode_element.value);
+    }
+    
+    
+    /**
+     * Callback function: is called on measurement-tool selection.
+     */
+    onSelectMeasurementTool() {
+        const tool = this.select_measurement_tool_element.value;
+        const measurement = this.player.setMeasurementTool("" == tool ? undefined : tool);
+        
+        // the inspected point is marked on the camera image
+        if(!this.listens_to_measurement) {
+            measurement.addPickListener(this.image_panel.showPoint.bind(this.image_panel));
+            this.listens_to_measurement = true;
+        }
+    }
+    
+    
+    /**
+     * Add a box of the class given in the class input.
+     */
+    addBox() {
+        if(!this.is_editing) {
+            this.toggleEditing();
+        }
+        
+        this.player.createAnnotation(this.box_class_element.value || "unknown");
+        this.updateAnnotationMenue();
+    }
+    
+    
+    /**
+     * Show class and track identifier of the selected box.
+     */
+    onSelectBox(annotation) {
+        const selected = undefined !== annotation;
+        
+        this.box_class_element.value = selected ? annotation.class : "";
+        this.box_track_element.value = selected && undefined !== annotation.track_id ? annotation.track_id : "";
+    }
+    
+    
+    /**
+     * Apply the class and track identifier inputs to the selected box.
+     */
+    onChangeBox() {
+        const track_id = parseInt(this.box_track_element.value);
+        
+        this.editor().updateSelected({
+            class: this.box_class_element.value || "unknown",
+            track_id: isNaN(track_id) ? undefined : track_id
+        });
+        this.updateAnnotationMenue();
+    }
+    
+    
+    /**
+     * Copy the selected box into the following frames.
+     */
+    copyBox() {
+        const count = parseInt(this.copy_count_element.value) || 1;
+        const copied = this.player.copySelectedAnnotation(count);
+        
+        this.updateStatus("Copied box to " + copied + " frames.");
+    }
+    
+    
+    /**
+     * Download the annotations of the scene.
+     * 
+     * :param format: `json` or `yaml`
+     */
+    exportAnnotations(format) {
+        const annotations = this.player.exportAnnotations();
+        const text = "yaml" == format
+            ? dumpYAML(annotations)
+            : JSON.stringify(annotations, null, 2);
+        
+        const blob = new Blob([text], {type: "yaml" == format ? "application/yaml" : "application/json"});
+        download(blob, "annotations." + format);
+    }
+    
+    
+    /**
+     * Store the current view under the entered name.
+     */
+    saveViewpoint() {
+        const name = this.viewpoint_name_element.value || "view " + (this.player.viewpoints.length + 1);
+        
+        this.player.saveViewpoint(name);
+        this.updateCameraMenues();
+        this.select_viewpoint_element.value = name;
+    }
+    
+    
+    /**
+     * Add the current view as keyframe of the selected camera path.
+     * 
+     * Without a selected path, a new one is created with the entered name.
+     */
+    addKeyframe() {
+        const name = this.select_camera_path_element.value
+            || this.viewpoint_name_element.value
+            || "path " + (this.player.camera_paths.length + 1);
+        
+        const path = this.player.addCameraKeyframe(name, this.select_camera_follow_element.value);
+        if(undefined === path) {
+            this.updateStatus("Wait until the frame is shown.");
+            return;
+        }
+        
+        this.updateCameraMenues();
+        this.select_camera_path_element.value = name;
+        this.player.setCameraPath(name);
+        this.updateStatus("Camera path " + name + " has " + path.keyframes.length + " keyframes.");
+    }
+    
+    
+    /**
+     * Fill the drop-down menues with the viewpoints and camera paths.
+     */
+    updateCameraMenues() {
+        const fill = (element, placeholder, names) => {
+            const previous_value = element.value;
+            element.innerHTML = "";
+            
+            for(const [value, text] of [["", placeholder], ...names.map((name) => [name, name])]) {
+                var entry = document.createElement("option");
+                entry.textContent = text;
+                entry.value = value;
+                element.appendChild(entry);
+            }
+            
+            element.value = names.includes(previous_value) ? previous_value : "";
+        };
+        
+        fill(this.select_viewpoint_element, "Viewpoints", this.player.viewpoints.map((viewpoint) => viewpoint.name));
+        fill(this.select_camera_path_element, "Free camera", this.player.camera_paths.map((path) => path.name));
+        
+        // the player drops the selected path when a scene is loaded
+        if(undefined === this.player.camera_path) {
+            this.select_camera_path_element.value = "";
+        }
+    }
+    
+    
+    /**
+     * Apply the point size, its units and the attenuation.
+     * 
+     * Changing the units starts with the default size of the new units.
+     */
+    onChangePointSize(event) {
+        const renderer = this.player.renderer;
+        const units = this.select_point_units_element.value;
+        const size = parseFloat(this.point_size_element.value);
+        
+        if(units != renderer.point_size_units || this.point_attenuation_element.checked != renderer.point_attenuation) {
+            this.player.setPointSizeUnits(
+                units,
+                this.point_attenuation_element.checked,
+                event.target === this.point_size_element && 0 < size ? size : undefined);
+        } else if(0 < size) {
+            this.player.setPointSize(size);
+        }
+    }
+    
+    
+    /**
+     * Fuse the selected number of frames around the current frame.
+     */
+    onChangeAccumulation() {
+        const [previous, next, fade] = this.accumulation_elements;
+        
+        this.player.setAccumulation(
+            parseInt(previous.value) || 0,
+            parseInt(next.value) || 0,
+            fade.checked);
+    }
+    
+    
+    /**
+     * Show the point size of the renderer, e.g. after a keyboard shortcut.
+     */
+    updatePointSizeControls() {
+        const renderer = this.player.renderer;
+        
+        this.point_size_element.value = parseFloat(renderer.point_size.toPrecision(3));
+        this.select_point_units_element.value = renderer.point_size_units;
+        this.point_attenuation_element.checked = renderer.point_attenuation;
+    }
+    
+    
+    /**
+     * Render the scene into a video or images and download the result.
+     * 
+     * Clicking again while exporting cancels the export.
+     */
+    exportSequence() {
+        if(undefined !== this.export_controller) {
+            this.export_controller.abort();
+            return;
+        }
+        
+        const format = this.select_export_format_element.value;
+        const optionalNumber = (element) => "" === element.value ? undefined : parseFloat(element.value);
+        
+        this.export_controller = new AbortController();
+        this.export_sequence_button.innerHTML = "CANCEL EXPORT";
+        
+        this.player.exportSequence({
+            format: format,
+            width: parseInt(this.export_width_element.value),
+            height: parseInt(this.export_height_element.value),
+            start: optionalNumber(this.export_start_element),
+            end: optionalNumber(this.export_end_element),
+            signal: this.export_controller.signal,
+            on_progress: (done, total) => this.updateStatus("Exported " + done + " of " + total + " frames.")
+        }).then((blob) => {
+            download(blob, this.select_scene_element.value + ("png" == format ? "_frames.zip" : ".webm"));
+        }).catch((error) => {
+            this.updateStatus("AbortError" == error.name ? "Export cancelled." : "Export failed: " + error.message);
+        }).finally(() => {
+            this.export_controller = undefined;
+            this.export_sequence_button.innerHTML = "EXPORT";
+        });
+    }
+    
+    
     /**
      * Update the status shown in the visualization.
      */
     updateStatus(text) {
-        this.status_element.innerHTML = text;
+        this.status_element.textContent = text;
     }
 }
 
 
+/**
+ * Let the browser save a file.
+ */
+function download(blob, name) {
+    const url = URL.createObjectURL(blob);
+    
+    var link = document.createElement("a");
+    link.href = url;
+    link.download = name;
+    link.click();
+    
+    // the download starts asynchronously
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_REVOKE_DELAY);
+}
+
+
 /**
  * Called after a frame is rendered.
+ * 
+ * Uploads the frame to a server, which the static site does not have, so it
+ * is only used with `?callback` in the URL, see `loadController`.
  */
 function on_render_frame_callback(image, index, timestamp, path, scene) {
     var data = new FormData();
@@ -269,12 +1235,28 @@ function on_render_frame_callback(image, index, timestamp, path, scene) {
 }
 
 
+/**
+ * Keep the player available offline, see `serviceworker.js`.
+ */
+function registerServiceWorker() {
+    if(!("serviceWorker" in navigator)) {
+        return;
+    }
+    
+    navigator.serviceWorker.register("serviceworker.js").catch((error) => {
+        console.warn("Could not register the service worker, the player needs a network.", error);
+    });
+}
+
+
 /**
  * Load when the document is ready!
  */
 let controller = undefined;
 function loadController(ev) {;
-    controller = new Controller(on_render_frame_callback);
+    const callback = new URLSearchParams(window.location.search).has("callback");
+    controller = new Controller(callback ? on_render_frame_callback : undefined);
+    registerServiceWorker();
 }
 
 window.onload = loadController;
@@ -0,0 +1,354 @@
+import * as THREE from 'three';
+
+import { COLORMAPS, colormapGradient } from './colormaps.js';
+
+const LOOKUP_TABLE_SIZE = 256;
+const INVALID_VALUE_COLOR = 0.5;
+
+/**
+ * Coloring with the colors stored in the point cloud.
+ */
+export const RGB_FIELD = "rgb";
+
+/**
+ * Fields which are computed from the positions of the points.
+ *
+ * `height` is the coordinate along the up axis of the scene and `range` is
+ * the distance from the sensor.
+ */
+export const DERIVED_FIELDS = ["height", "range"];
+
+
+/**
+ * Precompute a colormap for fast lookups.
+ *
+ * The colors are converted to the linear color space three.js expects for
+ * vertex colors.
+ */
+function createLookupTable(name) {
+    const colormap = COLORMAPS[name];
+    const color = new THREE.Color();
+    var table = new Float32Array(3 * LOOKUP_TABLE_SIZE);
+
+    for(var index = 0; index < LOOKUP_TABLE_SIZE; ++index) {
+        const rgb = colormap(index / (LOOKUP_TABLE_SIZE - 1));
+        color.setRGB(rgb[0], rgb[1], rgb[2], THREE.SRGBColorSpace);
+
+        table[3 * index] = color.r;
+        table[3 * index + 1] = color.g;
+        table[3 * index + 2] = color.b;
+    }
+
+    return table;
+}
+
+
+/**
+ * Conversion of 8 bit sRGB channels to the linear color space.
+ */
+function createLinearTable() {
+    const color = new THREE.Color();
+    var table = new Float32Array(256);
+    for(var index = 0; index < 256; ++index) {
+        const value = index / 255;
+        table[index] = color.setRGB(value, value, value, THREE.SRGBColorSpace).r;
+    }
+
+    return table;
+}
+
+const SRGB_TO_LINEAR = createLinearTable();
+
+
+/**
+ * Smallest and largest finite value of a field.
+ */
+function valueRange(values) {
+    var min = Infinity;
+    var max = -Infinity;
+
+    for(var index = 0; index < values.length; ++index) {
+        const value = values[index];
+
+        if(!Number.isFinite(value)) {
+            continue;
+        }
+
+        if(value < min) {
+            min = value;
+        }
+
+        if(value > max) {
+            max = value;
+        }
+    }
+
+    if(min > max) {
+        return {min: 0, max: 1};
+    }
+
+    return {min: min, max: max};
+}
+
+
+/**
+ * Colors point clouds by a scalar field.
+ *
+ * The values of the selected field are mapped through a colormap. Values
+ * outside of the range are clamped. If no range is set, it is taken from the
+ * first point cloud colored with the field and kept for all following ones,
+ * so the colors of a sequence don't flicker from frame to frame.
+ *
+ * The coloring writes the `color` attribute of the geometry and can be
+ * applied again at any time, e.g. after changing the field.
+ */
+export class PointColoring {
+    constructor() {
+        this.field = RGB_FIELD;
+        this.colormap = "viridis";
+        this.min = undefined;
+        this.max = undefined;
+        this.auto_range = undefined;
+        this.lookup_table = createLookupTable(this.colormap);
+    }
+
+
+    /**
+     * List the fields a point cloud can be colored by.
+     */
+    static availableFields(points) {
+        var fields = [];
+        if(undefined !== points.userData.rgb) {
+            fields.push(RGB_FIELD);
+        }
+
+        fields.push(...DERIVED_FIELDS);
+        fields.push(...Object.keys(points.userData.fields || {}));
+
+        return fields;
+    }
+
+
+    /**
+     * Select the field used for coloring.
+     *
+     * The automatic range is computed again for the new field.
+     */
+    setField(field) {
+        if(field != this.field) {
+            this.field = field;
+            this.auto_range = undefined;
+        }
+    }
+
+
+    /**
+     * Select the colormap by its name, see `COLORMAPS`.
+     */
+    setColormap(name) {
+        if(!(name in COLORMAPS)) {
+            throw new Error("Unknown colormap " + name + ".");
+        }
+
+        this.colormap = name;
+        this.lookup_table = createLookupTable(name);
+    }
+
+
+    /**
+     * Clamp the values to a range.
+     *
+     * :param min: smallest value or `undefined` to take it from the data
+     * :param max: largest value or `undefined` to take it from the data
+     */
+    setRange(min, max) {
+        this.min = min;
+        this.max = max;
+        this.auto_range = undefined;
+    }
+
+
+    /**
+     * Range the values are mapped to the colormap with.
+     */
+    range() {
+        const auto_range = this.auto_range || {min: 0, max: 1};
+
+        return {
+            min: undefined !== this.min ? this.min : auto_range.min,
+            max: undefined !== this.max ? this.max : auto_range.max
+        };
+    }
+
+
+    /**
+     * Values of the selected field for all points.
+     *
+     * :returns: array with one value per point or `undefined` if the point
+     *     cloud does not have the field
+     */
+    values(points) {
+        const position = points.geometry.getAttribute("position");
+
+        if("height" == this.field) {
+            var heights = new Float32Array(position.count);
+            for(var index = 0; index < position.count; ++index) {
+                heights[index] = position.getY(index);
+            }
+
+            return heights;
+        }
+
+        if("range" == this.field) {
+            const origin = points.userData.origin || new THREE.Vector3();
+            const point = new THREE.Vector3();
+
+            var ranges = new Float32Array(position.count);
+            for(var index = 0; index < position.count; ++index) {
+                point.fromBufferAttribute(position, index);
+                ranges[index] = point.distanceTo(origin);
+            }
+
+            return ranges;
+        }
+
+        return (points.userData.fields || {})[this.field];
+    }
+
+
+    /**
+     * Color a point cloud.
+     */
+    apply(points) {
+        const geometry = points.geometry;
+        const count = geometry.getAttribute("position").count;
+
+        var colors = geometry.getAttribute("color");
+        if(undefined === colors || colors.count != count) {
+            colors = new THREE.Float32BufferAttribute(new Float32Array(3 * count), 3);
+            geometry.setAttribute("color", colors);
+        }
+
+        if(RGB_FIELD == this.field) {
+            this.applyRGB(points, colors.array);
+        } else {
+            this.applyColormap(points, colors.array);
+        }
+
+        colors.needsUpdate = true;
+        points.material.color.setRGB(1, 1, 1);
+        points.material.vertexColors = true;
+        points.material.needsUpdate = true;
+    }
+
+
+    /**
+     * Restore the colors stored in the point cloud.
+     *
+     * Point clouds without colors are white.
+     */
+    applyRGB(points, colors) {
+        const rgb = points.userData.rgb;
+
+        if(undefined === rgb) {
+            colors.fill(1);
+            return;
+        }
+
+        for(var index = 0; index < colors.length; ++index) {
+            colors[index] = SRGB_TO_LINEAR[Math.round(255 * rgb[index])];
+        }
+    }
+
+
+    /**
+     * Map the values of the selected field through the colormap.
+     *
+     * Points without a valid value are gray.
+     */
+    applyColormap(points, colors) {
+        const values = this.values(points);
+
+        if(undefined === values) {
+            colors.fill(INVALID_VALUE_COLOR);
+            return;
+        }
+
+        if(undefined === this.auto_range) {
+            this.auto_range = valueRange(values);
+        }
+
+        const range = this.range();
+        const scale = range.max > range.min ? 1 / (range.max - range.min) : 0;
+        const table = this.lookup_table;
+
+        for(var index = 0; index < values.length; ++index) {
+            const value = values[index];
+
+            if(!Number.isFinite(value)) {
+                colors[3 * index] = INVALID_VALUE_COLOR;
+                colors[3 * index + 1] = INVALID_VALUE_COLOR;
+                colors[3 * index + 2] = INVALID_VALUE_COLOR;
+                continue;
+            }
+
+            const normalized = Math.min(Math.max(0, (value - range.min) * scale), 1);
+            const entry = 3 * Math.round(normalized * (LOOKUP_TABLE_SIZE - 1));
+
+            colors[3 * index] = table[entry];
+            colors[3 * index + 1] = table[entry + 1];
+            colors[3 * index + 2] = table[entry + 2];
+        }
+    }
+}
+
+
+/**
+ * Legend for the coloring.
+ *
+ * Shows the colormap together with the selected field and its range on top
+ * of the render window. The legend is hidden while the colors of the point
+ * cloud are shown.
+ */
+export class ColorLegend {
+    constructor(container) {
+        this.element = document.createElement("div");
+        this.element.className = "color_legend";
+
+        this.title_element = document.createElement("div");
+        this.gradient_element = document.createElement("div");
+        this.gradient_element.className = "color_legend_gradient";
+
+        this.min_element = document.createElement("span");
+        this.max_element = document.createElement("span");
+        this.max_element.className = "color_legend_max";
+
+        this.element.append(
+            this.title_element,
+            this.gradient_element,
+            this.min_element,
+            this.max_element);
+        container.appendChild(this.element);
+
+        this.element.style.display = "none";
+    }
+
+
+    /**
+     * Show the current state of a coloring.
+     */
+    update(coloring) {
+        if(RGB_FIELD == coloring.field) {
+            this.element.style.display = "none";
+            return;
+        }
+
+        const range = coloring.range();
+
+        this.title_element.textContent = coloring.field;
+        this.gradient_element.style.background = colormapGradient(coloring.colormap);
+        this.min_element.textContent = range.min.toPrecision(4);
+        this.max_element.textContent = range.max.toPrecision(4);
+        this.element.style.display = "block";
+    }
+}
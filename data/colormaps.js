@@ -0,0 +1,71 @@
+/**
+ * Colormaps for scalar values.
+ *
+ * Each colormap maps a value from 0 to 1 to a color. Colors are arrays with
+ * the red, green and blue channel from 0 to 1 in sRGB.
+ */
+
+
+/**
+ * Convert a list of hex colors to a colormap with linear interpolation.
+ */
+function interpolated(colors) {
+    const stops = colors.map((color) => [
+        parseInt(color.substring(1, 3), 16) / 255,
+        parseInt(color.substring(3, 5), 16) / 255,
+        parseInt(color.substring(5, 7), 16) / 255
+    ]);
+
+    const colormap = function(value) {
+        const position = Math.min(Math.max(0, value), 1) * (stops.length - 1);
+        const index = Math.min(Math.floor(position), stops.length - 2);
+        const weight = position - index;
+
+        const lower = stops[index];
+        const upper = stops[index + 1];
+
+        return [0, 1, 2].map((channel) => (1 - weight) * lower[channel] + weight * upper[channel]);
+    };
+
+    colormap.stops = colors;
+    return colormap;
+}
+
+
+/**
+ * Polynomial approximation of the turbo colormap.
+ *
+ * See https://ai.googleblog.com/2019/08/turbo-improved-rainbow-colormap-for.html
+ */
+function turbo(value) {
+    const x = Math.min(Math.max(0, value), 1);
+
+    const r = 0.13572138 + x * (4.61539260 + x * (-42.66032258 + x * (132.13108234 + x * (-152.94239396 + x * 59.28637943))));
+    const g = 0.09140261 + x * (2.19418839 + x * (4.84296658 + x * (-14.18503333 + x * (4.27729857 + x * 2.82956604))));
+    const b = 0.10667330 + x * (12.64194608 + x * (-60.58204836 + x * (110.36276771 + x * (-89.90310912 + x * 27.34824973))));
+
+    return [r, g, b].map((channel) => Math.min(Math.max(0, channel), 1));
+}
+turbo.stops = ["#30123b", "#4686fb", "#1ae4b6", "#a2fc3c", "#faba39", "#e4460a", "#7a0403"];
+
+
+export const COLORMAPS = {
+    viridis: interpolated([
+        "#440154", "#472d7b", "#3b528b", "#2c728e", "#21908c",
+        "#27ad81", "#5dc863", "#aadc32", "#fde725"]),
+    plasma: interpolated([
+        "#0d0887", "#4c02a1", "#7e03a8", "#a92395", "#cc4678",
+        "#e56b5d", "#f89441", "#fdc328", "#f0f921"]),
+    turbo: turbo,
+    grayscale: interpolated(["#000000", "#ffffff"])
+};
+
+
+/**
+ * CSS gradient showing a colormap from left to right.
+ *
+ * Used to draw legends.
+ */
+export function colormapGradient(name) {
+    return "linear-gradient(to right, " + COLORMAPS[name].stops.join(", ") + ")";
+}
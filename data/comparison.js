@@ -0,0 +1,155 @@
+import { Player } from 'pointcloud';
+
+/**
+ * How the sources are shown.
+ *
+ * `split` shows each source in its own viewport, `overlay` shows all sources
+ * in the same viewport with a different tint each.
+ */
+export const COMPARISON_MODES = ["split", "overlay"];
+
+/**
+ * How the frames of the sources are matched.
+ *
+ * `time` shows the frame closest to the normalized timestamp of the main
+ * player, `index` shows the frame with the same index.
+ */
+export const SYNC_MODES = ["time", "index"];
+
+const TINTS = ["#ff7070", "#70b0ff", "#70ff70", "#ffd050"];
+
+
+/**
+ * Compares point clouds of several sources.
+ *
+ * A source is any sequence the player can load, e.g. another type of the same
+ * scene or a different scene. The main player keeps control over playback;
+ * every source follows it to the matching frame. All sources are rendered by
+ * the renderer of the main player with the same camera, so the views stay
+ * linked.
+ */
+export class ComparisonView {
+    /**
+     * Set up the comparison.
+     *
+     * :param player: the main player
+     * :param mode: see `COMPARISON_MODES`
+     * :param sync: see `SYNC_MODES`
+     */
+    constructor(player, mode="split", sync="time") {
+        if(!COMPARISON_MODES.includes(mode)) {
+            throw new Error("Unknown comparison mode " + mode + ".");
+        }
+
+        if(!SYNC_MODES.includes(sync)) {
+            throw new Error("Unknown sync mode " + sync + ".");
+        }
+
+        this.player = player;
+        this.mode = mode;
+        this.sync = sync;
+        this.sources = [];
+
+        if("overlay" == mode) {
+            this.player.setTint(TINTS[0]);
+        }
+
+        this.frame_change_listener = this.followPlayer.bind(this);
+        this.player.addEventListener("framechange", this.frame_change_listener);
+    }
+
+
+    /**
+     * Add a source to the comparison.
+     *
+     * The parameters are the ones of `loadPointClouds` of the player. Only
+     * the frames of the scene are shown, its layers, cameras and images are
+     * left to the main player.
+     *
+     * :returns: the player of the source
+     */
+    addSource(scene, type_identifier) {
+        const renderer = this.player.renderer;
+        const index = this.sources.length + 1;
+        const source = new Player(renderer);
+
+        if("split" == this.mode) {
+            source.setTarget(renderer.addViewport(), "comparison_" + index);
+            renderer.onWindowResize();
+        } else {
+            source.setTarget(renderer.scene, "comparison_" + index);
+            source.setTint(TINTS[index % TINTS.length]);
+        }
+
+        this.sources.push(source);
+
+        source.loadPointClouds({
+            name: scene["name"],
+            frames: scene["frames"],
+            transform: scene["transform"]
+        }, type_identifier);
+        this.follow(source);
+
+        return source;
+    }
+
+
+    /**
+     * Move all sources to the frame of the main player.
+     */
+    followPlayer() {
+        for(const source of this.sources) {
+            this.follow(source);
+        }
+    }
+
+
+    /**
+     * Move a source to the frame of the main player.
+     */
+    follow(source) {
+        const frame = this.player.frames[this.player.current_frame];
+        if(undefined === frame) {
+            return;
+        }
+
+        if("index" == this.sync) {
+            source.seekToFrame(this.player.current_frame);
+        } else {
+            source.seekToTime(frame.timestamp);
+        }
+    }
+
+
+    /**
+     * Color the sources again after the coloring of the renderer changed.
+     */
+    updateColoring() {
+        for(const source of this.sources) {
+            source.setColoring({});
+        }
+    }
+
+
+    /**
+     * End the comparison.
+     *
+     * The point clouds of all sources are freed and the main player is shown
+     * on its own again.
+     */
+    dispose() {
+        const renderer = this.player.renderer;
+
+        for(const source of this.sources) {
+            source.dispose();
+
+            if("split" == this.mode) {
+                renderer.removeViewport(source.scene);
+            }
+        }
+
+        this.sources = [];
+        this.player.removeEventListener("framechange", this.frame_change_listener);
+        this.player.setTint(undefined);
+    }
+}
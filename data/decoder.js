@@ -0,0 +1,279 @@
+import { contentHash, parsePointCloud } from './formats.js';
+import { PointCloudLoadError, download, parseError } from './loaderrors.js';
+
+/**
+ * Number of workers by default.
+ *
+ * One core is left for the page itself.
+ */
+const DEFAULT_WORKERS = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+
+
+/**
+ * Error of a job which was cancelled.
+ */
+function cancelled() {
+    return new DOMException("Decoding was cancelled.", "AbortError");
+}
+
+
+/**
+ * Downloads and parses point clouds in Web Workers.
+ *
+ * Each worker handles a single file at a time, so the number of workers
+ * caps the parallel downloads and decodes. Further files wait in a queue.
+ * The parsed arrays are transferred from the workers without copying them.
+ *
+ * Jobs are cancelled with an `AbortSignal`: queued jobs are dropped and the
+ * download of running jobs is aborted. The promise of a cancelled job is
+ * rejected with an `AbortError`, the one of a failed job with a
+ * `PointCloudLoadError`.
+ *
+ * Where module workers are not available, the files are parsed on the main
+ * thread.
+ */
+export class DecoderPool {
+    /**
+     * Set up the pool.
+     *
+     * The workers are started when they are needed for the first time.
+     *
+     * :param size: number of workers
+     */
+    constructor(size=DEFAULT_WORKERS) {
+        this.size = size;
+        this.slots = [];
+        this.queue = [];
+        this.next_id = 0;
+        this.use_workers = "undefined" !== typeof Worker;
+    }
+
+
+    /**
+     * Download and parse a point cloud.
+     *
+     * :param url: URL of the file, relative to the page
+     * :param format: name of the format, see `formatOf`
+     * :param signal: optional `AbortSignal` cancelling the job
+     * :param octree_budget: clouds with more points are sorted into an
+     *     octree by the worker, see `sortIntoOctree`
+     * :returns: promise of the parsed point cloud with the `hash` of the
+     *     file, see `contentHash`
+     */
+    decode(url, format, signal=undefined, octree_budget=undefined) {
+        return new Promise((resolve, reject) => {
+            if(undefined !== signal && signal.aborted) {
+                reject(cancelled());
+                return;
+            }
+
+            const job = {
+                id: this.next_id++,
+                // workers resolve relative URLs against their own location
+                url: new URL(url, document.baseURI).href,
+                format: format,
+                octree_budget: octree_budget,
+                resolve: resolve,
+                reject: reject,
+                slot: undefined,
+                finished: false,
+                signal: signal,
+                on_abort: undefined
+            };
+
+            if(undefined !== signal) {
+                job.on_abort = () => this.cancel(job);
+                signal.addEventListener("abort", job.on_abort, {once: true});
+            }
+
+            this.queue.push(job);
+            this.schedule();
+        });
+    }
+
+
+    /**
+     * Number of jobs which are running or waiting.
+     */
+    pending() {
+        return this.queue.length + this.slots.filter((slot) => undefined !== slot.job).length;
+    }
+
+
+    /**
+     * Hand the waiting jobs to idle workers.
+     */
+    schedule() {
+        while(0 < this.queue.length) {
+            if(!this.use_workers) {
+                this.decodeOnMainThread(this.queue.shift());
+                continue;
+            }
+
+            const slot = this.idleSlot();
+            if(undefined === slot) {
+                return;
+            }
+
+            const job = this.queue.shift();
+            job.slot = slot;
+            slot.job = job;
+            slot.worker.postMessage({type: "decode", id: job.id, url: job.url, format: job.format, octree_budget: job.octree_budget});
+        }
+    }
+
+
+    /**
+     * A worker without a job or `undefined` if all of them are busy.
+     */
+    idleSlot() {
+        const idle = this.slots.find((slot) => undefined === slot.job);
+        if(undefined !== idle || this.slots.length >= this.size) {
+            return idle;
+        }
+
+        try {
+            const worker = new Worker(new URL("./decodeworker.js", import.meta.url), {type: "module"});
+            const slot = {worker: worker, job: undefined};
+
+            worker.onmessage = (event) => this.onMessage(slot, event.data);
+            worker.onerror = (event) => this.onWorkerError(slot, event);
+            this.slots.push(slot);
+
+            return slot;
+        } catch(error) {
+            console.warn("Could not start a decoder worker, decoding on the main thread.", error);
+            this.use_workers = false;
+            return undefined;
+        }
+    }
+
+
+    /**
+     * Handle the answer of a worker, see `decodeworker.js`.
+     */
+    onMessage(slot, message) {
+        const job = slot.job;
+        slot.job = undefined;
+
+        if(undefined !== job && job.id == message.id) {
+            if("done" == message.type) {
+                this.finish(job, () => job.resolve(message.cloud));
+            } else if("error" == message.type) {
+                const error = new PointCloudLoadError(message.kind, job.url, message.message, message.status);
+                this.finish(job, () => job.reject(error));
+            } else {
+                this.finish(job, () => job.reject(cancelled()));
+            }
+        }
+
+        this.schedule();
+    }
+
+
+    /**
+     * A worker failed to start, e.g. because the browser does not support
+     * module workers. Its job and all further jobs are decoded on the main
+     * thread.
+     */
+    onWorkerError(slot, event) {
+        event.preventDefault();
+        console.warn("A decoder worker failed, decoding on the main thread.", event.message);
+
+        const job = slot.job;
+        slot.worker.terminate();
+        this.slots = this.slots.filter((other) => other !== slot);
+        this.use_workers = false;
+
+        if(undefined !== job && !job.finished) {
+            job.slot = undefined;
+            this.queue.unshift(job);
+        }
+
+        this.schedule();
+    }
+
+
+    /**
+     * Parse a file on the main thread.
+     */
+    decodeOnMainThread(job) {
+        const controller = new AbortController();
+        job.slot = {controller: controller};
+
+        download(job.url, controller.signal)
+            .then((data) => Promise.all([parsePointCloud(data, job.format), contentHash(data)])
+                .catch((error) => {
+                    throw parseError(error, job.url);
+                }))
+            .then(
+                ([cloud, hash]) => {
+                    cloud.hash = hash;
+                    this.finish(job, () => job.resolve(cloud));
+                },
+                (error) => this.finish(job, () => job.reject(error)));
+    }
+
+
+    /**
+     * Cancel a job.
+     *
+     * A running worker stays busy until it confirms the cancellation.
+     */
+    cancel(job) {
+        if(job.finished) {
+            return;
+        }
+
+        this.queue = this.queue.filter((other) => other !== job);
+
+        if(undefined !== job.slot) {
+            if(undefined !== job.slot.worker) {
+                job.slot.worker.postMessage({type: "cancel", id: job.id});
+            } else {
+                job.slot.controller.abort();
+            }
+        }
+
+        this.finish(job, () => job.reject(cancelled()));
+    }
+
+
+    /**
+     * Settle the promise of a job exactly once.
+     *
+     * The job stops listening to its signal, which may outlive many jobs.
+     */
+    finish(job, settle) {
+        if(!job.finished) {
+            job.finished = true;
+
+            if(undefined !== job.signal) {
+                job.signal.removeEventListener("abort", job.on_abort);
+            }
+
+            settle();
+        }
+    }
+
+
+    /**
+     * Cancel all jobs and stop the workers.
+     */
+    dispose() {
+        for(const job of this.queue) {
+            this.finish(job, () => job.reject(cancelled()));
+        }
+
+        for(const slot of this.slots) {
+            if(undefined !== slot.job) {
+                this.finish(slot.job, () => slot.job.reject(cancelled()));
+            }
+
+            slot.worker.terminate();
+        }
+
+        this.queue = [];
+        this.slots = [];
+    }
+}
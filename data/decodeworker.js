@@ -0,0 +1,90 @@
+/**
+ * Worker downloading and parsing point clouds, see `DecoderPool`.
+ *
+ * The worker takes `decode` messages with the `id` of the job, the absolute
+ * `url` and the `format` of the file and an optional `octree_budget`. Clouds
+ * with more points are sorted into an octree, see `sortIntoOctree`, so the
+ * main thread doesn't have to. It answers with a `done` message with the
+ * parsed point cloud, an `error` message with the error `message`, its
+ * `kind` and HTTP `status` (see `PointCloudLoadError`) or a `cancelled`
+ * message. The arrays of the point cloud are transferred, not copied. The
+ * point cloud carries the `hash` of the file, see `contentHash`.
+ *
+ * A `cancel` message with the `id` of a job aborts its download.
+ */
+
+import { contentHash, parsePointCloud } from './formats.js';
+import { download, parseError } from './loaderrors.js';
+import { sortIntoOctree } from './octreelayout.js';
+
+var downloads = new Map();
+
+
+/**
+ * Buffers of all arrays of a parsed point cloud.
+ */
+function transferables(cloud) {
+    var buffers = new Set([cloud.position.buffer]);
+
+    if(undefined !== cloud.color) {
+        buffers.add(cloud.color.buffer);
+    }
+
+    for(const name in cloud.fields) {
+        buffers.add(cloud.fields[name].buffer);
+    }
+
+    return Array.from(buffers);
+}
+
+
+function decode(message) {
+    const controller = new AbortController();
+    downloads.set(message.id, controller);
+
+    download(message.url, controller.signal)
+        .then((data) => {
+            // the download may have been cancelled just before it finished
+            if(controller.signal.aborted) {
+                throw new DOMException("Decoding was cancelled.", "AbortError");
+            }
+
+            return Promise.all([parsePointCloud(data, message.format), contentHash(data)])
+                .catch((error) => {
+                    throw parseError(error, message.url);
+                });
+        })
+        .then(([cloud, hash]) => {
+            if(undefined !== message.octree_budget && cloud.count > message.octree_budget) {
+                cloud = sortIntoOctree(cloud);
+            }
+
+            cloud.hash = hash;
+            self.postMessage({type: "done", id: message.id, cloud: cloud}, transferables(cloud));
+        })
+        .catch((error) => {
+            if(controller.signal.aborted) {
+                self.postMessage({type: "cancelled", id: message.id});
+            } else {
+                self.postMessage({
+                    type: "error",
+                    id: message.id,
+                    message: error.message,
+                    kind: error.kind || "parse",
+                    status: error.status
+                });
+            }
+        })
+        .finally(() => downloads.delete(message.id));
+}
+
+
+self.onmessage = function(event) {
+    const message = event.data;
+
+    if("decode" == message.type) {
+        decode(message);
+    } else if("cancel" == message.type && downloads.has(message.id)) {
+        downloads.get(message.id).abort();
+    }
+};
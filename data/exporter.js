@@ -0,0 +1,385 @@
+import { WebMWriter } from './webm.js';
+import { ZipWriter } from './zip.js';
+
+/**
+ * Formats a sequence can be exported to.
+ *
+ * `webm` records a video, `png` writes a zip archive with one image per
+ * frame.
+ */
+export const EXPORT_FORMATS = ["webm", "png"];
+
+const DEFAULT_WIDTH = 1920;
+const DEFAULT_HEIGHT = 1080;
+const VIDEO_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+const VIDEO_BITS_PER_SECOND = 16000000;
+
+/**
+ * Codecs for the `VideoEncoder` with their Matroska codec IDs.
+ */
+const VIDEO_CODECS = [
+    {codec: "vp09.00.10.08", id: "V_VP9"},
+    {codec: "vp8", id: "V_VP8"}
+];
+
+/**
+ * Longest time between key frames of a video in seconds, so players can seek.
+ */
+const KEY_FRAME_INTERVAL = 5;
+
+
+/**
+ * Error of an export which was cancelled.
+ */
+function cancelled() {
+    return new DOMException("The export was cancelled.", "AbortError");
+}
+
+
+/**
+ * Wait for some time unless the export is cancelled.
+ */
+function sleep(milliseconds, signal) {
+    return new Promise((resolve, reject) => {
+        const abort = () => {
+            clearTimeout(timer);
+            reject(cancelled());
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener("abort", abort);
+            resolve();
+        }, milliseconds);
+
+        signal.addEventListener("abort", abort, {once: true});
+    });
+}
+
+
+/**
+ * Find a codec the browser can encode videos of the given size with.
+ *
+ * :returns: promise of the codec with its ID and the configuration of the
+ *     `VideoEncoder`; of `undefined` without a `VideoEncoder` or codec
+ */
+async function findVideoCodec(width, height) {
+    if("undefined" === typeof VideoEncoder) {
+        return undefined;
+    }
+
+    for(const codec of VIDEO_CODECS) {
+        const config = {codec: codec.codec, width: width, height: height, bitrate: VIDEO_BITS_PER_SECOND};
+        const support = await VideoEncoder.isConfigSupported(config);
+
+        if(support.supported) {
+            return {id: codec.id, config: support.config};
+        }
+    }
+
+    return undefined;
+}
+
+
+/**
+ * Name of the image of a frame within the zip archive.
+ */
+function imageName(index) {
+    return "frame_" + String(index).padStart(6, "0") + ".png";
+}
+
+
+/**
+ * Renders the frames of a player into a video or into images.
+ *
+ * The frames are rendered one after the other at a fixed resolution,
+ * independent of the size of the window. Every frame is loaded completely
+ * before it is rendered, so nothing is dropped however long loading takes.
+ *
+ * The timing follows the timestamps of the frames: in a video, each frame is
+ * shown for its duration; the zip archive contains a `frames.txt` with the
+ * durations in the format of the concat demuxer of ffmpeg.
+ *
+ * Frames which could not be loaded are left out in the `skip` mode of the
+ * player, so the frame before them is shown longer. In the `mark` mode, they
+ * are rendered the way the player shows them, see `setFailedFrameMode`.
+ */
+export class SequenceExporter {
+    constructor(player) {
+        this.player = player;
+    }
+
+
+    /**
+     * Export the frames of the loaded scene.
+     *
+     * :param options: object with any of the following attributes: the
+     *     `format` (see `EXPORT_FORMATS`), the `width` and `height` of the
+     *     images in pixels, the normalized `start` and `end` time of the
+     *     exported range in seconds, a `camera_path` function called with the
+     *     normalized timestamp of each frame before it is rendered, e.g. to
+     *     move the camera, an `AbortSignal` in `signal` and an `on_progress`
+     *     function called with the number of exported frames and the number
+     *     of all frames
+     * :returns: promise of the video or zip archive as `Blob`
+     */
+    async export(options={}) {
+        const player = this.player;
+        const renderer = player.renderer;
+        const format = options.format || "webm";
+        const signal = options.signal || new AbortController().signal;
+
+        if(!EXPORT_FORMATS.includes(format)) {
+            throw new Error("Unknown export format " + format + ".");
+        }
+
+        if(!player.loaded) {
+            throw new Error("No scene is loaded.");
+        }
+
+        const first = player.frameShownAt(options.start || 0);
+        const last = undefined === options.end
+            ? player.frames.length - 1
+            : player.frameShownAt(options.end);
+        if(last < first) {
+            throw new Error("The exported range is empty, its start is after its end.");
+        }
+
+        const indices = Array.from({length: last - first + 1}, (_, offset) => first + offset);
+
+        const previous_frame = player.current_frame;
+        const camera = renderer.camera.position.clone();
+        const target = renderer.controls.target.clone();
+
+        player.pause();
+        renderer.setOutputSize(options.width || DEFAULT_WIDTH, options.height || DEFAULT_HEIGHT);
+
+        try {
+            return "png" == format
+                ? await this.exportImages(indices, options, signal)
+                : await this.exportVideo(indices, options, signal);
+        } finally {
+            renderer.setOutputSize();
+
+            if(undefined !== options.camera_path) {
+                renderer.camera.position.copy(camera);
+                renderer.controls.target.copy(target);
+                renderer.controls.update();
+            }
+
+            if(player.loaded) {
+                player.seekToFrame(previous_frame);
+            }
+        }
+    }
+
+
+    /**
+     * Write the images of the frames into a zip archive.
+     */
+    async exportImages(indices, options, signal) {
+        const canvas = this.player.renderer.renderer.domElement;
+        var zip = new ZipWriter();
+        var images = [];
+
+        for(var done = 0; done < indices.length; ++done) {
+            const frame = await this.renderFrame(indices[done], options, signal);
+
+            if(undefined !== frame) {
+                const image = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+
+                zip.add(imageName(images.length), await image.arrayBuffer());
+                images.push({name: imageName(images.length), duration: frame.duration});
+            } else if(0 < images.length) {
+                // the previous image stands in for the skipped frame
+                images[images.length - 1].duration += this.player.frames[indices[done]].duration;
+            }
+
+            this.progress(options, done + 1, indices.length);
+        }
+
+        zip.add("frames.txt", "ffconcat version 1.0\n" + images
+            .map((image) => "file " + image.name + "\nduration " + image.duration + "\n")
+            .join(""));
+
+        return zip.finish();
+    }
+
+
+    /**
+     * Encode the frames into a video.
+     *
+     * Each frame gets its timestamp and duration from the scene. Browsers
+     * without a suitable `VideoEncoder` record the video in real time
+     * instead, see `recordVideo`.
+     */
+    async exportVideo(indices, options, signal) {
+        const canvas = this.player.renderer.renderer.domElement;
+        const codec = await findVideoCodec(canvas.width, canvas.height);
+
+        if(undefined === codec) {
+            return this.recordVideo(indices, options, signal);
+        }
+
+        const start = this.player.frames[indices[0]].timestamp;
+        var writer = new WebMWriter(codec.id, canvas.width, canvas.height);
+        var failure = undefined;
+        var end = 0;
+        var last_key = -Infinity;
+
+        const encoder = new VideoEncoder({
+            output: (chunk) => {
+                var data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                writer.add(data, chunk.timestamp, "key" == chunk.type);
+            },
+            error: (error) => { failure = error; }
+        });
+        encoder.configure(codec.config);
+
+        try {
+            for(var done = 0; done < indices.length; ++done) {
+                const frame = await this.renderFrame(indices[done], options, signal);
+                if(undefined !== failure) {
+                    throw failure;
+                }
+
+                if(undefined !== frame) {
+                    const timestamp = Math.round(1000000 * (frame.timestamp - start));
+                    const duration = Math.round(1000000 * frame.duration);
+                    const key = 1000000 * KEY_FRAME_INTERVAL <= timestamp - last_key;
+
+                    const image = new VideoFrame(canvas, {timestamp: timestamp, duration: duration});
+                    encoder.encode(image, {keyFrame: key});
+                    image.close();
+
+                    if(key) {
+                        last_key = timestamp;
+                    }
+                    end = timestamp + duration;
+                }
+
+                this.progress(options, done + 1, indices.length);
+            }
+
+            await encoder.flush();
+        } finally {
+            if("closed" != encoder.state) {
+                encoder.close();
+            }
+        }
+
+        return writer.finish(end);
+    }
+
+
+    /**
+     * Record the frames into a video in real time.
+     *
+     * The recorder only runs while a frame is shown, so loading the next
+     * frame doesn't end up in the video. The timing depends on the browser
+     * keeping up, so this is only used without a `VideoEncoder`.
+     */
+    async recordVideo(indices, options, signal) {
+        if("undefined" === typeof MediaRecorder) {
+            throw new Error("Recording videos is not supported by this browser.");
+        }
+
+        const canvas = this.player.renderer.renderer.domElement;
+        const stream = canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const type = VIDEO_TYPES.find((candidate) => MediaRecorder.isTypeSupported(candidate));
+
+        var chunks = [];
+        const recorder = new MediaRecorder(stream, {mimeType: type, videoBitsPerSecond: VIDEO_BITS_PER_SECOND});
+        recorder.ondataavailable = (event) => chunks.push(event.data);
+
+        const stopped = new Promise((resolve) => { recorder.onstop = resolve; });
+        recorder.start();
+        recorder.pause();
+
+        try {
+            for(var done = 0; done < indices.length; ++done) {
+                const frame = await this.renderFrame(indices[done], options, signal);
+
+                if(undefined !== frame) {
+                    recorder.resume();
+                    track.requestFrame();
+                    await sleep(1000 * frame.duration, signal);
+                    recorder.pause();
+                }
+
+                this.progress(options, done + 1, indices.length);
+            }
+        } finally {
+            recorder.stop();
+            track.stop();
+        }
+
+        await stopped;
+
+        return new Blob(chunks, {type: recorder.mimeType});
+    }
+
+
+    /**
+     * Show a frame of the player and render it once it is loaded.
+     *
+     * :returns: promise of the frame; of `undefined` if the frame could not
+     *     be loaded and is skipped, see `setFailedFrameMode` of the `Player`
+     */
+    renderFrame(index, options, signal) {
+        const player = this.player;
+        const frame = player.frames[index];
+
+        return new Promise((resolve, reject) => {
+            const finish = () => {
+                player.removeEventListener("framechange", listener);
+                signal.removeEventListener("abort", abort);
+            };
+            const listener = (event) => {
+                if(event.detail.index != index) {
+                    return;
+                }
+
+                if(player.cache.hasFailed(index)) {
+                    finish();
+                    resolve("skip" != player.failed_frame_mode);
+                } else if(undefined !== frame.points) {
+                    finish();
+                    resolve(true);
+                }
+            };
+            const abort = () => {
+                finish();
+                reject(cancelled());
+            };
+
+            if(signal.aborted) {
+                reject(cancelled());
+                return;
+            }
+
+            player.addEventListener("framechange", listener);
+            signal.addEventListener("abort", abort, {once: true});
+            player.seekToFrame(index);
+        }).then((shown) => {
+            if(!shown) {
+                return undefined;
+            }
+
+            if(undefined !== options.camera_path) {
+                options.camera_path(frame.timestamp);
+            }
+
+            player.renderer.render();
+
+            return frame;
+        });
+    }
+
+
+    progress(options, done, total) {
+        if(undefined !== options.on_progress) {
+            options.on_progress(done, total);
+        }
+    }
+}
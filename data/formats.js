@@ -0,0 +1,206 @@
+/**
+ * Registry of the point-cloud formats.
+ *
+ * Every format is parsed into the same layout, see `createCloud`, so
+ * coloring and picking work the same way for all of them.
+ */
+
+import { createCloud } from './cloud.js';
+import { parsePCD } from './pcd.js';
+import { parsePLY } from './ply.js';
+import { parseLAS, parseLAZ } from './las.js';
+
+const KITTI_COLUMNS = ["x", "y", "z", "intensity"];
+
+/**
+ * Names of the columns of text files without a header by number of columns.
+ */
+const TEXT_COLUMNS = {
+    3: ["x", "y", "z"],
+    4: ["x", "y", "z", "intensity"],
+    6: ["x", "y", "z", "red", "green", "blue"],
+    7: ["x", "y", "z", "intensity", "red", "green", "blue"]
+};
+
+/**
+ * Other names of columns in the headers of text files.
+ */
+const TEXT_COLUMN_NAMES = {
+    r: "red",
+    g: "green",
+    b: "blue",
+    i: "intensity"
+};
+
+
+/**
+ * Parse a raw KITTI scan.
+ *
+ * The file is a plain sequence of 32 bit floats, four per point: the
+ * position and the intensity.
+ */
+export function parseKITTI(data) {
+    const values = new Float32Array(data, 0, Math.floor(data.byteLength / 4));
+    const count = Math.floor(values.length / KITTI_COLUMNS.length);
+
+    var columns = {};
+    KITTI_COLUMNS.forEach((name, column) => {
+        var array = new Float32Array(count);
+        for(var point = 0; point < count; ++point) {
+            array[point] = values[KITTI_COLUMNS.length * point + column];
+        }
+
+        columns[name] = array;
+    });
+
+    return createCloud(columns, count);
+}
+
+
+/**
+ * Parse a point cloud stored as text with one point per line.
+ *
+ * The values are separated by white space, commas or semicolons. An
+ * optional first line names the columns; without it, the columns are
+ * guessed from their number, see `TEXT_COLUMNS`. Lines starting with `#` or
+ * `//` are comments.
+ */
+export function parseXYZ(data) {
+    const lines = new TextDecoder().decode(data).split("\n");
+    const separator = /[\s,;]+/;
+
+    var names = undefined;
+    var rows = [];
+
+    for(const line of lines) {
+        const text = line.trim();
+        if(0 == text.length || text.startsWith("#") || text.startsWith("//")) {
+            continue;
+        }
+
+        const values = text.split(separator);
+        if(undefined === names && 0 == rows.length && values.some((value) => isNaN(parseFloat(value)))) {
+            names = values.map((name) => {
+                const lower = name.toLowerCase().replace(/^["']|["']$/g, "");
+                return TEXT_COLUMN_NAMES[lower] || lower;
+            });
+            continue;
+        }
+
+        rows.push(values);
+    }
+
+    const width = 0 < rows.length ? rows[0].length : 3;
+    if(undefined === names) {
+        names = TEXT_COLUMNS[width] || TEXT_COLUMNS[3].concat(
+            Array.from({length: Math.max(0, width - 3)}, (_, index) => "field_" + (index + 3)));
+    }
+
+    var columns = {};
+    names.forEach((name, column) => {
+        var array = new Float32Array(rows.length);
+        for(var point = 0; point < rows.length; ++point) {
+            array[point] = parseFloat(rows[point][column]);
+        }
+
+        columns[name] = array;
+    });
+
+    return createCloud(columns, rows.length);
+}
+
+
+/**
+ * The known formats.
+ *
+ * Each format has the file `extensions` it is picked for and a `parse`
+ * function taking the content of a file as `ArrayBuffer`. The function
+ * returns the parsed point cloud or a promise of it.
+ */
+export const FORMATS = {
+    pcd: {extensions: ["pcd"], parse: parsePCD},
+    ply: {extensions: ["ply"], parse: parsePLY},
+    las: {extensions: ["las"], parse: parseLAS},
+    laz: {extensions: ["laz"], parse: parseLAZ},
+    kitti: {extensions: ["bin"], parse: parseKITTI},
+    xyz: {extensions: ["xyz", "txt", "pts"], parse: parseXYZ},
+    csv: {extensions: ["csv"], parse: parseXYZ}
+};
+
+
+/**
+ * Add a format or replace a known one.
+ *
+ * :param name: name of the format, as used in the `format` of a cloud
+ * :param extensions: file extensions the format is picked for
+ * :param parse: function parsing the content of a file, see `FORMATS`
+ */
+export function registerFormat(name, extensions, parse) {
+    FORMATS[name] = {extensions: extensions, parse: parse};
+}
+
+
+/**
+ * Find the format of a file.
+ *
+ * :param path: path of the file; the format is picked by its extension
+ * :param format: explicit name of the format, e.g. the `format` of a cloud
+ *     in the scene configuration; takes precedence over the extension
+ * :returns: the name of the format
+ */
+export function formatOf(path, format=undefined) {
+    if(undefined !== format) {
+        if(!(format in FORMATS)) {
+            throw new Error("Unknown point cloud format " + format + ".");
+        }
+
+        return format;
+    }
+
+    // ignore query strings and fragments of URLs
+    const file = path.split(/[?#]/)[0];
+    const extension = file.slice(file.lastIndexOf(".") + 1).toLowerCase();
+
+    for(const name in FORMATS) {
+        if(FORMATS[name].extensions.includes(extension)) {
+            return name;
+        }
+    }
+
+    throw new Error("Unknown point cloud format of " + path + ".");
+}
+
+
+/**
+ * Parse the content of a file.
+ *
+ * :param data: content of the file as `ArrayBuffer`
+ * :param format: name of the format, see `formatOf`
+ * :returns: promise of the parsed point cloud
+ */
+export function parsePointCloud(data, format) {
+    return new Promise((resolve) => resolve(FORMATS[format].parse(data)));
+}
+
+
+/**
+ * Hash of the content of a file.
+ *
+ * Identifies the version of a file in the `FrameStore`.
+ *
+ * :param data: content of the file as `ArrayBuffer`
+ * :returns: promise of the SHA-256 hash as hexadecimal string or of
+ *     `undefined` where the Web Crypto API is not available, e.g. on pages
+ *     served without HTTPS
+ */
+export function contentHash(data) {
+    if("undefined" === typeof crypto || undefined === crypto.subtle) {
+        return Promise.resolve(undefined);
+    }
+
+    return crypto.subtle.digest("SHA-256", data).then((digest) => {
+        return Array.from(new Uint8Array(digest))
+            .map((byte) => byte.toString(16).padStart(2, "0"))
+            .join("");
+    });
+}
@@ -0,0 +1,276 @@
+const DEFAULT_FRAMES_AHEAD = 30;
+const DEFAULT_FRAMES_BEHIND = 5;
+const DEFAULT_MAX_REQUESTS = 4;
+
+
+/**
+ * Sliding-window cache for the frames of a sequence.
+ *
+ * Only the frames around the playhead are kept in memory. The cache loads a
+ * configurable number of frames ahead of and behind the current frame and
+ * disposes all other frames. The frames are the objects of the player; the
+ * cache stores the loaded point cloud in their `points` attribute.
+ *
+ * The sequence is treated as a loop, i.e. the frames ahead of the last frame
+ * are the first frames of the sequence. "Ahead" follows the playback
+ * direction, see `setReverse`.
+ *
+ * Frames which could not be loaded are marked as `failed` and are not
+ * requested again until `retryFailed` is called.
+ */
+export class FrameCache {
+    /**
+     * Set up the cache.
+     *
+     * :param load: is called as `load(frame, index)` to start loading a
+     *     frame; the result must be passed to `store` or the failure to
+     *     `fail`
+     * :param dispose: is called with a point cloud which is not needed
+     *     anymore and should free its resources
+     * :param ahead: number of frames loaded ahead of the current frame
+     * :param behind: number of frames kept behind the current frame
+     * :param max_requests: maximal number of frames loaded at the same time
+     */
+    constructor(load, dispose, ahead=DEFAULT_FRAMES_AHEAD, behind=DEFAULT_FRAMES_BEHIND, max_requests=DEFAULT_MAX_REQUESTS) {
+        this.load = load;
+        this.dispose = dispose;
+        this.ahead = ahead;
+        this.behind = behind;
+        this.max_requests = max_requests;
+        this.reverse = false;
+
+        this.frames = [];
+        this.order = [];
+        this.wanted = new Set();
+        this.requests = 0;
+    }
+
+
+    /**
+     * Replace the frames handled by the cache.
+     *
+     * All point clouds of the previous frames are disposed. Requests which
+     * are still running for them are forgotten, the caller has to drop their
+     * results.
+     */
+    reset(frames=[]) {
+        for(const frame of this.frames) {
+            this.evict(frame);
+            frame.loading = false;
+            frame.failed = false;
+        }
+
+        this.frames = frames;
+        this.order = [];
+        this.wanted = new Set();
+        this.requests = 0;
+    }
+
+
+    /**
+     * Change the size of the window.
+     */
+    setWindow(ahead, behind) {
+        this.ahead = Math.max(0, ahead);
+        this.behind = Math.max(0, behind);
+    }
+
+
+    /**
+     * Change the direction in which frames are loaded ahead.
+     *
+     * :param reverse: `true` while the sequence is played backwards
+     */
+    setReverse(reverse) {
+        this.reverse = reverse;
+    }
+
+
+    /**
+     * Indices of all frames in the window in the order they are loaded.
+     *
+     * The current frame comes first, followed by the frames ahead of it and
+     * finally the frames behind it.
+     */
+    windowIndices(index) {
+        const count = this.frames.length;
+        const direction = this.reverse ? -1 : 1;
+        var indices = [];
+        var seen = new Set();
+
+        const add = (offset) => {
+            const i = ((index + direction * offset) % count + count) % count;
+            if(!seen.has(i)) {
+                seen.add(i);
+                indices.push(i);
+            }
+        };
+
+        for(var offset = 0; offset <= this.ahead; ++offset) {
+            add(offset);
+        }
+
+        for(var offset = 1; offset <= this.behind; ++offset) {
+            add(-offset);
+        }
+
+        return indices;
+    }
+
+
+    /**
+     * Move the window to a new frame.
+     *
+     * Frames outside the window are disposed and the missing frames inside
+     * the window are requested.
+     *
+     * While the frames shown fall behind the playhead, the window follows
+     * the playhead, but the frame still shown is kept and loaded as well.
+     *
+     * :param index: index of the frame shown
+     * :param playhead: index of the frame the playback has reached
+     */
+    update(index, playhead=index) {
+        if(0 == this.frames.length) {
+            return;
+        }
+
+        this.order = this.windowIndices(playhead);
+        if(!this.order.includes(index)) {
+            this.order.push(index);
+        }
+
+        this.wanted = new Set(this.order);
+
+        for(var i = 0; i < this.frames.length; ++i) {
+            if(!this.wanted.has(i)) {
+                this.evict(this.frames[i]);
+            }
+        }
+
+        this.requestFrames();
+    }
+
+
+    /**
+     * Start loading missing frames until the request limit is reached.
+     */
+    requestFrames() {
+        for(const index of this.order) {
+            if(this.requests >= this.max_requests) {
+                return;
+            }
+
+            const frame = this.frames[index];
+            if(undefined !== frame.points || frame.loading || frame.failed) {
+                continue;
+            }
+
+            frame.loading = true;
+            this.requests++;
+            this.load(frame, index);
+        }
+    }
+
+
+    /**
+     * Store a loaded point cloud.
+     *
+     * If the frame left the window while it was loading, the point cloud is
+     * disposed right away.
+     */
+    store(index, points) {
+        const frame = this.frames[index];
+
+        frame.loading = false;
+        this.requests = Math.max(0, this.requests - 1);
+
+        if(this.wanted.has(index)) {
+            frame.points = points;
+        } else {
+            this.dispose(points);
+        }
+
+        this.requestFrames();
+    }
+
+
+    /**
+     * Give up on a frame which could not be loaded.
+     */
+    fail(index) {
+        const frame = this.frames[index];
+
+        frame.loading = false;
+        frame.failed = true;
+        this.requests = Math.max(0, this.requests - 1);
+
+        this.requestFrames();
+    }
+
+
+    /**
+     * Load the failed frames again when they are in the window.
+     */
+    retryFailed() {
+        for(const frame of this.frames) {
+            frame.failed = false;
+        }
+
+        this.requestFrames();
+    }
+
+
+    /**
+     * Remove the point cloud of a frame from memory.
+     */
+    evict(frame) {
+        if(undefined === frame.points) {
+            return;
+        }
+
+        this.dispose(frame.points);
+        frame.points = undefined;
+    }
+
+
+    /**
+     * Check whether the point cloud of a frame is available.
+     */
+    isLoaded(index) {
+        const frame = this.frames[index];
+
+        return undefined !== frame && undefined !== frame.points;
+    }
+
+
+    /**
+     * Check whether a frame could not be loaded.
+     */
+    hasFailed(index) {
+        const frame = this.frames[index];
+
+        return undefined !== frame && true === frame.failed;
+    }
+
+
+    /**
+     * Fill level of the window.
+     *
+     * :returns: object with the number of `loaded` frames and the `size`
+     *     of the window
+     */
+    fill() {
+        var loaded = 0;
+        for(const index of this.wanted) {
+            if(this.isLoaded(index)) {
+                loaded++;
+            }
+        }
+
+        return {
+            loaded: loaded,
+            size: this.wanted.size
+        };
+    }
+}
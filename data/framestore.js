@@ -0,0 +1,397 @@
+/**
+ * Number of bytes the store keeps at most by default.
+ */
+export const DEFAULT_STORE_SIZE = 2 * 1024 * 1024 * 1024;
+
+const DATABASE_NAME = "pointcloud-frames";
+const DATABASE_VERSION = 1;
+const ENTRIES = "entries";
+const CLOUDS = "clouds";
+const PINS = "pins";
+
+
+/**
+ * Wrap an IndexedDB request into a promise.
+ */
+function promised(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+
+/**
+ * Promise which is resolved when a transaction is committed.
+ */
+function completed(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+
+/**
+ * Number of bytes of the arrays of a parsed point cloud.
+ */
+function cloudSize(cloud) {
+    var size = cloud.position.byteLength;
+
+    if(undefined !== cloud.color) {
+        size += cloud.color.byteLength;
+    }
+
+    for(const name in cloud.fields) {
+        size += cloud.fields[name].byteLength;
+    }
+
+    return size;
+}
+
+
+/**
+ * Keeps decoded point clouds in the browser across visits.
+ *
+ * The point clouds are stored in IndexedDB by their path together with the
+ * hash of the file content. If the scene configuration gives a `hash` for a
+ * cloud, an entry with a different hash is outdated and loaded again.
+ *
+ * When the store is full, the least recently used point clouds are evicted.
+ * Point clouds of pinned scenes are never evicted, so pinned scenes stay
+ * available without a network.
+ *
+ * Without IndexedDB, e.g. in private windows of some browsers, the store
+ * keeps nothing and all point clouds are loaded from the network.
+ */
+export class FrameStore {
+    /**
+     * Set up the store.
+     *
+     * :param max_size: number of bytes kept at most, pinned scenes included
+     */
+    constructor(max_size=DEFAULT_STORE_SIZE) {
+        this.max_size = max_size;
+        this.entries = new Map();
+        this.pins = new Map();
+        this.database = this.open().catch((error) => {
+            console.warn("The frame store is not available.", error);
+            return undefined;
+        });
+    }
+
+
+    /**
+     * Open the database and read the entries and pins into memory.
+     *
+     * The point clouds themselves are only read when they are needed.
+     */
+    open() {
+        if("undefined" === typeof indexedDB) {
+            return Promise.reject(new Error("IndexedDB is not supported."));
+        }
+
+        const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+        request.onupgradeneeded = () => {
+            const database = request.result;
+            database.createObjectStore(ENTRIES, {keyPath: "path"});
+            database.createObjectStore(CLOUDS);
+            database.createObjectStore(PINS, {keyPath: "scene"});
+        };
+
+        return promised(request).then((database) => {
+            const transaction = database.transaction([ENTRIES, PINS], "readonly");
+
+            return Promise.all([
+                promised(transaction.objectStore(ENTRIES).getAll()),
+                promised(transaction.objectStore(PINS).getAll())
+            ]).then(([entries, pins]) => {
+                for(const entry of entries) {
+                    this.entries.set(entry.path, entry);
+                }
+
+                for(const pin of pins) {
+                    this.pins.set(pin.scene, new Set(pin.paths));
+                }
+
+                return database;
+            });
+        });
+    }
+
+
+    /**
+     * Load a point cloud from the store or with a loader.
+     *
+     * :param path: path of the point cloud
+     * :param hash: expected hash of the file or `undefined` to accept any
+     * :param load: function returning a promise of the parsed point cloud;
+     *     is called if the store does not have the point cloud
+     * :returns: promise of the parsed point cloud
+     */
+    load(path, hash, load) {
+        return this.get(path, hash).then((cloud) => {
+            if(undefined !== cloud) {
+                return cloud;
+            }
+
+            return load().then((loaded) => {
+                this.put(path, loaded).catch((error) => {
+                    console.warn("Could not store " + path + ".", error);
+                });
+
+                return loaded;
+            });
+        });
+    }
+
+
+    /**
+     * Whether a point cloud is stored.
+     */
+    has(path, hash=undefined) {
+        const entry = this.entries.get(path);
+        return undefined !== entry && (undefined === hash || hash == entry.hash);
+    }
+
+
+    /**
+     * Read a point cloud.
+     *
+     * :returns: promise of the parsed point cloud or of `undefined` if it is
+     *     not stored or outdated
+     */
+    get(path, hash=undefined) {
+        return this.database.then((database) => {
+            if(undefined === database || !this.has(path, hash)) {
+                return undefined;
+            }
+
+            const entry = this.entries.get(path);
+            entry.last_used = Date.now();
+
+            const transaction = database.transaction([ENTRIES, CLOUDS], "readwrite");
+            transaction.objectStore(ENTRIES).put(entry);
+
+            return promised(transaction.objectStore(CLOUDS).get(path)).then((cloud) => {
+                // the cloud is gone if another tab evicted it
+                if(undefined === cloud) {
+                    this.entries.delete(path);
+                }
+
+                return cloud;
+            });
+        }).catch((error) => {
+            console.warn("Could not read " + path + " from the frame store.", error);
+            return undefined;
+        });
+    }
+
+
+    /**
+     * Store a point cloud.
+     *
+     * The `hash` of the parsed point cloud identifies its content, see
+     * `contentHash`. Least recently used point clouds are evicted
+     * afterwards.
+     */
+    put(path, cloud) {
+        return this.database.then((database) => {
+            if(undefined === database) {
+                return;
+            }
+
+            const entry = {
+                path: path,
+                hash: cloud.hash,
+                size: cloudSize(cloud),
+                last_used: Date.now()
+            };
+
+            const transaction = database.transaction([ENTRIES, CLOUDS], "readwrite");
+            transaction.objectStore(ENTRIES).put(entry);
+            transaction.objectStore(CLOUDS).put(cloud, path);
+
+            return completed(transaction).then(() => {
+                this.entries.set(path, entry);
+                return this.evict();
+            });
+        });
+    }
+
+
+    /**
+     * Remove point clouds until the store fits its size.
+     *
+     * Pinned point clouds are kept, even if they alone exceed the size.
+     */
+    evict() {
+        const pinned = this.pinnedPaths();
+        var size = this.usage().size;
+
+        const candidates = Array.from(this.entries.values())
+            .filter((entry) => !pinned.has(entry.path))
+            .sort((a, b) => a.last_used - b.last_used);
+
+        var evicted = [];
+        for(const entry of candidates) {
+            if(size <= this.max_size) {
+                break;
+            }
+
+            size -= entry.size;
+            evicted.push(entry.path);
+        }
+
+        return this.remove(evicted);
+    }
+
+
+    /**
+     * Remove point clouds from the store.
+     */
+    remove(paths) {
+        if(0 == paths.length) {
+            return Promise.resolve();
+        }
+
+        return this.database.then((database) => {
+            if(undefined === database) {
+                return;
+            }
+
+            const transaction = database.transaction([ENTRIES, CLOUDS], "readwrite");
+
+            for(const path of paths) {
+                transaction.objectStore(ENTRIES).delete(path);
+                transaction.objectStore(CLOUDS).delete(path);
+                this.entries.delete(path);
+            }
+
+            return completed(transaction);
+        });
+    }
+
+
+    /**
+     * Keep the point clouds of a scene, e.g. for offline use.
+     *
+     * The point clouds which are not stored yet still have to be loaded, see
+     * `pinScene` of the `Player`.
+     *
+     * :param scene: identifier of the scene
+     * :param paths: paths of all point clouds of the scene
+     */
+    pin(scene, paths) {
+        this.pins.set(scene, new Set(paths));
+
+        // ask the browser not to clear the storage on its own
+        if(undefined !== navigator.storage && undefined !== navigator.storage.persist) {
+            navigator.storage.persist();
+        }
+
+        return this.database.then((database) => {
+            if(undefined !== database) {
+                const transaction = database.transaction(PINS, "readwrite");
+                transaction.objectStore(PINS).put({scene: scene, paths: Array.from(paths)});
+
+                return completed(transaction);
+            }
+        });
+    }
+
+
+    /**
+     * Allow the point clouds of a scene to be evicted again.
+     */
+    unpin(scene) {
+        this.pins.delete(scene);
+
+        return this.database.then((database) => {
+            if(undefined !== database) {
+                const transaction = database.transaction(PINS, "readwrite");
+                transaction.objectStore(PINS).delete(scene);
+
+                return completed(transaction).then(() => this.evict());
+            }
+        });
+    }
+
+
+    /**
+     * Whether a scene is pinned.
+     */
+    isPinned(scene) {
+        return this.pins.has(scene);
+    }
+
+
+    /**
+     * Paths of the point clouds of all pinned scenes.
+     */
+    pinnedPaths() {
+        var paths = new Set();
+        for(const scene_paths of this.pins.values()) {
+            for(const path of scene_paths) {
+                paths.add(path);
+            }
+        }
+
+        return paths;
+    }
+
+
+    /**
+     * How much the store holds.
+     *
+     * :returns: object with the number of stored point clouds in `count`,
+     *     their `size` in bytes, the size of the pinned ones in
+     *     `pinned_size`, the `max_size` of the store and the identifiers of
+     *     the `pinned_scenes`
+     */
+    usage() {
+        const pinned = this.pinnedPaths();
+        var size = 0;
+        var pinned_size = 0;
+
+        for(const entry of this.entries.values()) {
+            size += entry.size;
+
+            if(pinned.has(entry.path)) {
+                pinned_size += entry.size;
+            }
+        }
+
+        return {
+            count: this.entries.size,
+            size: size,
+            pinned_size: pinned_size,
+            max_size: this.max_size,
+            pinned_scenes: Array.from(this.pins.keys())
+        };
+    }
+
+
+    /**
+     * Remove all point clouds and pins.
+     */
+    clear() {
+        this.pins.clear();
+
+        return this.database.then((database) => {
+            if(undefined === database) {
+                return;
+            }
+
+            const transaction = database.transaction([ENTRIES, CLOUDS, PINS], "readwrite");
+            for(const name of [ENTRIES, CLOUDS, PINS]) {
+                transaction.objectStore(name).clear();
+            }
+
+            this.entries.clear();
+
+            return completed(transaction);
+        });
+    }
+}
@@ -0,0 +1,180 @@
+import * as THREE from 'three';
+
+const SAMPLE_SIZE = 5000;
+const ITERATIONS = 100;
+const DISTANCE_THRESHOLD = 0.15;
+const MAX_SLOPE = 20;
+const RANDOM_SEED = 12345;
+
+
+/**
+ * Pseudo random numbers from a fixed seed.
+ *
+ * The plane of a frame is the same every time it is fitted, so the ground
+ * doesn't flicker when going back and forth.
+ */
+function createRandom(seed) {
+    var state = seed;
+
+    return () => {
+        state = (1664525 * state + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+
+/**
+ * Least-squares plane `y = a x + b z + c` through points.
+ *
+ * :returns: the plane as `THREE.Plane` or `undefined` if the points are
+ *     degenerate
+ */
+function fitLeastSquares(positions, indices) {
+    var sums = new Float64Array(9);
+
+    for(const index of indices) {
+        const x = positions[3 * index];
+        const y = positions[3 * index + 1];
+        const z = positions[3 * index + 2];
+
+        sums[0] += x * x;
+        sums[1] += x * z;
+        sums[2] += x;
+        sums[3] += z * z;
+        sums[4] += z;
+        sums[5] += 1;
+        sums[6] += x * y;
+        sums[7] += z * y;
+        sums[8] += y;
+    }
+
+    const system = new THREE.Matrix3().set(
+        sums[0], sums[1], sums[2],
+        sums[1], sums[3], sums[4],
+        sums[2], sums[4], sums[5]);
+
+    if(Math.abs(system.determinant()) < Number.EPSILON) {
+        return undefined;
+    }
+
+    const solution = new THREE.Vector3(sums[6], sums[7], sums[8]).applyMatrix3(system.invert());
+    const normal = new THREE.Vector3(-solution.x, 1, -solution.y).normalize();
+
+    return new THREE.Plane().setFromNormalAndCoplanarPoint(normal, new THREE.Vector3(0, solution.z, 0));
+}
+
+
+/**
+ * Fit the ground plane of a point cloud with RANSAC.
+ *
+ * The plane through three random points which has the most points close to
+ * it wins; it is refined with a least-squares fit through those points.
+ * Only planes tilted by at most 20 degrees against the Y axis of the
+ * viewer are ground candidates, so walls are never picked.
+ *
+ * Point clouds are subsampled for the search, so fitting is fast enough to
+ * be done for every frame.
+ *
+ * :param positions: the positions of the points in the coordinates of the
+ *     viewer, three values per point
+ * :param threshold: largest distance of a ground point from the plane
+ * :returns: the plane as `THREE.Plane` with its normal pointing up or
+ *     `undefined` if no plane was found
+ */
+export function fitGroundPlane(positions, threshold=DISTANCE_THRESHOLD) {
+    const count = Math.floor(positions.length / 3);
+    if(count < 3) {
+        return undefined;
+    }
+
+    const random = createRandom(RANDOM_SEED);
+    const step = Math.max(1, Math.floor(count / SAMPLE_SIZE));
+    var sample = [];
+    for(var index = 0; index < count; index += step) {
+        sample.push(index);
+    }
+
+    const min_cos = Math.cos(THREE.MathUtils.degToRad(MAX_SLOPE));
+    const point = (index) => new THREE.Vector3().fromArray(positions, 3 * index);
+
+    var best = undefined;
+    var best_count = 0;
+    var plane = new THREE.Plane();
+    var candidate = new THREE.Vector3();
+
+    for(var iteration = 0; iteration < ITERATIONS; ++iteration) {
+        const a = point(sample[Math.floor(random() * sample.length)]);
+        const b = point(sample[Math.floor(random() * sample.length)]);
+        const c = point(sample[Math.floor(random() * sample.length)]);
+
+        plane.setFromCoplanarPoints(a, b, c);
+        if(!Number.isFinite(plane.constant) || Math.abs(plane.normal.y) < min_cos) {
+            continue;
+        }
+
+        var votes = 0;
+        for(const index of sample) {
+            candidate.fromArray(positions, 3 * index);
+            if(Math.abs(plane.distanceToPoint(candidate)) < threshold) {
+                ++votes;
+            }
+        }
+
+        if(votes > best_count) {
+            best_count = votes;
+            best = plane.clone();
+        }
+    }
+
+    if(undefined === best) {
+        return undefined;
+    }
+
+    const inliers = sample.filter((index) => {
+        return Math.abs(best.distanceToPoint(candidate.fromArray(positions, 3 * index))) < threshold;
+    });
+    const refined = fitLeastSquares(positions, inliers);
+    if(undefined !== refined && Math.abs(refined.normal.y) >= min_cos) {
+        best = refined;
+    }
+
+    if(best.normal.y < 0) {
+        best.negate();
+    }
+
+    return best;
+}
+
+
+/**
+ * Find the points on a ground plane.
+ *
+ * :param positions: see `fitGroundPlane`
+ * :param plane: the plane, see `fitGroundPlane`
+ * :param threshold: largest distance of a ground point from the plane
+ * :returns: `Uint8Array` with 1 for ground points and 0 for all others
+ */
+export function groundMask(positions, plane, threshold=DISTANCE_THRESHOLD) {
+    const count = Math.floor(positions.length / 3);
+    const normal = plane.normal;
+    var mask = new Uint8Array(count);
+
+    for(var index = 0; index < count; ++index) {
+        const distance = normal.x * positions[3 * index]
+            + normal.y * positions[3 * index + 1]
+            + normal.z * positions[3 * index + 2]
+            + plane.constant;
+
+        mask[index] = Math.abs(distance) < threshold ? 1 : 0;
+    }
+
+    return mask;
+}
+
+
+/**
+ * Height of a plane above a point on the XZ plane of the viewer.
+ */
+export function planeHeight(plane, x, z) {
+    return -(plane.normal.x * x + plane.normal.z * z + plane.constant) / plane.normal.y;
+}
@@ -0,0 +1,361 @@
+import * as THREE from 'three';
+
+import { createScreenLabel } from './labels.js';
+import { fitGroundPlane, groundMask, planeHeight } from './ground.js';
+import { cloudsOf } from './layers.js';
+
+/**
+ * Helpers which can be shown or hidden one by one.
+ *
+ * `grid` is a ground grid with one line per meter, `rings` are circles
+ * around the sensor every 10 meters and `axes` shows the axes of the sensor
+ * in a corner of the view.
+ */
+export const SCENE_HELPERS = ["grid", "rings", "axes"];
+
+/**
+ * What happens with the ground.
+ *
+ * `off` does nothing, `plane` shows the ground plane fitted to the frame,
+ * `hide` hides the points on the ground and `color` paints them.
+ */
+export const GROUND_MODES = ["off", "plane", "hide", "color"];
+
+const HELPERS_NAME = "helpers";
+const GRID_SIZE = 200;
+const GRID_COLOR = 0x404040;
+const GRID_CENTER_COLOR = 0x808080;
+const RING_SPACING = 10;
+const RING_COUNT = 5;
+const RING_SEGMENTS = 128;
+const RING_COLOR = "#ffaa00";
+const RING_LABEL_HEIGHT = 0.03;
+const PLANE_SIZE = 100;
+const PLANE_COLOR = 0x00ff88;
+const PLANE_OPACITY = 0.25;
+const GROUND_COLOR = new THREE.Color("#8b5a2b");
+const AXES_VIEWPORT_SIZE = 100;
+const AXES_CAMERA_DISTANCE = 3;
+const AXES_LABELS = {X: "#ff4040", Y: "#40ff40", Z: "#4080ff"};
+const AXES_LABEL_HEIGHT = 0.25;
+
+
+/**
+ * Circles around the origin with their radius as labels.
+ */
+function createRings() {
+    var rings = new THREE.Group();
+    const material = new THREE.LineBasicMaterial({color: RING_COLOR});
+
+    for(var ring = 1; ring <= RING_COUNT; ++ring) {
+        const radius = ring * RING_SPACING;
+        var points = [];
+
+        for(var segment = 0; segment < RING_SEGMENTS; ++segment) {
+            const angle = 2 * Math.PI * segment / RING_SEGMENTS;
+            points.push(new THREE.Vector3(radius * Math.cos(angle), 0, radius * Math.sin(angle)));
+        }
+
+        rings.add(new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(points), material));
+        rings.add(createScreenLabel(radius + " m", RING_COLOR, new THREE.Vector3(radius, 0, 0), RING_LABEL_HEIGHT));
+    }
+
+    return rings;
+}
+
+
+/**
+ * Axes with labels at their tips.
+ */
+function createAxes() {
+    var axes = new THREE.Group();
+    axes.add(new THREE.AxesHelper(1));
+
+    const tips = {X: [1.1, 0, 0], Y: [0, 1.1, 0], Z: [0, 0, 1.1]};
+    for(const name in AXES_LABELS) {
+        const label = createScreenLabel(name, AXES_LABELS[name], new THREE.Vector3(...tips[name]), AXES_LABEL_HEIGHT);
+        label.material.sizeAttenuation = true;
+        label.center.set(0.5, 0.5);
+        axes.add(label);
+    }
+
+    return axes;
+}
+
+
+/**
+ * Spatial references shown together with the point clouds.
+ *
+ * The grid, the range rings and the ground plane are placed at the ground
+ * below the sensor of the point cloud shown. The ground is fitted to every
+ * frame, see `fitGroundPlane`; without a ground, the sensor height is used.
+ * Frames with several clouds use the ground of the first one.
+ *
+ * Hiding and painting the ground works for plain point clouds, not for the
+ * ones with a level of detail.
+ */
+export class SceneHelpers {
+    /**
+     * Set up the helpers, all of them hidden.
+     *
+     * :param scene: the main scene of the renderer
+     * :param coloring: the `PointColoring`; restores the colors of the ground
+     */
+    constructor(scene, coloring) {
+        this.coloring = coloring;
+        this.ground_mode = "off";
+        this.show_axes = false;
+
+        this.group = new THREE.Group();
+        this.group.name = HELPERS_NAME;
+        scene.add(this.group);
+
+        this.grid = new THREE.GridHelper(GRID_SIZE, GRID_SIZE, GRID_CENTER_COLOR, GRID_COLOR);
+        this.rings = createRings();
+        this.plane = new THREE.Mesh(
+            new THREE.PlaneGeometry(PLANE_SIZE, PLANE_SIZE).rotateX(-Math.PI / 2),
+            new THREE.MeshBasicMaterial({
+                color: PLANE_COLOR,
+                transparent: true,
+                opacity: PLANE_OPACITY,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            }));
+
+        for(const helper of [this.grid, this.rings, this.plane]) {
+            helper.visible = false;
+            this.group.add(helper);
+        }
+
+        this.axes_scene = new THREE.Scene();
+        this.axes = createAxes();
+        this.axes_scene.add(this.axes);
+        this.axes_camera = new THREE.PerspectiveCamera(50, 1, 0.1, 10);
+    }
+
+
+    /**
+     * Show or hide a helper.
+     *
+     * :param name: see `SCENE_HELPERS`
+     */
+    setVisible(name, visible) {
+        if(!SCENE_HELPERS.includes(name)) {
+            throw new Error("Unknown scene helper " + name + ".");
+        }
+
+        if("axes" == name) {
+            this.show_axes = visible;
+        } else {
+            this[name].visible = visible;
+        }
+    }
+
+
+    /**
+     * Whether a helper is shown.
+     */
+    isVisible(name) {
+        return "axes" == name ? this.show_axes : this[name].visible;
+    }
+
+
+    /**
+     * Select what happens with the ground, see `GROUND_MODES`.
+     */
+    setGroundMode(mode) {
+        if(!GROUND_MODES.includes(mode)) {
+            throw new Error("Unknown ground mode " + mode + ".");
+        }
+
+        this.ground_mode = mode;
+        this.plane.visible = "plane" == mode;
+    }
+
+
+    /**
+     * Ground plane of a point cloud.
+     *
+     * The plane is fitted once and kept in the user data.
+     *
+     * :returns: `THREE.Plane` or `null` if there is no ground
+     */
+    groundPlane(points) {
+        if(undefined === points.userData.ground_plane) {
+            const positions = points.geometry.getAttribute("position").array;
+            points.userData.ground_plane = fitGroundPlane(positions) || null;
+        }
+
+        return points.userData.ground_plane;
+    }
+
+
+    /**
+     * Move the helpers to the point cloud shown.
+     *
+     * Is called before every rendering.
+     *
+     * :param object: the point cloud or the clouds of the frame shown, see
+     *     `composeClouds`; `undefined` if nothing is shown
+     */
+    update(object) {
+        const clouds = undefined === object ? [] : cloudsOf(object);
+        if(0 == clouds.length) {
+            return;
+        }
+
+        const points = clouds[0].isPointOctree ? clouds[0].loadedPoints()[0] : clouds[0];
+        const origin = object.userData.origin || new THREE.Vector3();
+        const needs_ground = this.grid.visible || this.rings.visible || "off" != this.ground_mode;
+        const plane = needs_ground ? this.groundPlane(points) : null;
+        const height = null === plane ? origin.y : planeHeight(plane, origin.x, origin.z);
+
+        // the grid lines stay on whole meters
+        this.grid.position.set(Math.round(origin.x), height, Math.round(origin.z));
+        this.rings.position.set(origin.x, height, origin.z);
+
+        if(null !== plane) {
+            this.plane.position.set(origin.x, height, origin.z);
+            this.plane.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), plane.normal);
+        }
+
+        this.plane.visible = "plane" == this.ground_mode && null !== plane;
+
+        for(const cloud of clouds) {
+            if(!cloud.isPointOctree) {
+                this.applyGround(cloud, plane);
+            }
+        }
+    }
+
+
+    /**
+     * Hide or paint the ground points of a point cloud.
+     *
+     * The point cloud remembers the mode it was prepared for, so nothing is
+     * done twice. The renderer resets the mode whenever it colors the point
+     * cloud again.
+     *
+     * :param plane: the ground plane of the frame or `null` if there is none
+     */
+    applyGround(points, plane) {
+        const mode = this.ground_mode;
+        const previous = points.userData.ground_mode;
+        if(mode == previous) {
+            return;
+        }
+
+        points.userData.ground_mode = mode;
+        const geometry = points.geometry;
+
+        if("color" == previous) {
+            // the coloring resets the color of the material, e.g. a tint
+            const color = points.material.color.clone();
+            this.coloring.apply(points);
+            points.material.color.copy(color);
+        }
+
+        if("hide" != mode && null !== geometry.index) {
+            geometry.setIndex(null);
+        }
+
+        if("hide" != mode && "color" != mode) {
+            return;
+        }
+
+        if(null === plane) {
+            return;
+        }
+
+        if(undefined === points.userData.ground_mask) {
+            points.userData.ground_mask = groundMask(geometry.getAttribute("position").array, plane);
+        }
+
+        const mask = points.userData.ground_mask;
+
+        if("hide" == mode) {
+            var indices = [];
+            for(var index = 0; index < mask.length; ++index) {
+                if(0 == mask[index]) {
+                    indices.push(index);
+                }
+            }
+
+            geometry.setIndex(new THREE.BufferAttribute(new Uint32Array(indices), 1));
+            return;
+        }
+
+        const colors = geometry.getAttribute("color");
+        for(var index = 0; index < mask.length; ++index) {
+            if(1 == mask[index]) {
+                colors.setXYZ(index, GROUND_COLOR.r, GROUND_COLOR.g, GROUND_COLOR.b);
+            }
+        }
+
+        colors.needsUpdate = true;
+    }
+
+
+    /**
+     * Draw the axes into the lower left corner.
+     *
+     * The axes turn with the camera and show the orientation of the sensor
+     * of the point cloud shown.
+     *
+     * :param renderer: the `THREE.WebGLRenderer`
+     * :param camera: the camera of the view
+     * :param matrix: transformation of the sensor into the viewer, see
+     *     `SceneTransform`
+     */
+    renderAxes(renderer, camera, matrix=undefined) {
+        if(!this.show_axes) {
+            return;
+        }
+
+        if(undefined !== matrix) {
+            this.axes.quaternion.setFromRotationMatrix(new THREE.Matrix4().extractRotation(matrix));
+        }
+
+        this.axes_camera.position.set(0, 0, AXES_CAMERA_DISTANCE).applyQuaternion(camera.quaternion);
+        this.axes_camera.quaternion.copy(camera.quaternion);
+
+        const size = new THREE.Vector2();
+        renderer.getSize(size);
+        const previous_autoclear = renderer.autoClear;
+
+        renderer.autoClear = false;
+        renderer.clearDepth();
+        renderer.setScissorTest(true);
+        renderer.setViewport(0, 0, AXES_VIEWPORT_SIZE, AXES_VIEWPORT_SIZE);
+        renderer.setScissor(0, 0, AXES_VIEWPORT_SIZE, AXES_VIEWPORT_SIZE);
+        renderer.render(this.axes_scene, this.axes_camera);
+
+        renderer.setScissorTest(false);
+        renderer.setViewport(0, 0, size.x, size.y);
+        renderer.autoClear = previous_autoclear;
+    }
+
+
+    /**
+     * Free the GPU resources of the helpers.
+     */
+    dispose() {
+        this.group.removeFromParent();
+
+        for(const root of [this.group, this.axes_scene]) {
+            root.traverse((object) => {
+                if(undefined !== object.geometry) {
+                    object.geometry.dispose();
+                }
+
+                if(undefined !== object.material) {
+                    if(undefined !== object.material.map) {
+                        object.material.map.dispose();
+                    }
+
+                    object.material.dispose();
+                }
+            });
+        }
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * Keyboard shortcuts for a player.
+ *
+ * The shortcuts change the point size, play and pause, step through the
+ * frames, show the saved viewpoints by their number and reset the camera.
+ * A help overlay in the render window lists them.
+ *
+ * Keys typed into inputs and keys with Ctrl, Alt or Meta are left alone.
+ */
+
+const INCREASE_KEY = "+";
+const DECREASE_KEY = "-";
+const PLAY_KEY = " ";
+const NEXT_KEY = "ArrowRight";
+const PREVIOUS_KEY = "ArrowLeft";
+const RESET_KEY = "r";
+const HELP_KEY = "?";
+const POINT_SIZE_FACTOR = 1.25;
+const VIEWPOINT_KEYS = "123456789";
+
+/**
+ * Elements which take the keys themselves.
+ */
+const TEXT_INPUTS = ["INPUT", "SELECT", "TEXTAREA"];
+
+
+export class KeyboardShortcuts {
+    /**
+     * Set up the shortcuts.
+     *
+     * :param player: the player controlled by the keys
+     * :param target: element receiving the key events; the whole window by
+     *     default, an element of its own when several players are on a page
+     */
+    constructor(player, target=window) {
+        this.player = player;
+        this.target = target;
+        this.enabled = true;
+
+        this.shortcuts = [
+            {keys: [INCREASE_KEY, "="], label: INCREASE_KEY, description: "Larger points", action: () => this.scalePointSize(POINT_SIZE_FACTOR)},
+            {keys: [DECREASE_KEY], label: DECREASE_KEY, description: "Smaller points", action: () => this.scalePointSize(1 / POINT_SIZE_FACTOR)},
+            {keys: [PLAY_KEY], label: "Space", description: "Play or pause", action: () => this.player.play()},
+            {keys: [NEXT_KEY], label: "→", description: "Next frame", action: () => this.player.nextFrame()},
+            {keys: [PREVIOUS_KEY], label: "←", description: "Previous frame", action: () => this.player.previousFrame()},
+            {keys: VIEWPOINT_KEYS.split(""), label: "1-9", description: "Saved viewpoint", action: (key) => this.showViewpoint(key)},
+            {keys: [RESET_KEY, RESET_KEY.toUpperCase()], label: RESET_KEY.toUpperCase(), description: "Reset the camera", action: () => this.player.resetCamera()},
+            {keys: [HELP_KEY, "h"], label: HELP_KEY, description: "Show or hide this help", action: () => this.toggleHelp()}
+        ];
+
+        this.createHelp();
+
+        this.key_listener = this.onKeyDown.bind(this);
+        this.target.addEventListener("keydown", this.key_listener);
+    }
+
+
+    /**
+     * Create the hidden help overlay in the render window.
+     */
+    createHelp() {
+        this.help_element = document.createElement("div");
+        this.help_element.className = "keyboard_help";
+        this.help_element.style.display = "none";
+
+        const table = document.createElement("table");
+        for(const shortcut of this.shortcuts) {
+            const row = table.insertRow();
+            const key = document.createElement("kbd");
+
+            key.textContent = shortcut.label;
+            row.insertCell().appendChild(key);
+            row.insertCell().textContent = shortcut.description;
+        }
+
+        this.help_element.appendChild(table);
+        this.player.render_window.appendChild(this.help_element);
+    }
+
+
+    /**
+     * Turn the shortcuts on or off, e.g. while editing annotations.
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+
+    /**
+     * Whether the help overlay is shown.
+     */
+    isHelpVisible() {
+        return "none" != this.help_element.style.display;
+    }
+
+
+    /**
+     * Show or hide the help overlay.
+     */
+    toggleHelp() {
+        this.help_element.style.display = this.isHelpVisible() ? "none" : "";
+    }
+
+
+    /**
+     * Change the point size by a factor, in whichever units it is given.
+     */
+    scalePointSize(factor) {
+        this.player.setPointSize(this.player.renderer.point_size * factor);
+    }
+
+
+    /**
+     * Show a saved viewpoint by its position in the list.
+     */
+    showViewpoint(key) {
+        const viewpoint = this.player.viewpoints[VIEWPOINT_KEYS.indexOf(key)];
+
+        if(undefined !== viewpoint) {
+            this.player.showViewpoint(viewpoint.name);
+        }
+    }
+
+
+    onKeyDown(event) {
+        if(!this.enabled || event.defaultPrevented || event.ctrlKey || event.altKey || event.metaKey) {
+            return;
+        }
+
+        const element = event.target;
+        if(TEXT_INPUTS.includes(element.tagName) || element.isContentEditable) {
+            return;
+        }
+
+        const shortcut = this.shortcuts.find((other) => other.keys.includes(event.key));
+        if(undefined === shortcut) {
+            return;
+        }
+
+        // e.g. space would scroll the page or press a focused button
+        event.preventDefault();
+        shortcut.action(event.key);
+    }
+
+
+    /**
+     * Stop listening to the keys and remove the help overlay.
+     */
+    dispose() {
+        this.target.removeEventListener("keydown", this.key_listener);
+        this.help_element.remove();
+    }
+}
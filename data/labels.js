@@ -0,0 +1,54 @@
+import * as THREE from 'three';
+
+const LABEL_FONT_SIZE = 32;
+
+
+/**
+ * Render the text of a label into a texture.
+ */
+export function createLabelMaterial(text, color) {
+    const canvas = document.createElement("canvas");
+    const context = canvas.getContext("2d");
+    const font = "bold " + LABEL_FONT_SIZE + "px sans-serif";
+
+    context.font = font;
+    canvas.width = Math.ceil(context.measureText(text).width) + LABEL_FONT_SIZE / 2;
+    canvas.height = Math.ceil(1.5 * LABEL_FONT_SIZE);
+
+    // the canvas is reset after resizing
+    context.font = font;
+    context.fillStyle = "rgba(0, 0, 0, 0.6)";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = color;
+    context.textBaseline = "middle";
+    context.fillText(text, LABEL_FONT_SIZE / 4, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+
+    return new THREE.SpriteMaterial({map: texture, depthTest: false});
+}
+
+
+/**
+ * Create a label which keeps its size on the screen, however far away it is.
+ *
+ * :param text: text of the label
+ * :param color: CSS color of the text
+ * :param position: `THREE.Vector3` of the lower left corner of the label
+ * :param height: height of the label as fraction of the height of the view
+ * :returns: the label as `THREE.Sprite`
+ */
+export function createScreenLabel(text, color, position, height) {
+    const material = createLabelMaterial(text, color);
+    material.sizeAttenuation = false;
+
+    const label = new THREE.Sprite(material);
+    const aspect = material.map.image.width / material.map.image.height;
+
+    label.position.copy(position);
+    label.center.set(0, 0);
+    label.scale.set(height * aspect, height, 1);
+
+    return label;
+}
@@ -0,0 +1,217 @@
+/**
+ * Parser for point clouds in the LAS and LAZ formats.
+ *
+ * LAZ files are decompressed with laz-perf, which is only loaded when the
+ * first LAZ file is parsed. It is loaded by its URL, the import maps of the
+ * pages don't apply to the decoder workers.
+ */
+
+import { createCloud } from './cloud.js';
+
+const SIGNATURE = "LASF";
+const LAZ_PERF_URL = "https://esm.sh/laz-perf@0.0.7";
+const LAZ_PERF_WASM_URL = "https://unpkg.com/laz-perf@0.0.7/lib/web/";
+
+/**
+ * Offsets of the attributes within a point record by point data format.
+ *
+ * Formats 6 to 10 were added with LAS 1.4 and have a different layout.
+ */
+const LEGACY_LAYOUT = {classification: 15, gps_time: 20, rgb: undefined};
+const EXTENDED_LAYOUT = {classification: 16, gps_time: 22, rgb: undefined};
+const POINT_LAYOUTS = {
+    0: {...LEGACY_LAYOUT, gps_time: undefined},
+    1: LEGACY_LAYOUT,
+    2: {...LEGACY_LAYOUT, gps_time: undefined, rgb: 20},
+    3: {...LEGACY_LAYOUT, rgb: 28},
+    4: LEGACY_LAYOUT,
+    5: {...LEGACY_LAYOUT, rgb: 28},
+    6: EXTENDED_LAYOUT,
+    7: {...EXTENDED_LAYOUT, rgb: 30},
+    8: {...EXTENDED_LAYOUT, rgb: 30},
+    9: EXTENDED_LAYOUT,
+    10: {...EXTENDED_LAYOUT, rgb: 30}
+};
+
+var laz_perf = undefined;
+
+
+/**
+ * Parse the header of a LAS or LAZ file.
+ *
+ * :returns: object with the `format` and `record_size` of the point
+ *     records, the number of points in `count`, the `offset` of the first
+ *     record, the `scale` and `origin` of the coordinates, the `center` of
+ *     the bounds of the points and whether the points are `compressed`
+ */
+function parseHeader(view) {
+    const signature = String.fromCharCode(...new Uint8Array(view.buffer, 0, 4));
+    if(SIGNATURE != signature) {
+        throw new Error("Invalid LAS header.");
+    }
+
+    const version = [view.getUint8(24), view.getUint8(25)];
+    const header_size = view.getUint16(94, true);
+    const format = view.getUint8(104);
+
+    // LAS 1.4 files may have more points than the legacy count can hold
+    var count = view.getUint32(107, true);
+    if(0 == count && version[1] >= 4 && header_size >= 255) {
+        count = Number(view.getBigUint64(247, true));
+    }
+
+    return {
+        offset: view.getUint32(96, true),
+        // the upper bits mark compressed points
+        format: format & 0x3f,
+        compressed: 0 != (format & 0x80),
+        record_size: view.getUint16(105, true),
+        count: count,
+        scale: [view.getFloat64(131, true), view.getFloat64(139, true), view.getFloat64(147, true)],
+        origin: [view.getFloat64(155, true), view.getFloat64(163, true), view.getFloat64(171, true)],
+        // the maximum of each axis is followed by its minimum
+        center: [0, 1, 2].map((axis) => 0.5 * (view.getFloat64(179 + 16 * axis, true) + view.getFloat64(187 + 16 * axis, true)))
+    };
+}
+
+
+/**
+ * Parse the content of a LAS file.
+ *
+ * Besides the position and the colors, the intensity, return number, number
+ * of returns, classification and GPS time of the points are kept. The GPS
+ * time is relative to the first point, 32 bit floats are not precise enough
+ * for absolute times. For the same reason, the positions are relative to the
+ * center of the bounds of the file, which is the `offset` of the cloud.
+ *
+ * :param data: content of the file as `ArrayBuffer`
+ * :returns: the parsed point cloud, see `createCloud`
+ */
+export function parseLAS(data) {
+    const view = new DataView(data);
+    const header = parseHeader(view);
+
+    if(header.compressed) {
+        throw new Error("The LAS file is compressed, load it as LAZ.");
+    }
+
+    return readPoints(new DataView(data, header.offset), header);
+}
+
+
+/**
+ * Parse the content of a LAZ file.
+ *
+ * :param data: content of the file as `ArrayBuffer`
+ * :returns: promise of the parsed point cloud, see `createCloud`
+ */
+export async function parseLAZ(data) {
+    const header = parseHeader(new DataView(data));
+
+    if(undefined === laz_perf) {
+        const library = await import(LAZ_PERF_URL);
+        laz_perf = await library.createLazPerf({
+            // the wasm file is not next to the module on all CDNs
+            locateFile: (file) => LAZ_PERF_WASM_URL + file
+        });
+    }
+
+    const file = laz_perf._malloc(data.byteLength);
+    const record = laz_perf._malloc(header.record_size);
+    const reader = new laz_perf.LASZip();
+    var records = new Uint8Array(header.count * header.record_size);
+
+    try {
+        laz_perf.HEAPU8.set(new Uint8Array(data), file);
+        reader.open(file, data.byteLength);
+
+        // decompress all records into an uncompressed block
+        for(var point = 0; point < header.count; ++point) {
+            reader.getPoint(record);
+            records.set(
+                laz_perf.HEAPU8.subarray(record, record + header.record_size),
+                point * header.record_size);
+        }
+    } finally {
+        reader.delete();
+        laz_perf._free(record);
+        laz_perf._free(file);
+    }
+
+    return readPoints(new DataView(records.buffer), header);
+}
+
+
+/**
+ * Read the uncompressed point records.
+ */
+function readPoints(view, header) {
+    const layout = POINT_LAYOUTS[header.format];
+    if(undefined === layout) {
+        throw new Error("Unsupported LAS point format " + header.format + ".");
+    }
+
+    const count = header.count;
+    const extended = header.format >= 6;
+
+    var columns = {
+        x: new Float32Array(count),
+        y: new Float32Array(count),
+        z: new Float32Array(count),
+        intensity: new Float32Array(count),
+        return_number: new Float32Array(count),
+        number_of_returns: new Float32Array(count),
+        classification: new Float32Array(count)
+    };
+
+    if(undefined !== layout.gps_time) {
+        columns["gps_time"] = new Float32Array(count);
+    }
+
+    if(undefined !== layout.rgb) {
+        columns["red"] = new Uint16Array(count);
+        columns["green"] = new Uint16Array(count);
+        columns["blue"] = new Uint16Array(count);
+    }
+
+    const first_time = undefined !== layout.gps_time && 0 < count ? view.getFloat64(layout.gps_time, true) : 0;
+    const shift = header.origin.map((origin, axis) => origin - header.center[axis]);
+
+    for(var point = 0; point < count; ++point) {
+        const offset = point * header.record_size;
+
+        columns.x[point] = view.getInt32(offset, true) * header.scale[0] + shift[0];
+        columns.y[point] = view.getInt32(offset + 4, true) * header.scale[1] + shift[1];
+        columns.z[point] = view.getInt32(offset + 8, true) * header.scale[2] + shift[2];
+        columns.intensity[point] = view.getUint16(offset + 12, true);
+
+        const returns = view.getUint8(offset + 14);
+        if(extended) {
+            columns.return_number[point] = returns & 0x0f;
+            columns.number_of_returns[point] = returns >> 4;
+        } else {
+            columns.return_number[point] = returns & 0x07;
+            columns.number_of_returns[point] = (returns >> 3) & 0x07;
+        }
+
+        // the legacy formats keep flags in the upper bits of the class
+        const classification = view.getUint8(offset + layout.classification);
+        columns.classification[point] = extended ? classification : classification & 0x1f;
+
+        if(undefined !== layout.gps_time) {
+            columns.gps_time[point] = view.getFloat64(offset + layout.gps_time, true) - first_time;
+        }
+
+        if(undefined !== layout.rgb) {
+            columns.red[point] = view.getUint16(offset + layout.rgb, true);
+            columns.green[point] = view.getUint16(offset + layout.rgb + 2, true);
+            columns.blue[point] = view.getUint16(offset + layout.rgb + 4, true);
+        }
+    }
+
+    // the specification asks for 16 bit colors, some writers use 8 bit
+    var cloud = createCloud(columns, count);
+    cloud.offset = header.center;
+
+    return cloud;
+}
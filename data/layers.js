@@ -0,0 +1,173 @@
+import * as THREE from 'three';
+
+
+/**
+ * Put the clouds of a frame into a single object.
+ *
+ * The group takes the transformation and the sensor position of the first
+ * cloud, see `SceneTransform`, so annotations and camera paths refer to it.
+ *
+ * :param name: name of the group in the scene
+ * :param clouds: the point clouds of the frame in the order of their
+ *     types, each named by its type
+ * :returns: `THREE.Group`
+ */
+export function composeClouds(name, clouds) {
+    var group = new THREE.Group();
+    group.name = name;
+
+    // octrees are groups as well
+    group.isCloudGroup = true;
+
+    for(const cloud of clouds) {
+        group.add(cloud);
+    }
+
+    if(0 < clouds.length) {
+        const primary = clouds[0].userData;
+        group.userData.matrix = primary.matrix;
+        group.userData.origin = primary.origin;
+        group.userData.extrinsic = primary.extrinsic;
+    }
+
+    return group;
+}
+
+
+/**
+ * The point clouds of a frame.
+ *
+ * Frames are groups of clouds, see `composeClouds`; single clouds are
+ * returned as they are.
+ */
+export function cloudsOf(object) {
+    return object.isCloudGroup ? object.children : [object];
+}
+
+
+/**
+ * Named point clouds shown together: the sensors of a frame and static
+ * layers like a map.
+ *
+ * Every name has its own visibility and color. The color multiplies the
+ * colors of the points, like the tint of a `Player`; a cloud without color
+ * keeps the tint.
+ *
+ * Static layers are loaded once and stay in their scene while the frames
+ * change. They belong to an owner, e.g. the name of the point clouds of a
+ * player, so players sharing a scene don't remove each other's layers.
+ */
+export class CloudLayers {
+    constructor() {
+        this.visible = new Map();
+        this.colors = new Map();
+        this.static_layers = [];
+    }
+
+
+    /**
+     * Whether the clouds of a name are shown.
+     */
+    isVisible(name) {
+        return false !== this.visible.get(name);
+    }
+
+
+    /**
+     * Show or hide the clouds of a name.
+     */
+    setVisible(name, visible) {
+        this.visible.set(name, visible);
+
+        for(const layer of this.static_layers) {
+            this.apply(layer.points);
+        }
+    }
+
+
+    /**
+     * Color of the clouds of a name or `undefined`.
+     */
+    color(name) {
+        return this.colors.get(name);
+    }
+
+
+    /**
+     * Change the color of the clouds of a name.
+     *
+     * :param color: a CSS color or `undefined` to keep the colors
+     */
+    setColor(name, color) {
+        if(undefined === color) {
+            this.colors.delete(name);
+        } else {
+            this.colors.set(name, color);
+        }
+
+        for(const layer of this.static_layers) {
+            this.apply(layer.points);
+        }
+    }
+
+
+    /**
+     * Apply the visibility and the color to the clouds of a frame.
+     *
+     * :param object: a single point cloud or a group, see `composeClouds`
+     * :param tint: color of clouds without a color of their own
+     */
+    apply(object, tint=undefined) {
+        for(const cloud of cloudsOf(object)) {
+            const color = this.color(cloud.name) || tint;
+
+            cloud.visible = this.isVisible(cloud.name);
+            cloud.material.color.set(undefined === color ? 0xffffff : color);
+        }
+    }
+
+
+    /**
+     * Add a static layer to a scene.
+     *
+     * :param owner: who loaded the layer, see `removeStatic`
+     * :param scene: the scene of a viewport
+     * :param points: the point cloud, named by the layer
+     */
+    addStatic(owner, scene, points) {
+        this.static_layers.push({owner: owner, scene: scene, points: points});
+        this.apply(points);
+        scene.add(points);
+    }
+
+
+    /**
+     * The static layers of an owner.
+     */
+    staticLayers(owner) {
+        return this.static_layers
+            .filter((layer) => layer.owner == owner)
+            .map((layer) => layer.points);
+    }
+
+
+    /**
+     * Remove all static layers of an owner from their scenes.
+     *
+     * :param dispose: is called with every point cloud removed, e.g. to free
+     *     its resources
+     */
+    removeStatic(owner, dispose=undefined) {
+        for(const layer of this.static_layers) {
+            if(layer.owner == owner) {
+                layer.scene.remove(layer.points);
+
+                if(undefined !== dispose) {
+                    dispose(layer.points);
+                }
+            }
+        }
+
+        this.static_layers = this.static_layers.filter((layer) => layer.owner != owner);
+    }
+}
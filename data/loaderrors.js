@@ -0,0 +1,152 @@
+/**
+ * Errors of loading point clouds and retrying failed downloads.
+ */
+
+/**
+ * What went wrong when loading a point cloud.
+ *
+ * `network` means the server could not be reached, `http` that it answered
+ * with an error status, `parse` that the file is not a valid point cloud and
+ * `missing` that the frame has no cloud of the requested type.
+ */
+export const LOAD_ERROR_KINDS = ["network", "http", "parse", "missing"];
+
+/**
+ * Status codes of temporary server errors.
+ */
+const RETRY_STATUS = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Number of times a download is retried by default.
+ */
+export const DEFAULT_RETRIES = 2;
+
+/**
+ * Delay before the first retry in milliseconds.
+ */
+export const DEFAULT_RETRY_DELAY = 500;
+
+
+/**
+ * Error of loading a point cloud.
+ */
+export class PointCloudLoadError extends Error {
+    /**
+     * :param kind: one of `LOAD_ERROR_KINDS`
+     * :param url: the URL of the point cloud
+     * :param message: description of the error
+     * :param status: HTTP status for `http` errors
+     */
+    constructor(kind, url, message, status=undefined) {
+        super(message);
+
+        if(!LOAD_ERROR_KINDS.includes(kind)) {
+            throw new Error("Unknown load error " + kind + ".");
+        }
+
+        this.name = "PointCloudLoadError";
+        this.kind = kind;
+        this.url = url;
+        this.status = status;
+    }
+
+
+    /**
+     * Whether loading again might succeed.
+     *
+     * Only network errors and temporary server errors are worth a retry.
+     */
+    isTemporary() {
+        return "network" == this.kind || ("http" == this.kind && RETRY_STATUS.includes(this.status));
+    }
+}
+
+
+/**
+ * Download a file.
+ *
+ * :param url: URL of the file
+ * :param signal: optional `AbortSignal` cancelling the download
+ * :returns: promise of the content as `ArrayBuffer`; rejected with a
+ *     `PointCloudLoadError` or an `AbortError`
+ */
+export function download(url, signal=undefined) {
+    return fetch(url, {signal: signal})
+        .catch((error) => {
+            if("AbortError" == error.name) {
+                throw error;
+            }
+
+            throw new PointCloudLoadError("network", url, "Could not reach " + url + ": " + error.message);
+        })
+        .then((response) => {
+            if(!response.ok) {
+                throw new PointCloudLoadError(
+                    "http",
+                    url,
+                    "Could not load " + url + ": " + response.status + " " + response.statusText + ".",
+                    response.status);
+            }
+
+            return response.arrayBuffer();
+        });
+}
+
+
+/**
+ * Turn any error of parsing a file into a `PointCloudLoadError`.
+ *
+ * Cancellations and errors which already are load errors are kept.
+ */
+export function parseError(error, url) {
+    if("AbortError" == error.name || error instanceof PointCloudLoadError) {
+        return error;
+    }
+
+    return new PointCloudLoadError("parse", url, "Could not parse " + url + ": " + error.message);
+}
+
+
+/**
+ * Wait, unless cancelled.
+ */
+function delay(milliseconds, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, milliseconds);
+
+        if(undefined !== signal) {
+            signal.addEventListener("abort", () => {
+                clearTimeout(timer);
+                reject(new DOMException("Loading was cancelled.", "AbortError"));
+            }, {once: true});
+        }
+    });
+}
+
+
+/**
+ * Call a function until its promise is fulfilled.
+ *
+ * Only temporary errors are retried, see `isTemporary`. The delay doubles
+ * with every attempt.
+ *
+ * :param attempt: function returning a promise
+ * :param options: object with the number of `retries`, the first `delay`
+ *     in milliseconds and a `signal` cancelling the waiting
+ * :returns: promise of the first result or the last error
+ */
+export function withRetries(attempt, options={}) {
+    const retries = undefined === options.retries ? DEFAULT_RETRIES : options.retries;
+    const first_delay = undefined === options.delay ? DEFAULT_RETRY_DELAY : options.delay;
+
+    const run = (remaining, wait) => attempt().catch((error) => {
+        const temporary = error instanceof PointCloudLoadError && error.isTemporary();
+        if(!temporary || remaining <= 0) {
+            throw error;
+        }
+
+        return delay(wait, options.signal).then(() => run(remaining - 1, 2 * wait));
+    });
+
+    return run(retries, first_delay);
+}
@@ -0,0 +1,302 @@
+/**
+ * Opening point clouds and scenes from the local file system.
+ *
+ * Nothing is uploaded: every file gets an object URL, which the decoder
+ * workers fetch like any other URL.
+ */
+
+import { SceneCatalog } from './scenes.js';
+import { FORMATS, formatOf } from './formats.js';
+import { load as parseYAML } from 'js-yaml';
+
+const CONFIG_FILE = "config.yaml";
+
+/**
+ * Time between the frames of a folder without a scene configuration.
+ *
+ * Most lidars record at 10 Hz.
+ */
+const LOCAL_FRAME_INTERVAL = 0.1;
+
+
+/**
+ * Bring a relative path into a canonical form.
+ *
+ * Leading slashes and `.` segments are dropped and `..` segments are
+ * resolved.
+ */
+function normalizePath(path) {
+    var parts = [];
+    for(const part of path.split("/")) {
+        if(".." == part) {
+            parts.pop();
+        } else if("" != part && "." != part) {
+            parts.push(part);
+        }
+    }
+
+    return parts.join("/");
+}
+
+
+/**
+ * Whether a file is a point cloud of a known format.
+ */
+function isPointCloud(path) {
+    try {
+        formatOf(path);
+        return true;
+    } catch(error) {
+        return false;
+    }
+}
+
+
+/**
+ * Read all files below a directory entry of a drop.
+ */
+function readEntry(entry) {
+    if(entry.isFile) {
+        return new Promise((resolve, reject) => entry.file(resolve, reject))
+            .then((file) => [{path: normalizePath(entry.fullPath), file: file}]);
+    }
+
+    const reader = entry.createReader();
+
+    // directories are listed in batches until an empty one
+    const readBatches = (files) => new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+        .then((entries) => {
+            if(0 == entries.length) {
+                return files;
+            }
+
+            return Promise.all(entries.map(readEntry))
+                .then((found) => readBatches(files.concat(...found)));
+        });
+
+    return readBatches([]);
+}
+
+
+/**
+ * Collect the files of a drop, including the content of dropped folders.
+ *
+ * :param data_transfer: the `dataTransfer` of the drop event
+ * :returns: promise of a list of objects with the relative `path` and the
+ *     `File`
+ */
+export function filesFromDrop(data_transfer) {
+    const entries = Array.from(data_transfer.items)
+        .filter((item) => "file" == item.kind && undefined !== item.webkitGetAsEntry)
+        .map((item) => item.webkitGetAsEntry())
+        .filter((entry) => null !== entry);
+
+    if(0 == entries.length) {
+        return Promise.resolve(filesFromInput(data_transfer.files));
+    }
+
+    return Promise.all(entries.map(readEntry)).then((found) => [].concat(...found));
+}
+
+
+/**
+ * Collect the files picked with a file input.
+ *
+ * Folders picked with a `webkitdirectory` input keep their relative paths.
+ *
+ * :param files: the `files` of the input
+ * :returns: see `filesFromDrop`
+ */
+export function filesFromInput(files) {
+    return Array.from(files, (file) => ({
+        path: normalizePath(file.webkitRelativePath || file.name),
+        file: file
+    }));
+}
+
+
+/**
+ * Call a function with the files dropped onto an element.
+ *
+ * While files are dragged over the element, it has the class `drop_target`.
+ *
+ * :param element: e.g. the render window
+ * :param on_files: function called with the files, see `filesFromDrop`
+ * :param on_error: function called with the error if the dropped files
+ *     can't be read
+ */
+export function acceptDroppedFiles(element, on_files, on_error) {
+    element.addEventListener("dragover", (event) => {
+        event.preventDefault();
+        event.dataTransfer.dropEffect = "copy";
+        element.classList.add("drop_target");
+    });
+
+    element.addEventListener("dragleave", () => element.classList.remove("drop_target"));
+
+    element.addEventListener("drop", (event) => {
+        event.preventDefault();
+        element.classList.remove("drop_target");
+
+        filesFromDrop(event.dataTransfer).then(on_files, on_error);
+    });
+}
+
+
+/**
+ * Scene catalog reading from local files instead of the network.
+ *
+ * The paths of the clouds are replaced with object URLs. As those have no
+ * file extension, the `format` of every cloud is set from its original
+ * path.
+ */
+export class LocalSceneCatalog extends SceneCatalog {
+    /**
+     * :param files: see `filesFromDrop`
+     */
+    constructor(files) {
+        super("");
+        this.files = new Map(files.map((entry) => [entry.path, entry.file]));
+        this.urls = new Map();
+    }
+
+
+    /**
+     * The file at a path or `undefined`.
+     */
+    file(path) {
+        return this.files.get(normalizePath(path));
+    }
+
+
+    /**
+     * Object URL of a file, created on first use.
+     */
+    url(path) {
+        const key = normalizePath(path);
+        const file = this.files.get(key);
+
+        if(undefined === file) {
+            throw new Error("The file " + key + " was not dropped.");
+        }
+
+        if(!this.urls.has(key)) {
+            this.urls.set(key, URL.createObjectURL(file));
+        }
+
+        return this.urls.get(key);
+    }
+
+
+    /**
+     * Identifiers of all scenes, i.e. the directories with a `config.yaml`.
+     */
+    loadIndex() {
+        const identifiers = Array.from(this.files.keys())
+            .filter((path) => path == CONFIG_FILE || path.endsWith("/" + CONFIG_FILE))
+            .map((path) => path.slice(0, -CONFIG_FILE.length).replace(/\/$/, ""));
+
+        return Promise.resolve(identifiers);
+    }
+
+
+    normalizeScene(identifier, config) {
+        for(const frame of (config && config["frames"]) || []) {
+            for(const type in frame["clouds"] || {}) {
+                const cloud = frame["clouds"][type];
+                cloud["format"] = formatOf(cloud["path"], cloud["format"]);
+            }
+        }
+
+        for(const layer of Object.values((config && config["layers"]) || {})) {
+            layer["format"] = formatOf(layer["path"], layer["format"]);
+        }
+
+        return super.normalizeScene(identifier, config);
+    }
+
+
+    resolvePath(identifier, path) {
+        return this.url(identifier + "/" + path);
+    }
+
+
+    fetchYAML(url) {
+        const file = this.file(url);
+
+        if(undefined === file) {
+            return Promise.reject(new Error("Can't load " + url + "."));
+        }
+
+        return file.text().then((text) => parseYAML(text));
+    }
+
+
+    /**
+     * Point clouds which don't belong to a scene configuration.
+     *
+     * :returns: list of objects with the `path` of the file, its object `url`
+     *     and its `format`, sorted by path
+     */
+    looseClouds() {
+        return Array.from(this.files.keys())
+            .filter(isPointCloud)
+            .sort()
+            .map((path) => ({path: path, url: this.url(path), format: formatOf(path)}));
+    }
+
+
+    /**
+     * Release the object URLs.
+     *
+     * The point clouds can't be loaded anymore afterwards.
+     */
+    dispose() {
+        for(const url of this.urls.values()) {
+            URL.revokeObjectURL(url);
+        }
+
+        this.urls.clear();
+    }
+}
+
+
+/**
+ * Open local files as a scene or as a single point cloud.
+ *
+ * Folders with a `config.yaml` are read as scenes, see `SceneCatalog`. If
+ * there is none, several point clouds become a scene with one frame per
+ * file in the order of the file names.
+ *
+ * :param files: see `filesFromDrop`
+ * :returns: promise of an object with the `catalog` (see
+ *     `LocalSceneCatalog`) and either the `scenes` found, mapping
+ *     identifiers to configurations, or a `single` point cloud with its
+ *     `url` and `format`
+ */
+export function openLocalFiles(files) {
+    const catalog = new LocalSceneCatalog(files);
+
+    return catalog.load().then((scenes) => {
+        if(0 < Object.keys(scenes).length) {
+            return {catalog: catalog, scenes: scenes};
+        }
+
+        const clouds = catalog.looseClouds();
+        if(0 == clouds.length) {
+            throw new Error("No point clouds among the files, known formats are " + Object.keys(FORMATS).join(", ") + ".");
+        }
+
+        if(1 == clouds.length) {
+            return {catalog: catalog, single: clouds[0]};
+        }
+
+        const frames = clouds.map((cloud, index) => ({
+            timestamp: index * LOCAL_FRAME_INTERVAL,
+            clouds: {local: {path: cloud.url, format: cloud.format}}
+        }));
+        const name = clouds[0].path.includes("/") ? clouds[0].path.split("/")[0] : "local";
+
+        return {catalog: catalog, scenes: {[name]: {name: name, frames: frames}}};
+    });
+}
@@ -0,0 +1,594 @@
+import * as THREE from 'three';
+
+import { createScreenLabel } from './labels.js';
+
+const MEASUREMENTS_NAME = "measurements";
+const MEASUREMENT_COLOR = "#ffff00";
+const ACTIVE_COLOR = "#00ffff";
+const MARKER_SIZE = 8;
+const LABEL_HEIGHT = 0.04;
+const PICK_THRESHOLD = 0.01;
+const CLICK_TOLERANCE = 4;
+
+/**
+ * Tools and the number of points which complete a measurement.
+ *
+ * `inspect` shows the attributes of a single point, `distance` measures the
+ * distance between two points and `angle` the angle at the second of three
+ * points. `polyline` and `area` take any number of points and are completed
+ * with a double click; `area` closes the polygon.
+ */
+export const MEASUREMENT_TOOLS = {
+    inspect: 1,
+    distance: 2,
+    angle: 3,
+    polyline: Infinity,
+    area: Infinity
+};
+
+/**
+ * Number of points a polyline and an area need at least.
+ */
+const MINIMUM_POINTS = {
+    polyline: 2,
+    area: 3
+};
+
+
+/**
+ * Total length of a line through the points.
+ */
+function pathLength(points, closed=false) {
+    var length = 0;
+    for(var index = 1; index < points.length; ++index) {
+        length += points[index - 1].distanceTo(points[index]);
+    }
+
+    if(closed && 2 < points.length) {
+        length += points[points.length - 1].distanceTo(points[0]);
+    }
+
+    return length;
+}
+
+
+/**
+ * Area of a planar polygon in 3D.
+ *
+ * The points are projected onto the plane they span, so small deviations
+ * from the plane don't matter.
+ */
+function polygonArea(points) {
+    var normal = new THREE.Vector3();
+    const cross = new THREE.Vector3();
+
+    for(var index = 0; index < points.length; ++index) {
+        const next = points[(index + 1) % points.length];
+        normal.add(cross.crossVectors(points[index], next));
+    }
+
+    return normal.length() / 2;
+}
+
+
+/**
+ * Result of a measurement as text.
+ *
+ * :param tool: see `MEASUREMENT_TOOLS`
+ * :param points: the picked positions
+ */
+export function measurementText(tool, points) {
+    if("distance" == tool && 2 == points.length) {
+        return points[0].distanceTo(points[1]).toFixed(2) + " m";
+    }
+
+    if("angle" == tool && 3 == points.length) {
+        const first = new THREE.Vector3().subVectors(points[0], points[1]);
+        const second = new THREE.Vector3().subVectors(points[2], points[1]);
+
+        return THREE.MathUtils.radToDeg(first.angleTo(second)).toFixed(1) + "°";
+    }
+
+    if("polyline" == tool) {
+        return pathLength(points).toFixed(2) + " m";
+    }
+
+    if("area" == tool && 3 <= points.length) {
+        return polygonArea(points).toFixed(2) + " m² / " + pathLength(points, true).toFixed(2) + " m";
+    }
+
+    return "";
+}
+
+
+/**
+ * Describe a point of a point cloud.
+ *
+ * :param points: the point cloud
+ * :param index: index of the point
+ * :returns: list of name and value pairs with the coordinates in the viewer
+ *     and in the sensor, the range and all attributes of the point
+ */
+export function describePoint(points, index) {
+    const position = new THREE.Vector3().fromBufferAttribute(points.geometry.getAttribute("position"), index);
+    const inverse = new THREE.Matrix4().copy(points.userData.matrix || new THREE.Matrix4()).invert();
+    const sensor = position.clone().applyMatrix4(inverse);
+    const origin = points.userData.origin || new THREE.Vector3();
+
+    const format = (vector) => vector.toArray().map((value) => value.toFixed(3)).join(", ");
+
+    var description = [
+        ["index", String(index)],
+        ["sensor", format(sensor)],
+        ["viewer", format(position)],
+        ["range", position.distanceTo(origin).toFixed(3)]
+    ];
+
+    const rgb = points.userData.rgb;
+    if(undefined !== rgb) {
+        const channels = Array.from(rgb.subarray(3 * index, 3 * index + 3));
+        description.push(["rgb", channels.map((value) => Math.round(255 * value)).join(", ")]);
+    }
+
+    for(const [name, values] of Object.entries(points.userData.fields || {})) {
+        description.push([name, String(values[index])]);
+    }
+
+    return description;
+}
+
+
+/**
+ * Picks points and measures in the scene.
+ *
+ * Hovering over a point shows its attributes in a panel on top of the render
+ * window. With a tool selected, clicks pick points for a measurement. The
+ * measurements are drawn in the coordinates of the viewer and are not tied to
+ * a frame, so they stay in place while the player steps through the scene.
+ *
+ * Only the point clouds of the main viewport can be picked.
+ */
+export class MeasurementTool {
+    /**
+     * Set up the tool.
+     *
+     * No tool is selected initially, so the pointer is ignored.
+     *
+     * :param renderer: the `PointCloudRenderer` to pick in
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.tool = undefined;
+        this.measurements = [];
+        this.current = undefined;
+        this.pinned = false;
+        this.pointer_start = undefined;
+        this.pending_pointer = undefined;
+        this.pick_listeners = [];
+
+        this.group = new THREE.Group();
+        this.group.name = MEASUREMENTS_NAME;
+        renderer.scene.add(this.group);
+
+        this.marker_materials = {};
+        for(const color of [MEASUREMENT_COLOR, ACTIVE_COLOR]) {
+            this.marker_materials[color] = new THREE.PointsMaterial({
+                color: color,
+                size: MARKER_SIZE,
+                sizeAttenuation: false,
+                depthTest: false
+            });
+        }
+
+        this.info_element = document.createElement("div");
+        this.info_element.className = "point_info";
+        this.info_element.style.display = "none";
+        renderer.render_window.appendChild(this.info_element);
+
+        const dom_element = renderer.renderer.domElement;
+        dom_element.addEventListener("pointerdown", this.onPointerDown.bind(this));
+        dom_element.addEventListener("pointermove", this.onPointerMove.bind(this));
+        dom_element.addEventListener("click", this.onClick.bind(this));
+        dom_element.addEventListener("dblclick", this.onDoubleClick.bind(this));
+    }
+
+
+    /**
+     * Select a tool, see `MEASUREMENT_TOOLS`.
+     *
+     * :param tool: name of the tool or `undefined` to stop picking
+     */
+    setTool(tool) {
+        if(undefined !== tool && !(tool in MEASUREMENT_TOOLS)) {
+            throw new Error("Unknown measurement tool " + tool + ".");
+        }
+
+        this.finish();
+        this.tool = tool;
+        this.pinned = false;
+        this.showInfo(undefined);
+    }
+
+
+    onPointerDown(event) {
+        this.pointer_start = {x: event.clientX, y: event.clientY};
+    }
+
+
+    /**
+     * Show the point under the pointer.
+     *
+     * Picking is expensive for large point clouds, so it happens at most once
+     * per animation frame.
+     */
+    onPointerMove(event) {
+        if(undefined === this.tool || this.pinned) {
+            return;
+        }
+
+        if(undefined === this.pending_pointer) {
+            requestAnimationFrame(() => {
+                const pointer = this.pending_pointer;
+                this.pending_pointer = undefined;
+                this.showInfo(this.pick(pointer));
+            });
+        }
+
+        this.pending_pointer = {clientX: event.clientX, clientY: event.clientY};
+    }
+
+
+    /**
+     * Pick a point for the current measurement.
+     *
+     * Clicks which end a camera movement are ignored. With the `inspect`
+     * tool, a click keeps the panel on the picked point until the next click.
+     */
+    onClick(event) {
+        if(undefined === this.tool || undefined === this.pointer_start) {
+            return;
+        }
+
+        const moved = Math.hypot(
+            event.clientX - this.pointer_start.x,
+            event.clientY - this.pointer_start.y);
+        if(moved > CLICK_TOLERANCE) {
+            return;
+        }
+
+        const hit = this.pick(event);
+
+        if("inspect" == this.tool) {
+            this.pinned = undefined !== hit && !this.pinned;
+            this.showInfo(hit);
+            return;
+        }
+
+        if(undefined !== hit) {
+            this.addPoint(hit.position);
+        }
+    }
+
+
+    /**
+     * Complete a polyline or an area.
+     *
+     * The second click of the double click picked the last point again, so
+     * that point is dropped.
+     */
+    onDoubleClick() {
+        const measurement = this.current;
+        if(undefined === measurement) {
+            return;
+        }
+
+        const points = measurement.points;
+        if(1 < points.length && points[points.length - 1].equals(points[points.length - 2])) {
+            points.pop();
+        }
+
+        this.finish();
+    }
+
+
+    /**
+     * The point under the pointer.
+     *
+     * :returns: object with the point cloud as `points`, the `index` and the
+     *     `position` of the point or `undefined` if there is none
+     */
+    pick(event) {
+        const camera = this.renderer.camera;
+        const bounds = this.renderer.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            2 * (event.clientX - bounds.left) / bounds.width - 1,
+            1 - 2 * (event.clientY - bounds.top) / bounds.height);
+
+        // the threshold grows with the distance, so far points stay pickable
+        const distance = camera.position.distanceTo(this.renderer.controls.target);
+        const raycaster = new THREE.Raycaster();
+        raycaster.params.Points.threshold = PICK_THRESHOLD * distance;
+        raycaster.setFromCamera(pointer, camera);
+
+        // the nodes of point clouds with a level of detail are nested
+        var clouds = [];
+        this.renderer.scene.traverseVisible((object) => {
+            if(object.isPoints && undefined !== object.userData.matrix) {
+                clouds.push(object);
+            }
+        });
+
+        const hits = raycaster.intersectObjects(clouds, false);
+        if(0 == hits.length) {
+            return undefined;
+        }
+
+        const points = hits[0].object;
+        const index = hits[0].index;
+
+        return {
+            points: points,
+            index: index,
+            position: new THREE.Vector3().fromBufferAttribute(points.geometry.getAttribute("position"), index)
+        };
+    }
+
+
+    /**
+     * Register a function which is called whenever the point shown in the
+     * panel changes.
+     *
+     * The listener is called with the picked point, see `pick`, or
+     * `undefined` if the panel is hidden.
+     */
+    addPickListener(listener) {
+        this.pick_listeners.push(listener);
+    }
+
+
+    /**
+     * Show the attributes of a point or hide the panel.
+     */
+    showInfo(hit) {
+        for(const listener of this.pick_listeners) {
+            listener(hit);
+        }
+
+        if(undefined === hit) {
+            this.info_element.style.display = "none";
+            return;
+        }
+
+        var rows = [];
+        for(const [name, value] of describePoint(hit.points, hit.index)) {
+            const row = document.createElement("tr");
+            const name_cell = document.createElement("td");
+            const value_cell = document.createElement("td");
+
+            name_cell.textContent = name;
+            value_cell.textContent = value;
+            row.append(name_cell, value_cell);
+            rows.push(row);
+        }
+
+        const table = document.createElement("table");
+        table.append(...rows);
+
+        this.info_element.replaceChildren(table);
+        this.info_element.style.display = "block";
+    }
+
+
+    /**
+     * Add a point to the current measurement.
+     *
+     * A new measurement is started if there is none. The measurement is
+     * completed when it has as many points as the tool needs.
+     */
+    addPoint(position) {
+        if(undefined === this.current) {
+            this.current = {tool: this.tool, points: [], object: undefined};
+            this.measurements.push(this.current);
+        }
+
+        this.current.points.push(position);
+
+        if(this.current.points.length >= MEASUREMENT_TOOLS[this.tool]) {
+            this.finish();
+        } else {
+            this.draw(this.current, true);
+            this.renderer.render();
+        }
+    }
+
+
+    /**
+     * Complete the current measurement.
+     *
+     * Measurements without enough points are dropped.
+     */
+    finish() {
+        const measurement = this.current;
+        if(undefined === measurement) {
+            return;
+        }
+
+        this.current = undefined;
+
+        const minimum = MINIMUM_POINTS[measurement.tool] || MEASUREMENT_TOOLS[measurement.tool];
+        if(measurement.points.length < minimum) {
+            this.remove(measurement);
+        } else {
+            this.draw(measurement, false);
+        }
+
+        this.renderer.render();
+    }
+
+
+    /**
+     * Remove the last measurement.
+     */
+    undo() {
+        const measurement = this.measurements[this.measurements.length - 1];
+        if(undefined === measurement) {
+            return;
+        }
+
+        if(measurement === this.current) {
+            this.current = undefined;
+        }
+
+        this.remove(measurement);
+        this.renderer.render();
+    }
+
+
+    /**
+     * Remove all measurements.
+     */
+    clear() {
+        for(const measurement of Array.from(this.measurements)) {
+            this.remove(measurement);
+        }
+
+        this.current = undefined;
+        this.renderer.render();
+    }
+
+
+    remove(measurement) {
+        this.measurements = this.measurements.filter((other) => other !== measurement);
+
+        if(undefined !== measurement.object) {
+            this.group.remove(measurement.object);
+            disposeObject(measurement.object);
+            measurement.object = undefined;
+        }
+    }
+
+
+    /**
+     * Results of all completed measurements.
+     *
+     * :returns: list of objects with the `tool`, the `points` as arrays and
+     *     the result as `text`
+     */
+    results() {
+        return this.measurements
+            .filter((measurement) => measurement !== this.current)
+            .map((measurement) => ({
+                tool: measurement.tool,
+                points: measurement.points.map((point) => point.toArray()),
+                text: measurementText(measurement.tool, measurement.points)
+            }));
+    }
+
+
+    /**
+     * Draw a measurement with its markers, lines and result.
+     *
+     * :param active: the measurement is still being picked
+     */
+    draw(measurement, active) {
+        if(undefined !== measurement.object) {
+            this.group.remove(measurement.object);
+            disposeObject(measurement.object);
+        }
+
+        const color = active ? ACTIVE_COLOR : MEASUREMENT_COLOR;
+        const points = measurement.points;
+        const object = new THREE.Group();
+
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        object.add(new THREE.Points(geometry, this.marker_materials[color]));
+
+        if(1 < points.length) {
+            const material = new THREE.LineBasicMaterial({color: color, depthTest: false});
+            const line = "area" == measurement.tool && !active
+                ? new THREE.LineLoop(geometry, material)
+                : new THREE.Line(geometry, material);
+            object.add(line);
+        }
+
+        const text = active ? "" : measurementText(measurement.tool, points);
+        if("" != text) {
+            object.add(this.createLabel(text, color, labelPosition(measurement.tool, points)));
+        }
+
+        // measurements are drawn on top of the points
+        object.traverse((child) => {
+            child.renderOrder = 1;
+        });
+
+        measurement.object = object;
+        this.group.add(object);
+    }
+
+
+    /**
+     * Create the label with the result of a measurement.
+     *
+     * The label keeps its size on the screen, however far away it is.
+     */
+    createLabel(text, color, position) {
+        return createScreenLabel(text, color, position, LABEL_HEIGHT);
+    }
+
+
+    /**
+     * Free all GPU resources and remove the panel.
+     */
+    dispose() {
+        this.setTool(undefined);
+        this.clear();
+        this.renderer.scene.remove(this.group);
+        this.info_element.remove();
+
+        for(const material of Object.values(this.marker_materials)) {
+            material.dispose();
+        }
+    }
+}
+
+
+/**
+ * Where the result of a measurement is shown.
+ *
+ * Angles are labeled at their vertex, all others in the middle of their
+ * points.
+ */
+function labelPosition(tool, points) {
+    if("angle" == tool) {
+        return points[1].clone();
+    }
+
+    var center = new THREE.Vector3();
+    for(const point of points) {
+        center.add(point);
+    }
+
+    return center.divideScalar(points.length);
+}
+
+
+/**
+ * Free the geometries and materials of a drawn measurement.
+ *
+ * The markers share their materials, so those are kept.
+ */
+function disposeObject(object) {
+    object.traverse((child) => {
+        if(undefined !== child.geometry) {
+            child.geometry.dispose();
+        }
+
+        if(child.isLine || child.isSprite) {
+            if(undefined !== child.material.map) {
+                child.material.map.dispose();
+            }
+
+            child.material.dispose();
+        }
+    });
+}
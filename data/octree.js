@@ -0,0 +1,416 @@
+import * as THREE from 'three';
+
+/**
+ * Number of points rendered at most by default.
+ */
+export const DEFAULT_POINT_BUDGET = 2000000;
+
+const MIN_NODE_SIZE = 100;
+const MOVING_BUDGET_FACTOR = 0.25;
+const REFINE_DELAY = 200;
+const MAX_NODE_REQUESTS = 4;
+const CACHE_FACTOR = 2;
+
+
+/**
+ * Create a node of an octree.
+ *
+ * Nodes are named after their path from the root: the root is `r` and each
+ * level adds the index of the octant, e.g. `r05`. The bit 0 of the index is
+ * set for the upper half along X, bit 1 along Y and bit 2 along Z.
+ */
+function createNode(name, bounds) {
+    return {
+        name: name,
+        level: name.length - 1,
+        bounds: bounds,
+        sphere: undefined,
+        children: [],
+        count: 0,
+        points: undefined,
+        loading: false,
+        failed: false,
+        last_used: 0
+    };
+}
+
+
+/**
+ * Bounds of an octant of a box.
+ */
+function octantBounds(bounds, octant) {
+    const center = bounds.getCenter(new THREE.Vector3());
+    var child = bounds.clone();
+
+    ["x", "y", "z"].forEach((axis, bit) => {
+        if(octant & (1 << bit)) {
+            child.min[axis] = center[axis];
+        } else {
+            child.max[axis] = center[axis];
+        }
+    });
+
+    return child;
+}
+
+
+/**
+ * Read the hierarchy of a prebuilt octree.
+ *
+ * A prebuilt octree is a directory with an `octree.json` describing the
+ * hierarchy and one PCD file per node, named after the node:
+ *
+ *     {
+ *         "bounds": {"min": [-50, -50, -5], "max": [50, 50, 95]},
+ *         "nodes": {"r": 20000, "r0": 20000, "r03": 1200, "r1": 800}
+ *     }
+ *
+ * `nodes` maps the names of the nodes, see `createNode`, to their number of
+ * points. The bounds are given in the coordinates of the points.
+ *
+ * :returns: the root node
+ */
+export function parseOctree(config) {
+    const bounds = new THREE.Box3(
+        new THREE.Vector3(...config["bounds"]["min"]),
+        new THREE.Vector3(...config["bounds"]["max"]));
+
+    const names = Object.keys(config["nodes"]).sort((a, b) => a.length - b.length);
+    if("r" != names[0]) {
+        throw new Error("An octree needs a root node r.");
+    }
+
+    const root = createNode("r", bounds);
+    var nodes = new Map([["r", root]]);
+
+    for(const name of names.slice(1)) {
+        const parent = nodes.get(name.slice(0, -1));
+        if(undefined === parent) {
+            throw new Error("The parent of octree node " + name + " is missing.");
+        }
+
+        const node = createNode(name, octantBounds(parent.bounds, Number(name.slice(-1))));
+        parent.children.push(node);
+        nodes.set(name, node);
+    }
+
+    for(const [name, node] of nodes) {
+        node.count = config["nodes"][name];
+    }
+
+    return root;
+}
+
+
+/**
+ * A point cloud rendered with a level of detail.
+ *
+ * The nodes of an octree are shown depending on the camera. Nodes which are
+ * close to the camera and large on the screen come first; nodes are added
+ * until the point budget is used up. The nodes are loaded as they are
+ * needed. While the camera moves, only a part of the budget is used, so the
+ * view stays responsive. Once the camera stops, the view is refined to the
+ * full budget.
+ *
+ * The octree behaves like a point cloud in the scene: all nodes share its
+ * `material` and its user data describes the whole cloud.
+ */
+export class PointOctree extends THREE.Group {
+    /**
+     * Set up the octree.
+     *
+     * :param root: the root node, see `parseOctree`
+     * :param root_points: the point cloud of the root node
+     * :param load_node: function loading the points of a node; is called
+     *     with the node and an `AbortSignal` and returns a promise of the
+     *     parsed point cloud
+     * :param create_points: function creating a transformed and colored
+     *     point cloud from a parsed one; the point cloud must use the
+     *     material of the root
+     * :param on_change: function which is called when the octree needs to
+     *     be rendered again
+     * :param on_error: function which is called with the node and the error
+     *     if a node can't be loaded; failed nodes are not requested again
+     *     until `retryFailedNodes` is called
+     */
+    constructor(root, root_points, load_node, create_points, on_change, on_error=undefined) {
+        super();
+
+        this.isPointOctree = true;
+        this.root = root;
+        this.load_node = load_node;
+        this.create_points = create_points;
+        this.on_change = on_change;
+        this.on_error = on_error;
+        this.point_budget = DEFAULT_POINT_BUDGET;
+
+        this.material = root_points.material;
+        this.name = root_points.name;
+        this.userData = root_points.userData;
+
+        // the octree is looked up by the name, not the root
+        root_points.name = "";
+
+        this.camera_matrix = new THREE.Matrix4();
+        this.refine_timer = undefined;
+        this.requests = 0;
+        this.disposed = false;
+        this.abort_controller = new AbortController();
+
+        this.addNode(root, root_points);
+    }
+
+
+    /**
+     * Change the number of points rendered at most.
+     */
+    setPointBudget(budget) {
+        this.point_budget = budget;
+    }
+
+
+    /**
+     * All loaded point clouds, the root first.
+     */
+    loadedPoints() {
+        var result = [];
+        this.traverseNodes((node) => {
+            if(undefined !== node.points) {
+                result.push(node.points);
+            }
+        });
+
+        return result;
+    }
+
+
+    traverseNodes(callback, node=this.root) {
+        callback(node);
+
+        for(const child of node.children) {
+            this.traverseNodes(callback, child);
+        }
+    }
+
+
+    /**
+     * Select the nodes for a camera.
+     *
+     * Is called before each rendering. Nodes which are needed but not loaded
+     * yet are requested; the view is rendered again when they arrive.
+     *
+     * :param camera: the camera of the view
+     * :param height: height of the view in pixels
+     */
+    update(camera, height) {
+        camera.updateMatrixWorld();
+
+        const moving = !camera.matrixWorld.equals(this.camera_matrix);
+        if(moving) {
+            this.camera_matrix.copy(camera.matrixWorld);
+
+            clearTimeout(this.refine_timer);
+            this.refine_timer = setTimeout(() => {
+                this.refine_timer = undefined;
+                this.on_change();
+            }, REFINE_DELAY);
+        }
+
+        const moving_or_waiting = moving || undefined !== this.refine_timer;
+        const budget = moving_or_waiting ? MOVING_BUDGET_FACTOR * this.point_budget : this.point_budget;
+        const selected = this.selectNodes(camera, height, budget);
+        const now = performance.now();
+
+        for(const child of this.children) {
+            child.visible = false;
+        }
+
+        for(const node of selected) {
+            node.last_used = now;
+
+            if(undefined !== node.points) {
+                node.points.visible = true;
+            } else if(!node.loading && !node.failed && this.requests < MAX_NODE_REQUESTS) {
+                this.requestNode(node);
+            }
+        }
+
+        this.evictNodes();
+    }
+
+
+    /**
+     * Nodes to show, ordered by their size on the screen.
+     */
+    selectNodes(camera, height, budget) {
+        const frustum = new THREE.Frustum().setFromProjectionMatrix(
+            new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse));
+        const scale = height / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+
+        // projected diameter of a node in pixels
+        const screenSize = (node) => {
+            const distance = node.sphere.center.distanceTo(camera.position);
+            return distance <= node.sphere.radius ? Infinity : 2 * node.sphere.radius * scale / distance;
+        };
+
+        var selected = [this.root];
+        var count = this.root.count;
+        var queue = this.root.children.map((node) => this.prepareNode(node));
+
+        while(0 < queue.length) {
+            var best = 0;
+            var sizes = queue.map(screenSize);
+            for(var index = 1; index < queue.length; ++index) {
+                if(sizes[index] > sizes[best]) {
+                    best = index;
+                }
+            }
+
+            const node = queue[best];
+            queue.splice(best, 1);
+
+            if(sizes[best] < MIN_NODE_SIZE || !frustum.intersectsSphere(node.sphere)) {
+                continue;
+            }
+
+            if(count + node.count > budget) {
+                break;
+            }
+
+            selected.push(node);
+            count += node.count;
+            queue.push(...node.children.map((child) => this.prepareNode(child)));
+        }
+
+        return selected;
+    }
+
+
+    /**
+     * Compute the bounding sphere of a node in the coordinates of the viewer.
+     */
+    prepareNode(node) {
+        if(undefined === node.sphere) {
+            // the bounds are relative to the offset of the cloud, see `createCloud`
+            const offset = new THREE.Vector3(...(this.userData.offset || [0, 0, 0]));
+
+            node.sphere = node.bounds
+                .getBoundingSphere(new THREE.Sphere())
+                .translate(offset)
+                .applyMatrix4(this.userData.matrix || new THREE.Matrix4());
+        }
+
+        return node;
+    }
+
+
+    /**
+     * Load the points of a node.
+     */
+    requestNode(node) {
+        node.loading = true;
+        ++this.requests;
+
+        this.load_node(node, this.abort_controller.signal).then((cloud) => {
+            node.loading = false;
+            --this.requests;
+
+            if(!this.disposed) {
+                this.addNode(node, this.create_points(cloud));
+                this.on_change();
+            }
+        }).catch((error) => {
+            node.loading = false;
+            --this.requests;
+
+            if("AbortError" != error.name) {
+                node.failed = true;
+
+                if(!this.disposed && undefined !== this.on_error) {
+                    this.on_error(node, error);
+                }
+            }
+        });
+    }
+
+
+    /**
+     * Request the nodes which could not be loaded again once they are needed.
+     */
+    retryFailedNodes() {
+        var failed = false;
+        this.traverseNodes((node) => {
+            failed = failed || node.failed;
+            node.failed = false;
+        });
+
+        if(failed) {
+            this.on_change();
+        }
+    }
+
+
+    /**
+     * Add the point cloud of a node.
+     */
+    addNode(node, points) {
+        points.visible = false;
+        node.points = points;
+        this.add(points);
+    }
+
+
+    /**
+     * Free the least recently used nodes which are not shown.
+     *
+     * Some more points than the budget are kept, so moving the camera back
+     * and forth does not load the same nodes again and again.
+     */
+    evictNodes() {
+        var hidden = [];
+        var count = 0;
+
+        this.traverseNodes((node) => {
+            if(undefined === node.points) {
+                return;
+            }
+
+            count += node.count;
+            if(!node.points.visible && node !== this.root) {
+                hidden.push(node);
+            }
+        });
+
+        hidden.sort((a, b) => a.last_used - b.last_used);
+
+        for(const node of hidden) {
+            if(count <= CACHE_FACTOR * this.point_budget) {
+                break;
+            }
+
+            count -= node.count;
+            this.remove(node.points);
+            node.points.geometry.dispose();
+            node.points = undefined;
+        }
+    }
+
+
+    /**
+     * Free all nodes.
+     *
+     * Nodes which are still loading are cancelled.
+     */
+    dispose() {
+        this.disposed = true;
+        this.abort_controller.abort();
+        clearTimeout(this.refine_timer);
+
+        for(const points of this.loadedPoints()) {
+            points.geometry.dispose();
+        }
+
+        this.material.dispose();
+        this.clear();
+    }
+}
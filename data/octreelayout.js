@@ -0,0 +1,206 @@
+/**
+ * Sorting parsed point clouds into octrees.
+ *
+ * The module does without three.js, so the decoder workers sort large clouds
+ * right after parsing them, see `decodeworker.js`. The points of a sorted
+ * cloud are stored node by node, so the points of each node are a slice of
+ * the arrays of the cloud.
+ */
+
+const NODE_CAPACITY = 20000;
+const MAX_DEPTH = 12;
+
+
+/**
+ * A step which visits all points exactly once in a scattered order.
+ */
+function scatteringStep(count) {
+    const gcd = (a, b) => 0 == b ? a : gcd(b, a % b);
+
+    var step = Math.max(1, Math.floor(0.618034 * count));
+    while(1 < count && 1 != gcd(step, count)) {
+        ++step;
+    }
+
+    return step;
+}
+
+
+/**
+ * Create a node while sorting, see `createNode` in `octree.js`.
+ */
+function createNode(name, min, max) {
+    return {
+        name: name,
+        level: name.length - 1,
+        min: min,
+        max: max,
+        center: min.map((value, axis) => 0.5 * (value + max[axis])),
+        children: new Map(),
+        indices: []
+    };
+}
+
+
+/**
+ * Bounds of an octant of a node, see `octantBounds` in `octree.js`.
+ */
+function octantNode(node, octant) {
+    var min = node.min.slice();
+    var max = node.max.slice();
+
+    for(var axis = 0; axis < 3; ++axis) {
+        if(octant & (1 << axis)) {
+            min[axis] = node.center[axis];
+        } else {
+            max[axis] = node.center[axis];
+        }
+    }
+
+    return createNode(node.name + octant, min, max);
+}
+
+
+/**
+ * Copy some points of a cloud into a new cloud.
+ *
+ * :param cloud: the parsed point cloud, see `createCloud`
+ * :param indices: indices of the points to copy
+ */
+export function selectPoints(cloud, indices) {
+    const select = (values, size) => {
+        var result = new Float32Array(size * indices.length);
+        for(var index = 0; index < indices.length; ++index) {
+            for(var component = 0; component < size; ++component) {
+                result[size * index + component] = values[size * indices[index] + component];
+            }
+        }
+
+        return result;
+    };
+
+    var fields = {};
+    for(const name in cloud.fields) {
+        fields[name] = select(cloud.fields[name], 1);
+    }
+
+    return {
+        count: indices.length,
+        position: select(cloud.position, 3),
+        color: undefined === cloud.color ? undefined : select(cloud.color, 3),
+        fields: fields,
+        offset: cloud.offset
+    };
+}
+
+
+/**
+ * Sort the points of a cloud into an octree.
+ *
+ * The points are inserted in a scattered order. Each node keeps the first
+ * points which reach it up to its capacity and passes the others on to its
+ * children. Every node therefore holds a uniform sample of its part of the
+ * cloud and the nodes of all levels together hold each point exactly once.
+ *
+ * :param cloud: the parsed point cloud, see `createCloud`
+ * :param capacity: number of points per node
+ * :param max_depth: level of the deepest nodes, which keep all their points
+ * :returns: a copy of the cloud with the points stored node by node and the
+ *     hierarchy as `octree` in the layout of `parseOctree`; the nodes are
+ *     listed in the order of their points
+ */
+export function sortIntoOctree(cloud, capacity=NODE_CAPACITY, max_depth=MAX_DEPTH) {
+    const position = cloud.position;
+
+    var min = [0, 0, 0];
+    var max = [0, 0, 0];
+    if(0 < cloud.count) {
+        min = [Infinity, Infinity, Infinity];
+        max = [-Infinity, -Infinity, -Infinity];
+
+        for(var index = 0; index < 3 * cloud.count; ++index) {
+            min[index % 3] = Math.min(min[index % 3], position[index]);
+            max[index % 3] = Math.max(max[index % 3], position[index]);
+        }
+    }
+
+    // cubic nodes give the most regular sampling
+    const size = Math.max(...max.map((value, axis) => value - min[axis]));
+    max = min.map((value) => value + size);
+
+    const root = createNode("r", min, max);
+    var nodes = [root];
+    const step = scatteringStep(cloud.count);
+
+    for(var visited = 0; visited < cloud.count; ++visited) {
+        const index = (visited * step) % cloud.count;
+
+        var node = root;
+        while(node.indices.length >= capacity && node.level < max_depth) {
+            var octant = 0;
+            for(var axis = 0; axis < 3; ++axis) {
+                if(position[3 * index + axis] >= node.center[axis]) {
+                    octant |= 1 << axis;
+                }
+            }
+
+            var child = node.children.get(octant);
+            if(undefined === child) {
+                child = octantNode(node, octant);
+                node.children.set(octant, child);
+                nodes.push(child);
+            }
+
+            node = child;
+        }
+
+        node.indices.push(index);
+    }
+
+    var order = new Uint32Array(cloud.count);
+    var offset = 0;
+    for(const node of nodes) {
+        order.set(node.indices, offset);
+        offset += node.indices.length;
+    }
+
+    var sorted = selectPoints(cloud, order);
+    sorted.octree = {
+        bounds: {min: min, max: max},
+        nodes: Object.fromEntries(nodes.map((node) => [node.name, node.indices.length]))
+    };
+
+    return sorted;
+}
+
+
+/**
+ * The points of the nodes of a cloud sorted by `sortIntoOctree`.
+ *
+ * The clouds of the nodes share the arrays of the sorted cloud.
+ *
+ * :returns: `Map` from the names of the nodes to their parsed point clouds
+ */
+export function splitOctree(cloud) {
+    const slice = (values, size, start, count) => values.subarray(size * start, size * (start + count));
+
+    var result = new Map();
+    var start = 0;
+    for(const [name, count] of Object.entries(cloud.octree["nodes"])) {
+        var fields = {};
+        for(const field in cloud.fields) {
+            fields[field] = slice(cloud.fields[field], 1, start, count);
+        }
+
+        result.set(name, {
+            count: count,
+            position: slice(cloud.position, 3, start, count),
+            color: undefined === cloud.color ? undefined : slice(cloud.color, 3, start, count),
+            fields: fields,
+            offset: cloud.offset
+        });
+        start += count;
+    }
+
+    return result;
+}
@@ -0,0 +1,361 @@
+/**
+ * Parser for point clouds in the PCD format.
+ *
+ * In contrast to the `PCDLoader` of three.js, this parser keeps all scalar
+ * fields of the file, e.g. intensity or ring, and does not depend on three.js
+ * at all. It returns plain typed arrays.
+ */
+
+import { createCloud } from './cloud.js';
+
+const COLOR_FIELDS = ["rgb", "rgba"];
+
+
+/**
+ * Parse the content of a PCD file.
+ *
+ * :param data: content of the file as `ArrayBuffer`
+ * :returns: the parsed point cloud, see `createCloud`
+ */
+export function parsePCD(data) {
+    const bytes = new Uint8Array(data);
+    const header = parseHeader(bytes);
+
+    var columns;
+    if("ascii" == header.data) {
+        columns = readASCII(bytes, header);
+    } else if("binary" == header.data) {
+        columns = readBinary(new DataView(data, header.offset), header);
+    } else if("binary_compressed" == header.data) {
+        columns = readCompressed(data, header);
+    } else {
+        throw new Error("Unsupported PCD data type " + header.data + ".");
+    }
+
+    return createCloud(unpackColors(columns, header.points), header.points, 255);
+}
+
+
+/**
+ * Parse the header of a PCD file.
+ *
+ * The header ends with the `DATA` line. The offset of the first byte after
+ * the header is stored in the `offset` attribute.
+ */
+function parseHeader(bytes) {
+    const decoder = new TextDecoder();
+    var header = {};
+    var start = 0;
+
+    while(start < bytes.length) {
+        var end = bytes.indexOf(10, start);
+        if(end < 0) {
+            end = bytes.length;
+        }
+
+        const line = decoder.decode(bytes.subarray(start, end)).trim();
+        start = end + 1;
+
+        if(0 == line.length || line.startsWith("#")) {
+            continue;
+        }
+
+        const tokens = line.split(/\s+/);
+        header[tokens[0].toLowerCase()] = tokens.slice(1);
+
+        if("DATA" == tokens[0].toUpperCase()) {
+            break;
+        }
+    }
+
+    if(undefined === header["fields"] || undefined === header["data"]) {
+        throw new Error("Invalid PCD header.");
+    }
+
+    const fields = header["fields"];
+    const width = parseInt(header["width"]);
+    const height = parseInt(header["height"] || 1);
+
+    var result = {
+        fields: fields,
+        size: (header["size"] || fields.map(() => "4")).map((x) => parseInt(x)),
+        type: header["type"] || fields.map(() => "F"),
+        count: (header["count"] || fields.map(() => "1")).map((x) => parseInt(x)),
+        points: header["points"] ? parseInt(header["points"]) : width * height,
+        data: header["data"][0].toLowerCase(),
+        offset: start
+    };
+
+    // offsets of the fields within a record of a single point
+    result.offsets = [];
+    result.record_size = 0;
+    for(var index = 0; index < fields.length; ++index) {
+        result.offsets.push(result.record_size);
+        result.record_size += result.size[index] * result.count[index];
+    }
+
+    return result;
+}
+
+
+/**
+ * Fields which are read from the file.
+ *
+ * Fields with more than a single value per point, e.g. descriptors or
+ * padding, are skipped.
+ */
+function scalarFields(header) {
+    var indices = [];
+    for(var index = 0; index < header.fields.length; ++index) {
+        if(1 == header.count[index] && "_" != header.fields[index]) {
+            indices.push(index);
+        }
+    }
+
+    return indices;
+}
+
+
+/**
+ * Create a function reading a value of a field from a `DataView`.
+ *
+ * Colors are packed into a single value. They are always read as unsigned
+ * integer, so the channels can be extracted.
+ */
+function valueReader(header, index) {
+    const size = header.size[index];
+    const type = header.type[index];
+
+    if(COLOR_FIELDS.includes(header.fields[index])) {
+        return (view, offset) => view.getUint32(offset, true);
+    }
+
+    if("F" == type) {
+        if(8 == size) {
+            return (view, offset) => view.getFloat64(offset, true);
+        }
+
+        return (view, offset) => view.getFloat32(offset, true);
+    }
+
+    const signed = "I" == type;
+    if(1 == size) {
+        return signed
+            ? (view, offset) => view.getInt8(offset)
+            : (view, offset) => view.getUint8(offset);
+    } else if(2 == size) {
+        return signed
+            ? (view, offset) => view.getInt16(offset, true)
+            : (view, offset) => view.getUint16(offset, true);
+    } else if(8 == size) {
+        return signed
+            ? (view, offset) => Number(view.getBigInt64(offset, true))
+            : (view, offset) => Number(view.getBigUint64(offset, true));
+    }
+
+    return signed
+        ? (view, offset) => view.getInt32(offset, true)
+        : (view, offset) => view.getUint32(offset, true);
+}
+
+
+/**
+ * Array for the values of a field.
+ *
+ * Packed colors need all 32 bits and are stored as unsigned integers.
+ */
+function createColumn(header, index) {
+    if(COLOR_FIELDS.includes(header.fields[index])) {
+        return new Uint32Array(header.points);
+    }
+
+    return new Float32Array(header.points);
+}
+
+
+/**
+ * Read point data stored as text.
+ */
+function readASCII(bytes, header) {
+    const text = new TextDecoder().decode(bytes.subarray(header.offset));
+    const lines = text.split("\n");
+    const indices = scalarFields(header);
+
+    // position of the first value of each field in a line
+    var positions = [];
+    var position = 0;
+    for(var index = 0; index < header.fields.length; ++index) {
+        positions.push(position);
+        position += header.count[index];
+    }
+
+    var columns = {};
+    for(const index of indices) {
+        columns[header.fields[index]] = createColumn(header, index);
+    }
+
+    const packed = new Float32Array(1);
+    const unpacked = new Uint32Array(packed.buffer);
+
+    var point = 0;
+    for(const line of lines) {
+        if(point >= header.points) {
+            break;
+        }
+
+        const values = line.trim().split(/\s+/);
+        if(values.length < position) {
+            continue;
+        }
+
+        for(const index of indices) {
+            const name = header.fields[index];
+            const value = values[positions[index]];
+
+            if(COLOR_FIELDS.includes(name) && "F" == header.type[index]) {
+                // the color is packed into the bits of a float
+                packed[0] = parseFloat(value);
+                columns[name][point] = unpacked[0];
+            } else {
+                columns[name][point] = parseFloat(value);
+            }
+        }
+
+        point++;
+    }
+
+    return columns;
+}
+
+
+/**
+ * Read point data stored as binary records, one record per point.
+ */
+function readBinary(view, header) {
+    const indices = scalarFields(header);
+    var columns = {};
+
+    for(const index of indices) {
+        const column = createColumn(header, index);
+        const read = valueReader(header, index);
+        const offset = header.offsets[index];
+
+        for(var point = 0; point < header.points; ++point) {
+            column[point] = read(view, point * header.record_size + offset);
+        }
+
+        columns[header.fields[index]] = column;
+    }
+
+    return columns;
+}
+
+
+/**
+ * Read point data stored compressed.
+ *
+ * The data is compressed with LZF. After decompression, the values are
+ * stored field by field instead of point by point.
+ */
+function readCompressed(data, header) {
+    const sizes = new Uint32Array(data.slice(header.offset, header.offset + 8));
+    const compressed = new Uint8Array(data, header.offset + 8, sizes[0]);
+    const decompressed = decompressLZF(compressed, sizes[1]);
+    const view = new DataView(decompressed.buffer);
+
+    const indices = scalarFields(header);
+    var columns = {};
+
+    var start = 0;
+    for(var index = 0; index < header.fields.length; ++index) {
+        const step = header.size[index] * header.count[index];
+
+        if(indices.includes(index)) {
+            const column = createColumn(header, index);
+            const read = valueReader(header, index);
+
+            for(var point = 0; point < header.points; ++point) {
+                column[point] = read(view, start + point * step);
+            }
+
+            columns[header.fields[index]] = column;
+        }
+
+        start += step * header.points;
+    }
+
+    return columns;
+}
+
+
+/**
+ * Decompress LZF compressed data.
+ */
+function decompressLZF(input, output_length) {
+    const output = new Uint8Array(output_length);
+    var input_index = 0;
+    var output_index = 0;
+
+    while(input_index < input.length) {
+        var control = input[input_index++];
+
+        if(control < 32) {
+            // literal run
+            control++;
+            if(output_index + control > output_length) {
+                throw new Error("Output buffer is not large enough.");
+            }
+
+            while(control--) {
+                output[output_index++] = input[input_index++];
+            }
+        } else {
+            // back reference
+            var length = control >> 5;
+            var reference = output_index - ((control & 0x1f) << 8) - 1;
+
+            if(7 == length) {
+                length += input[input_index++];
+            }
+
+            reference -= input[input_index++];
+            length += 2;
+
+            if(reference < 0 || output_index + length > output_length) {
+                throw new Error("Invalid LZF data.");
+            }
+
+            while(length--) {
+                output[output_index++] = output[reference++];
+            }
+        }
+    }
+
+    return output;
+}
+
+
+/**
+ * Split the packed colors of a file into the channels `red`, `green` and
+ * `blue`, see `createCloud`.
+ */
+function unpackColors(columns, count) {
+    const packed = columns["rgb"] || columns["rgba"];
+    if(undefined === packed) {
+        return columns;
+    }
+
+    var result = Object.fromEntries(Object.entries(columns)
+        .filter(([name]) => !COLOR_FIELDS.includes(name)));
+    result["red"] = new Uint8Array(count);
+    result["green"] = new Uint8Array(count);
+    result["blue"] = new Uint8Array(count);
+
+    for(var point = 0; point < count; ++point) {
+        result["red"][point] = (packed[point] >> 16) & 0xff;
+        result["green"][point] = (packed[point] >> 8) & 0xff;
+        result["blue"][point] = packed[point] & 0xff;
+    }
+
+    return result;
+}
@@ -0,0 +1,250 @@
+/**
+ * Parser for point clouds in the PLY format.
+ *
+ * Only the `vertex` element is read; faces and other elements are skipped.
+ * All scalar properties of the vertices are kept.
+ */
+
+import { createCloud } from './cloud.js';
+
+/**
+ * Size and `DataView` getter of the property types.
+ */
+const PROPERTY_TYPES = {
+    char: [1, "getInt8"],
+    int8: [1, "getInt8"],
+    uchar: [1, "getUint8"],
+    uint8: [1, "getUint8"],
+    short: [2, "getInt16"],
+    int16: [2, "getInt16"],
+    ushort: [2, "getUint16"],
+    uint16: [2, "getUint16"],
+    int: [4, "getInt32"],
+    int32: [4, "getInt32"],
+    uint: [4, "getUint32"],
+    uint32: [4, "getUint32"],
+    float: [4, "getFloat32"],
+    float32: [4, "getFloat32"],
+    double: [8, "getFloat64"],
+    float64: [8, "getFloat64"]
+};
+
+/**
+ * Names of the color properties used by different writers.
+ */
+const COLOR_PROPERTIES = {
+    red: "red",
+    green: "green",
+    blue: "blue",
+    r: "red",
+    g: "green",
+    b: "blue",
+    diffuse_red: "red",
+    diffuse_green: "green",
+    diffuse_blue: "blue"
+};
+
+const END_OF_HEADER = "end_header";
+
+
+/**
+ * Parse the content of a PLY file.
+ *
+ * :param data: content of the file as `ArrayBuffer`
+ * :returns: the parsed point cloud, see `createCloud`
+ */
+export function parsePLY(data) {
+    const bytes = new Uint8Array(data);
+    const header = parseHeader(bytes);
+    const vertex = header.elements.find((element) => "vertex" == element.name);
+
+    if(undefined === vertex) {
+        throw new Error("The PLY file has no vertices.");
+    }
+
+    var columns;
+    if("ascii" == header.format) {
+        columns = readASCII(bytes, header, vertex);
+    } else if("binary_little_endian" == header.format || "binary_big_endian" == header.format) {
+        columns = readBinary(new DataView(data), header, vertex);
+    } else {
+        throw new Error("Unsupported PLY format " + header.format + ".");
+    }
+
+    // colors stored as integers use the whole range of their type
+    const red = vertex.properties.find((property) => "red" == renameProperty(property.name));
+    const color_scale = undefined === red || red.type.startsWith("float") || "double" == red.type
+        ? undefined
+        : Math.pow(2, 8 * PROPERTY_TYPES[red.type][0]) - 1;
+
+    return createCloud(columns, vertex.count, color_scale);
+}
+
+
+/**
+ * Name of the column a property is stored in.
+ */
+function renameProperty(name) {
+    return COLOR_PROPERTIES[name] || name;
+}
+
+
+/**
+ * Parse the header of a PLY file.
+ *
+ * :returns: object with the `format`, the `elements` with their `name`,
+ *     `count` and `properties` and the `offset` of the first byte after the
+ *     header
+ */
+function parseHeader(bytes) {
+    const decoder = new TextDecoder();
+    var header = {format: undefined, elements: [], offset: 0};
+    var start = 0;
+
+    while(start < bytes.length) {
+        var end = bytes.indexOf(10, start);
+        if(end < 0) {
+            end = bytes.length;
+        }
+
+        const line = decoder.decode(bytes.subarray(start, end)).trim();
+        const tokens = line.split(/\s+/);
+        start = end + 1;
+
+        if(0 == header.offset && "ply" != line) {
+            throw new Error("Invalid PLY header.");
+        }
+
+        header.offset = start;
+
+        if("format" == tokens[0]) {
+            header.format = tokens[1];
+        } else if("element" == tokens[0]) {
+            header.elements.push({name: tokens[1], count: parseInt(tokens[2]), properties: []});
+        } else if("property" == tokens[0]) {
+            const element = header.elements[header.elements.length - 1];
+            if(undefined === element) {
+                throw new Error("PLY property outside of an element.");
+            }
+
+            if("list" == tokens[1]) {
+                element.properties.push({name: tokens[4], type: tokens[3], count_type: tokens[2]});
+            } else {
+                element.properties.push({name: tokens[2], type: tokens[1]});
+            }
+        } else if(END_OF_HEADER == tokens[0]) {
+            return header;
+        }
+    }
+
+    throw new Error("The PLY header does not end.");
+}
+
+
+/**
+ * Create the arrays for the scalar properties of the vertices.
+ */
+function createColumns(vertex) {
+    var columns = {};
+    for(const property of vertex.properties) {
+        if(undefined === property.count_type) {
+            columns[renameProperty(property.name)] = new Float32Array(vertex.count);
+        }
+    }
+
+    return columns;
+}
+
+
+/**
+ * Read the vertices of a file stored as text.
+ *
+ * Each element is stored line by line, so the lines of the elements before
+ * the vertices are skipped.
+ */
+function readASCII(bytes, header, vertex) {
+    const text = new TextDecoder().decode(bytes.subarray(header.offset));
+    const lines = text.split("\n");
+    var columns = createColumns(vertex);
+
+    var line_index = 0;
+    for(const element of header.elements) {
+        if(element === vertex) {
+            break;
+        }
+
+        line_index += element.count;
+    }
+
+    for(var point = 0; point < vertex.count; ++point) {
+        const values = (lines[line_index + point] || "").trim().split(/\s+/);
+        var position = 0;
+
+        for(const property of vertex.properties) {
+            if(undefined === property.count_type) {
+                columns[renameProperty(property.name)][point] = parseFloat(values[position]);
+                position += 1;
+            } else {
+                // lists start with the number of entries
+                position += 1 + parseInt(values[position]);
+            }
+        }
+    }
+
+    return columns;
+}
+
+
+/**
+ * Read the vertices of a file stored as binary records.
+ *
+ * Records with lists differ in size, so the elements before the vertices
+ * have to be walked record by record.
+ */
+function readBinary(view, header, vertex) {
+    const little_endian = "binary_little_endian" == header.format;
+    const read = (type, offset) => view[PROPERTY_TYPES[type][1]](offset, little_endian);
+    const size = (type) => {
+        if(undefined === PROPERTY_TYPES[type]) {
+            throw new Error("Unknown PLY property type " + type + ".");
+        }
+
+        return PROPERTY_TYPES[type][0];
+    };
+
+    // walks over a record and optionally stores its scalar properties
+    const readRecord = (element, offset, columns, index) => {
+        for(const property of element.properties) {
+            if(undefined === property.count_type) {
+                if(undefined !== columns) {
+                    columns[renameProperty(property.name)][index] = read(property.type, offset);
+                }
+
+                offset += size(property.type);
+            } else {
+                const entries = read(property.count_type, offset);
+                offset += size(property.count_type) + entries * size(property.type);
+            }
+        }
+
+        return offset;
+    };
+
+    var offset = header.offset;
+    for(const element of header.elements) {
+        if(element === vertex) {
+            break;
+        }
+
+        for(var index = 0; index < element.count; ++index) {
+            offset = readRecord(element, offset, undefined, index);
+        }
+    }
+
+    var columns = createColumns(vertex);
+    for(var point = 0; point < vertex.count; ++point) {
+        offset = readRecord(vertex, offset, columns, point);
+    }
+
+    return columns;
+}
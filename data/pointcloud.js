@@ -1,14 +1,67 @@
 import * as THREE from 'three';
 
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { PCDLoader } from 'three/addons/loaders/PCDLoader.js';
 
-const INCREASE_KEY = "+";
-const DECREASE_KEY = "-";
-const CAMERA_FIELD_OF_VIEW = 60;
+import { FrameCache } from './framecache.js';
+import { PlaybackClock } from './clock.js';
+import { formatOf } from './formats.js';
+import { DecoderPool } from './decoder.js';
+import { DEFAULT_RETRIES, DEFAULT_RETRY_DELAY, PointCloudLoadError, download, parseError, withRetries } from './loaderrors.js';
+import { FrameStore } from './framestore.js';
+import { PointColoring, ColorLegend } from './coloring.js';
+import { SceneTransform } from './transforms.js';
+import { AnnotationOverlay, parseAnnotation, serializeAnnotation, transferAnnotation } from './annotations.js';
+import { AnnotationEditor } from './annotationeditor.js';
+import { MeasurementTool } from './measurement.js';
+import { SceneHelpers } from './helpers.js';
+import { CloudLayers, cloudsOf, composeClouds } from './layers.js';
+import { FrameAccumulation } from './accumulation.js';
+import { parseCameras } from './cameraimages.js';
+import { SequenceExporter } from './exporter.js';
+import { CameraPath, DEFAULT_FIELD_OF_VIEW, parseViewpoint, serializeViewpoint } from './camerapath.js';
+import { DEFAULT_POINT_BUDGET, PointOctree, parseOctree } from './octree.js';
+import { sortIntoOctree, splitOctree } from './octreelayout.js';
+
 const NEAR_CLIPPING_PLANE = 0.01;
 const FAR_CLIPPING_PLANE = 1000.0;
 const POINT_CLOUD_NAME = "point_cloud";
+const DEFAULT_FRAME_DURATION = 1.0;
+const DEFAULT_POINT_SIZE = 0.05;
+const DEFAULT_PIXEL_SIZE = 2;
+const ATTENUATION_DISTANCE = 10;
+const INITIAL_CAMERA_POSITION = new THREE.Vector3(0, 0, -50);
+const SINGLE_CLOUD_NAME = "cloud";
+
+/**
+ * What the playback does with frames which could not be loaded.
+ * 
+ * `skip` keeps the previous frame visible and steps over failed frames,
+ * `mark` shows them as empty frames with the error in the status.
+ */
+export const FAILED_FRAME_MODES = ["skip", "mark"];
+
+/**
+ * Units of the point size.
+ * 
+ * In `world` units, points are as large as the size in the units of the
+ * scene and shrink with the distance. In `pixels`, points have the same size
+ * on the screen unless the attenuation is on; then they have the size at a
+ * distance of 10 units and shrink behind it.
+ */
+export const POINT_SIZE_UNITS = ["world", "pixels"];
+
+/**
+ * Options of a `Player`, see its constructor.
+ */
+const DEFAULT_PLAYER_OPTIONS = {
+    status: undefined,
+    render_frame: undefined,
+    center: true,
+    show_helper: false,
+    failed_frames: "skip",
+    retries: DEFAULT_RETRIES,
+    retry_delay: DEFAULT_RETRY_DELAY
+};
 
 
 /**
@@ -28,6 +81,24 @@ function compareByTimestamp(a, b) {
 }
 
 
+/**
+ * Where a named cloud of a scene configuration is loaded from.
+ * 
+ * The paths are resolved by the catalog of the scenes, see `SceneCatalog`.
+ */
+function cloudSource(name, cloud) {
+    const path = cloud["path"];
+    
+    return {
+        name: name,
+        path: path,
+        full_path: path,
+        format: cloud["format"],
+        hash: cloud["hash"]
+    };
+}
+
+
 /**
  * Render a single point cloud.
  */
@@ -42,31 +113,88 @@ export function PointCloudRenderer(render_window, enableAxesHelper=false, center
     render_window.appendChild(this.renderer.domElement);
 
     this.scene = new THREE.Scene();
+    this.viewports = [this.scene];
 
     this.camera = this.createCamera();
         
-    this.camera.position.set(0, 0, -50);
+    this.camera.position.copy(INITIAL_CAMERA_POSITION);
     this.scene.add(this.camera);
 
     const controls = new OrbitControls(this.camera, this.renderer.domElement);
     controls.minDistance = 0.5;
     controls.maxDistance = 100;
     controls.addEventListener('change', this.render.bind(this)); // use if there is no animation loop
+    this.controls = controls;
+
+    this.coloring = new PointColoring();
+    this.legend = new ColorLegend(render_window);
+    this.annotations = new AnnotationOverlay(this.scene);
+    this.editor = undefined;
+    this.measurement = undefined;
+    this.point_budget = DEFAULT_POINT_BUDGET;
+    this.decoder = new DecoderPool();
+    this.frame_store = new FrameStore();
+    this.retries = DEFAULT_RETRIES;
+    this.retry_delay = DEFAULT_RETRY_DELAY;
+    this.output_size = undefined;
+    this.point_size = DEFAULT_POINT_SIZE;
+    this.point_size_units = "world";
+    this.point_attenuation = false;
+    this.helpers = new SceneHelpers(this.scene, this.coloring);
+    this.layers = new CloudLayers();
 
     if(enableAxesHelper) {
-//        this.scene.add(new THREE.AxesHelper(1));
+        this.helpers.setVisible("axes", true);
+        this.helpers.setVisible("grid", true);
     }
 
-    window.addEventListener('resize', this.onWindowResize.bind(this) );
+    this.resize_listener = this.onWindowResize.bind(this);
+    window.addEventListener('resize', this.resize_listener);
 }
 
 
+/**
+ * Free the GPU resources of the renderer and remove its canvas.
+ * 
+ * The point clouds are freed by their players, see `dispose` of the
+ * `Player`. The renderer can't be used anymore afterwards.
+ */
+PointCloudRenderer.prototype.dispose = function() {
+    window.removeEventListener('resize', this.resize_listener);
+    this.controls.dispose();
+    
+    if(undefined !== this.editor) {
+        this.editor.dispose();
+    }
+    
+    if(undefined !== this.measurement) {
+        this.measurement.dispose();
+    }
+    
+    this.annotations.dispose();
+    this.helpers.dispose();
+    this.legend.element.remove();
+    this.decoder.dispose();
+    
+    this.renderer.dispose();
+    this.renderer.domElement.remove();
+};
+
+
 PointCloudRenderer.prototype.windowWidth = function() {
+    if(undefined !== this.output_size) {
+        return this.output_size.width;
+    }
+    
     return this.render_window.clientWidth;
 }
 
 
 PointCloudRenderer.prototype.windowHeight = function() {
+    if(undefined !== this.output_size) {
+        return this.output_size.height;
+    }
+    
     return this.render_window.clientHeight;
 }
 
@@ -81,7 +209,7 @@ PointCloudRenderer.prototype.aspectRatio = function() {
  */
 PointCloudRenderer.prototype.createCamera = function() {
     return new THREE.PerspectiveCamera(
-        CAMERA_FIELD_OF_VIEW,
+        DEFAULT_FIELD_OF_VIEW,
         this.aspectRatio(),
         NEAR_CLIPPING_PLANE,
         FAR_CLIPPING_PLANE);
@@ -89,22 +217,128 @@ PointCloudRenderer.prototype.createCamera = function() {
 
 
 /**
- * Default transformation for our point clouds.
+ * The current position, target and field of view of the camera.
+ * 
+ * :param matrix: optional transformation of the coordinates the viewpoint
+ *     is given in, e.g. the ego pose, into the coordinates of the viewer
+ * :returns: viewpoint, see `parseViewpoint`
+ */
+PointCloudRenderer.prototype.viewpoint = function(matrix=undefined) {
+    var viewpoint = {
+        position: this.camera.position.clone(),
+        target: this.controls.target.clone(),
+        fov: this.camera.fov
+    };
+    
+    if(undefined !== matrix) {
+        const inverse = matrix.clone().invert();
+        viewpoint.position.applyMatrix4(inverse);
+        viewpoint.target.applyMatrix4(inverse);
+    }
+    
+    return viewpoint;
+};
+
+
+/**
+ * Move the camera to a viewpoint.
+ * 
+ * The controls render the view if the camera moved.
  * 
- * This transformation centers the point cloud and rotates it around the X and
- * the Z axes to fix the orientation. This might need to change and become
- * more flexible in the long run.
+ * :param viewpoint: see `parseViewpoint`
+ * :param matrix: see `viewpoint`
  */
-function transform(points, name, center=false) {
-    if(center) {
-        points.geometry.center();
+PointCloudRenderer.prototype.setViewpoint = function(viewpoint, matrix=undefined) {
+    this.camera.position.copy(viewpoint.position);
+    this.controls.target.copy(viewpoint.target);
+    
+    if(undefined !== matrix) {
+        this.camera.position.applyMatrix4(matrix);
+        this.controls.target.applyMatrix4(matrix);
+    }
+    
+    if(undefined !== viewpoint.fov && viewpoint.fov != this.camera.fov) {
+        this.camera.fov = viewpoint.fov;
+        this.camera.updateProjectionMatrix();
     }
+    
+    this.controls.update();
+};
+
+
+/**
+ * Move the camera back to where it was when the renderer was created.
+ */
+PointCloudRenderer.prototype.resetCamera = function() {
+    this.setViewpoint({
+        position: INITIAL_CAMERA_POSITION,
+        target: new THREE.Vector3(),
+        fov: DEFAULT_FIELD_OF_VIEW
+    });
+};
+
+
+/**
+ * Create a renderable point cloud from parsed point data.
+ * 
+ * The colors and scalar fields of the points are kept in the user data of
+ * the point cloud, so it can be colored again later on.
+ */
+function createPoints(cloud, material=new THREE.PointsMaterial({vertexColors: true})) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(cloud.position, 3));
+    
+    const points = new THREE.Points(geometry, material);
+    points.userData.rgb = cloud.color;
+    points.userData.fields = cloud.fields;
+    points.userData.offset = cloud.offset;
+    
+    return points;
+}
+
+
+/**
+ * Whether an object is a loaded point cloud.
+ * 
+ * Loaded clouds are placed by their transformation, see `SceneTransform`,
+ * other points like the markers of the `MeasurementTool` keep their own
+ * size.
+ */
+function isPointCloud(object) {
+    return (object.isPoints || object.isPointOctree) && undefined !== object.userData.matrix;
+}
+
+
+/**
+ * Create the transformation of a scene.
+ * 
+ * Without a configuration, point clouds are rotated into the viewer the way
+ * they always were. The `center` flag of the renderer selects whether each
+ * point cloud is centered on its own.
+ * 
+ * :param config: the `transform` entry of the scene configuration, see
+ *     `SceneTransform`
+ */
+PointCloudRenderer.prototype.createSceneTransform = function(config=undefined) {
+    return new SceneTransform(config, this.center ? "frame" : "none");
+};
+
+
+/**
+ * Default transformation for our point clouds.
+ * 
+ * The geometry is transformed by the transformation of the scene and the
+ * pose of the frame, see `SceneTransform`. The position of the sensor after
+ * the transformation is stored in the user data as `origin`.
+ * 
+ * :param extrinsic: extrinsic transformation of the sensor; the one of the
+ *     scene by default, see `sensorExtrinsic`
+ */
+function transform(points, name, scene_transform, pose=undefined, extrinsic=undefined) {
+    scene_transform.apply(points, pose, extrinsic);
    
-    points.material.size = 0.05;
     points.material.fog = false;
-    points.geometry.rotateY(Math.PI);
-    points.geometry.rotateX(Math.PI / 2); 
-    points.name = POINT_CLOUD_NAME;
+    points.name = name;
 }
 
 
@@ -114,173 +348,1988 @@ function transform(points, name, center=false) {
  * The point cloud is automatically added to then scene which is then updated
  * and rendered. This might not be the desired behavior in case of multiple
  * point clouds or a point cloud animation.
+ * 
+ * The point cloud is transformed with the `scene_transform`, the `pose` and
+ * the `extrinsic` transformation of the meta data. Without a
+ * transformation, the default one is used.
+ * 
+ * The format of the file is picked by its extension or by the `format` of
+ * the meta data, see `FORMATS`. The file is downloaded and parsed by the
+ * decoder workers; the `signal` of the meta data cancels the request.
+ * 
+ * Point clouds in the `FrameStore` are not downloaded again unless their
+ * `hash` in the meta data changed. Local files opened through object URLs
+ * are not stored.
+ * 
+ * Downloads failing for temporary reasons are retried, see `setRetries`.
+ * If the point cloud can't be loaded at all, `on_error` is called with the
+ * `PointCloudLoadError` and the meta data. Cancelled requests are not
+ * reported.
  **/
-PointCloudRenderer.prototype.loadPointCloud = function(path, name, meta, callback) {
-    const loader = new PCDLoader();
-    loader.load(path, (function (points) {
-        transform(points, name, this.center);
+PointCloudRenderer.prototype.loadPointCloud = function(path, name, meta, callback, on_error=undefined) {
+    const fail = (error) => {
+        // cancelled requests are expected when the scene changes
+        if("AbortError" == error.name) {
+            return;
+        }
+        
+        if(undefined !== on_error) {
+            on_error(parseError(error, path), meta);
+        }
+    };
+    
+    if(path.endsWith(".json")) {
+        this.loadOctree(path, name, meta, callback, fail);
+        return;
+    }
+    
+    const scene_transform = meta.scene_transform || this.createSceneTransform();
+    
+    var format = undefined;
+    try {
+        format = formatOf(path, meta.format);
+    } catch(error) {
+        fail(error);
+        return;
+    }
+    
+    // the workers sort clouds above the budget, see `createOctreeFromCloud`
+    const octree_budget = meta.lod ? this.point_budget : undefined;
+    const decode = () => this.retry(() => this.decoder.decode(path, format, meta.signal, octree_budget), meta.signal);
+    
+    // local files are at hand anyway and their object URLs change
+    const loaded = path.startsWith("blob:") ? decode() : this.frame_store.load(path, meta.hash, decode);
+    
+    loaded.then((cloud) => {
+        if(meta.lod && cloud.count > this.point_budget) {
+            callback(this.createOctreeFromCloud(cloud, name, meta), meta);
+            return;
+        }
+        
+        const points = createPoints(cloud);
+        transform(points, name, scene_transform, meta.pose, meta.extrinsic);
+        this.updatePointMaterial(points.material);
+        this.colorPointCloud(points);
 
         callback(points, meta);
-    }).bind(this));
+    }, fail);
 };
 
 
 /**
- * Remove a point cloud from the scene.
+ * Change how often failed downloads are retried.
+ * 
+ * Only network errors and temporary server errors are retried, the delay
+ * doubles with every attempt.
+ * 
+ * :param retries: number of retries, 0 turns them off
+ * :param delay: delay before the first retry in milliseconds
+ */
+PointCloudRenderer.prototype.setRetries = function(retries, delay=this.retry_delay) {
+    this.retries = Math.max(0, retries);
+    this.retry_delay = delay;
+};
+
+
+/**
+ * Call a function returning a promise with the retries of the renderer.
+ */
+PointCloudRenderer.prototype.retry = function(attempt, signal=undefined) {
+    return withRetries(attempt, {retries: this.retries, delay: this.retry_delay, signal: signal});
+};
+
+
+/**
+ * Load a prebuilt octree, see `parseOctree`.
+ * 
+ * Only the hierarchy and the root node are loaded up front, all other nodes
+ * are streamed as the camera needs them.
+ * 
+ * :param path: path of the `octree.json`; the files of the nodes are next
+ *     to it
+ * :param on_error: is called with the error if the hierarchy or the root
+ *     node can't be loaded; the other nodes are reported to the
+ *     `on_node_error` of the meta data with the name of the cloud, the
+ *     node, the error and the meta data
  */
-PointCloudRenderer.prototype.removePointCloud = function(name) {
-    const points = this.scene.getObjectByName(name);
+PointCloudRenderer.prototype.loadOctree = function(path, name, meta, callback, on_error) {
+    const directory = path.slice(0, path.lastIndexOf("/") + 1);
+    const loadNode = (node, signal) => this.retry(
+        () => this.decoder.decode(directory + node.name + ".pcd", "pcd", signal),
+        signal);
     
-    this.scene.remove(points);
+    this.retry(() => download(path, meta.signal), meta.signal)
+        .then((data) => {
+            try {
+                return parseOctree(JSON.parse(new TextDecoder().decode(data)));
+            } catch(error) {
+                throw parseError(error, path);
+            }
+        })
+        .then((root) => loadNode(root, meta.signal).then((cloud) => {
+            callback(this.createOctree(root, cloud, loadNode, name, meta), meta);
+        }))
+        .catch(on_error);
 };
 
 
 /**
- * Handles a resize event.
+ * Show a point cloud in memory with a level of detail.
  * 
- * When the window is resized, everything needs to be redrawn.
+ * Used for point clouds with more points than the budget. The decoder
+ * workers sort them into an octree already, see `sortIntoOctree`; clouds
+ * decoded before, e.g. with a smaller budget, are sorted here. The points
+ * of the nodes are only uploaded to the GPU when they are shown.
  */
-PointCloudRenderer.prototype.onWindowResize = function() {
-    this.camera.aspect = this.aspectRatio();
-    this.camera.updateProjectionMatrix();
+PointCloudRenderer.prototype.createOctreeFromCloud = function(cloud, name, meta) {
+    const sorted = undefined === cloud.octree ? sortIntoOctree(cloud) : cloud;
+    const nodes = splitOctree(sorted);
+    const root = parseOctree(sorted.octree);
+    const loadNode = (node) => Promise.resolve(nodes.get(node.name));
+    
+    return this.createOctree(root, nodes.get(root.name), loadNode, name, meta);
+};
 
-    this.renderer.setSize(this.windowWidth(), this.windowHeight());
+
+/**
+ * Create a point cloud with a level of detail.
+ * 
+ * The root node defines the transformation and the automatic range of the
+ * coloring for all other nodes.
+ * 
+ * :param root: the root node of the octree
+ * :param root_cloud: the parsed points of the root node
+ * :param load_node: function returning a promise of the parsed points of a
+ *     node
+ * :returns: the `PointOctree`
+ */
+PointCloudRenderer.prototype.createOctree = function(root, root_cloud, load_node, name, meta) {
+    const scene_transform = meta.scene_transform || this.createSceneTransform();
+    const root_points = createPoints(root_cloud);
+    transform(root_points, name, scene_transform, meta.pose, meta.extrinsic);
+    this.updatePointMaterial(root_points.material);
+    this.colorPointCloud(root_points);
+    
+    const material = root_points.material;
+    const matrix = root_points.userData.matrix;
+    const origin = root_points.userData.origin;
+    // the nodes share the offset of the root
+    const geometry_matrix = scene_transform.geometryMatrix(root_points);
+    
+    const create_points = (cloud) => {
+        const points = createPoints(cloud, material);
+        points.geometry.applyMatrix4(geometry_matrix);
+        points.userData.matrix = matrix;
+        points.userData.origin = origin;
+        
+        // the coloring resets the color of the shared material, e.g. a tint
+        const color = material.color.clone();
+        this.coloring.apply(points);
+        material.color.copy(color);
+        
+        return points;
+    };
+    
+    const on_error = (node, error) => {
+        if(undefined !== meta.on_node_error) {
+            meta.on_node_error(name, node, error, meta);
+        }
+    };
+    
+    const octree = new PointOctree(root, root_points, load_node, create_points, this.render.bind(this), on_error);
+    octree.setPointBudget(this.point_budget);
+    
+    return octree;
+};
+
+
+/**
+ * Change the number of points rendered at most.
+ * 
+ * Single point clouds with more points are rendered with a level of detail.
+ */
+PointCloudRenderer.prototype.setPointBudget = function(budget) {
+    this.point_budget = budget;
+    
+    for(const octree of this.octrees()) {
+        octree.setPointBudget(budget);
+    }
     
     this.render();
 };
 
 
 /**
- * Render the entire scene.
+ * Change the size of the points.
+ * 
+ * Applies to the point clouds in the viewports and to all point clouds
+ * loaded later on.
+ * 
+ * :param size: size of the points in the current units, see
+ *     `setPointSizeUnits`
  */
-PointCloudRenderer.prototype.render = function() {
-    this.renderer.render(this.scene, this.camera);
+PointCloudRenderer.prototype.setPointSize = function(size) {
+    this.point_size = size;
+    this.updatePointMaterials();
 };
 
 
 /**
- * Add something to the scene.
+ * Change the units of the point size and the distance attenuation.
+ * 
+ * :param units: see `POINT_SIZE_UNITS`
+ * :param attenuation: whether points given in pixels shrink with the
+ *     distance; points in world units always do
+ * :param size: the new point size; the default size of the units if they
+ *     change
  */
-PointCloudRenderer.prototype.addToScene = function(points) {
-    this.scene.add(points);
-}
+PointCloudRenderer.prototype.setPointSizeUnits = function(units, attenuation=this.point_attenuation, size=undefined) {
+    if(!POINT_SIZE_UNITS.includes(units)) {
+        throw new Error("Unknown point size units " + units + ".");
+    }
+    
+    if(undefined === size && units != this.point_size_units) {
+        size = "world" == units ? DEFAULT_POINT_SIZE : DEFAULT_PIXEL_SIZE;
+    }
+    
+    this.point_size_units = units;
+    this.point_attenuation = attenuation;
+    if(undefined !== size) {
+        this.point_size = size;
+    }
+    
+    this.updatePointMaterials();
+};
 
 
+/**
+ * Apply the point size to the point clouds in the viewports.
+ */
+PointCloudRenderer.prototype.updatePointMaterials = function() {
+    for(const scene of this.viewports) {
+        scene.traverse((object) => {
+            if(isPointCloud(object)) {
+                this.updatePointMaterial(object.material);
+            }
+        });
+    }
+    
+    this.render();
+};
+
 
 /**
- * Plays sequences of point clouds.
+ * Apply the point size to the material of a point cloud.
  * 
- * This player just loads a sequence of frames as an input and is capable of
- * replaying the data.
+ * three.js scales attenuated points by half the height of the output, so
+ * pixel sizes with attenuation depend on it.
  */
-export class Player {
-    /**
-     * Set up the player.
-     * 
-     * Initially, the playre is not playing anything. It's set to pause and
-     * awaits commands.
-     * 
-     * :param render_window: this is where the scene is rendered
-     * :param status_callback: is called in case of status updates; only a
-     *     single parameter is passed: the status as text.
-     */
-    constructor(render_window, status_callback, on_render_frame_callback=undefined, center=true, show_helper=false) {
-        this.status_callback = status_callback;
-        this.on_render_frame_callback = on_render_frame_callback;
-        this.renderer = new PointCloudRenderer(render_window, show_helper, center);
-        this.event_identifier = 0;
-        this.render_window = render_window
+PointCloudRenderer.prototype.updatePointMaterial = function(material) {
+    const pixels = "pixels" == this.point_size_units;
+    const attenuation = !pixels || this.point_attenuation;
+    
+    material.size = pixels && attenuation
+        ? this.point_size * 2 * ATTENUATION_DISTANCE / this.windowHeight()
+        : this.point_size;
+    
+    if(material.sizeAttenuation != attenuation) {
+        // the attenuation is compiled into the shader
+        material.sizeAttenuation = attenuation;
+        material.needsUpdate = true;
+    }
+};
+
+
+/**
+ * All point clouds with a level of detail in the viewports.
+ */
+PointCloudRenderer.prototype.octrees = function() {
+    var octrees = [];
+    for(const scene of this.viewports) {
+        // the clouds of a frame are grouped, see `composeClouds`
+        scene.traverse((object) => {
+            if(object.isPointOctree) {
+                octrees.push(object);
+            }
+        });
+    }
+    
+    return octrees;
+};
+
+
+/**
+ * Color a point cloud with the current coloring.
+ * 
+ * :param points: a single point cloud or the clouds of a frame, see
+ *     `composeClouds`
+ */
+PointCloudRenderer.prototype.colorPointCloud = function(points) {
+    if(points.isCloudGroup) {
+        for(const cloud of points.children) {
+            this.colorPointCloud(cloud);
+        }
+    } else if(points.isPointOctree) {
+        for(const node of points.loadedPoints()) {
+            this.coloring.apply(node);
+        }
+    } else {
+        this.coloring.apply(points);
         
-        this.is_playing = false;
-        this.loaded = false;
-        this.frames = [];
-        this.current_frame = undefined;
+        // the ground has to be painted again, see `SceneHelpers`
+        points.userData.ground_mode = undefined;
     }
     
+    this.legend.update(this.coloring);
+};
+
+
+/**
+ * Remove a point cloud from the scene.
+ * 
+ * :param scene: the scene of a viewport; the main scene by default
+ */
+PointCloudRenderer.prototype.removePointCloud = function(name, scene=this.scene) {
+    const points = scene.getObjectByName(name);
     
-    /**
-     * Load a sequence of point clouds.
-     * 
-     * After the sequence is loaded, the scene can be replayed.
-     * 
-     * The method is non-blocking and calls `pointCloudLoaded` for every
-     * loaded point cloud.
-     * 
-     * :param name: name of the scene
-     * :param frames: frames to be loaded
-     * :param type_identifier: indicates the type of the point-cloud data;
-     *     for example plain color for camera based colors
+    scene.remove(points);
+};
+
+
+/**
+ * Free the GPU resources of a point cloud.
+ * 
+ * The point cloud can't be rendered anymore afterwards.
+ */
+PointCloudRenderer.prototype.disposePointCloud = function(points) {
+    if(points.isCloudGroup) {
+        for(const cloud of points.children) {
+            this.disposePointCloud(cloud);
+        }
+        
+        return;
+    }
+    
+    if(points.isPointOctree) {
+        points.dispose();
+        return;
+    }
+    
+    points.geometry.dispose();
+    points.material.dispose();
+};
+
+
+/**
+ * Turn the editing of annotations on or off.
+ * 
+ * The editor is created when editing is turned on for the first time.
+ * 
+ * :returns: the `AnnotationEditor`
+ */
+PointCloudRenderer.prototype.setEditing = function(enabled) {
+    if(undefined === this.editor) {
+        this.editor = new AnnotationEditor(this);
+    }
+    
+    this.editor.setEnabled(enabled);
+    
+    return this.editor;
+};
+
+
+/**
+ * Select the tool for picking points and measuring.
+ * 
+ * The measurement tool is created when a tool is selected for the first time.
+ * 
+ * :param tool: see `MEASUREMENT_TOOLS` or `undefined` to stop picking
+ * :returns: the `MeasurementTool`
+ */
+PointCloudRenderer.prototype.setMeasurementTool = function(tool) {
+    if(undefined === this.measurement) {
+        this.measurement = new MeasurementTool(this);
+    }
+    
+    this.measurement.setTool(tool);
+    
+    return this.measurement;
+};
+
+
+/**
+ * Handles a resize event.
+ * 
+ * When the window is resized, everything needs to be redrawn.
+ */
+PointCloudRenderer.prototype.onWindowResize = function() {
+    this.camera.aspect = this.aspectRatio();
+    this.camera.updateProjectionMatrix();
+
+    // a fixed output size doesn't change the size on the page
+    this.renderer.setSize(this.windowWidth(), this.windowHeight(), undefined === this.output_size);
+    
+    if("pixels" == this.point_size_units && this.point_attenuation) {
+        // renders as well
+        this.updatePointMaterials();
+        return;
+    }
+    
+    this.render();
+};
+
+
+/**
+ * Render at a fixed size instead of the size of the window.
+ * 
+ * Used for exporting images and videos. The canvas keeps its size on the
+ * page, only the number of rendered pixels changes.
+ * 
+ * :param width: width in pixels or `undefined` to follow the window again
+ * :param height: height in pixels
+ */
+PointCloudRenderer.prototype.setOutputSize = function(width=undefined, height=undefined) {
+    this.output_size = undefined === width ? undefined : {width: width, height: height};
+    this.renderer.setPixelRatio(undefined === width ? window.devicePixelRatio : 1);
+    this.onWindowResize();
+};
+
+
+/**
+ * Split the window into one more viewport.
+ * 
+ * The viewports are placed side by side and all of them are rendered with
+ * the same camera, so they always show the same view.
+ * 
+ * :returns: the scene of the new viewport
+ */
+PointCloudRenderer.prototype.addViewport = function() {
+    const scene = new THREE.Scene();
+    this.viewports.push(scene);
+    
+    return scene;
+};
+
+
+/**
+ * Remove a viewport which was added with `addViewport`.
+ */
+PointCloudRenderer.prototype.removeViewport = function(scene) {
+    if(scene === this.scene) {
+        return;
+    }
+    
+    this.viewports = this.viewports.filter((viewport) => viewport !== scene);
+    this.onWindowResize();
+};
+
+
+/**
+ * Render the entire scene.
+ * 
+ * If there are several viewports, each of them gets an equal share of the
+ * width of the window. The helpers follow the point cloud of the main scene,
+ * see `SceneHelpers`.
+ */
+PointCloudRenderer.prototype.render = function() {
+    for(const octree of this.octrees()) {
+        octree.update(this.camera, this.windowHeight());
+    }
+    
+    const points = this.scene.getObjectByName(POINT_CLOUD_NAME);
+    this.helpers.update(points);
+    
+    if(1 == this.viewports.length) {
+        this.renderer.render(this.scene, this.camera);
+    } else {
+        this.renderViewports();
+    }
+    
+    this.helpers.renderAxes(this.renderer, this.camera, points ? points.userData.matrix : undefined);
+};
+
+
+/**
+ * Render the scenes of several viewports side by side.
+ */
+PointCloudRenderer.prototype.renderViewports = function() {
+    const width = this.windowWidth() / this.viewports.length;
+    const height = this.windowHeight();
+    
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+    this.renderer.setScissorTest(true);
+    
+    for(var index = 0; index < this.viewports.length; ++index) {
+        this.renderer.setViewport(index * width, 0, width, height);
+        this.renderer.setScissor(index * width, 0, width, height);
+        this.renderer.render(this.viewports[index], this.camera);
+    }
+    
+    this.renderer.setScissorTest(false);
+    this.renderer.setViewport(0, 0, this.windowWidth(), height);
+};
+
+
+/**
+ * Add something to the scene.
+ * 
+ * :param scene: the scene of a viewport; the main scene by default
+ */
+PointCloudRenderer.prototype.addToScene = function(points, scene=this.scene) {
+    // frames kept in a cache may have missed changes of the point size
+    points.traverse((object) => {
+        if(isPointCloud(object)) {
+            this.updatePointMaterial(object.material);
+        }
+    });
+    
+    scene.add(points);
+}
+
+
+
+/**
+ * Plays sequences of point clouds.
+ * 
+ * This player just loads a sequence of frames as an input and is capable of
+ * replaying the data.
+ * 
+ * The player is an `EventTarget`, so several of them can be embedded into a
+ * page and observed with `addEventListener`. The `detail` of the events is:
+ * 
+ * - `status`: the status `text`
+ * - `loadprogress`: the `index` of the frame loaded or failed, the number
+ *   of frames `loaded` in the buffer and its `size`
+ * - `ready`: the number of `frames` once the first frame of a scene is shown
+ * - `framechange`: the `index` and the normalized `timestamp` of the frame
+ * - `play`, `pause`: the `index` of the current frame
+ * - `error`: the `index` of the frame and its `errors`, see `failedFrames`;
+ *   for a static layer, the name of the `layer` instead of the index, see
+ *   `failedLayers`; for a node of an octree, the name of the `cloud` and of
+ *   the `node` instead
+ * - `camerachange`: the `viewpoint` of the camera, see `viewpoint` of the
+ *   `PointCloudRenderer`
+ * - `viewchange`: no detail; the coloring, the point size, the visible
+ *   annotations or the camera path changed
+ * - `reset`: no detail; the frames were removed, e.g. before another scene
+ *   is loaded
+ */
+export class Player extends EventTarget {
+    /**
+     * Set up the player.
+     * 
+     * Initially, the playre is not playing anything. It's set to pause and
+     * awaits commands.
+     * 
+     * The positional arguments `status_callback, on_render_frame_callback,
+     * center, show_helper` of earlier versions are still accepted instead of
+     * the options.
+     * 
+     * :param render_window: this is where the scene is rendered; instead
+     *     of a window, the `PointCloudRenderer` of another player can be
+     *     passed, then both players render into the same window
+     * :param options: object with
+     *     - `status`: is called in case of status updates with the status
+     *       as text, see the `status` event
+     *     - `render_frame`: is called with an image of every frame shown,
+     *       its index, timestamp, path and scene; not while the scene is
+     *       exported, see `exportSequence`
+     *     - `center`: whether the point clouds are centered (default)
+     *     - `show_helper`: whether the axes and the grid are shown
+     *     - `failed_frames`: see `setFailedFrameMode`
+     *     - `retries`, `retry_delay`: see `setRetries`
+     */
+    constructor(render_window, options={}, ...positional) {
+        super();
+        
+        if("function" == typeof options) {
+            const [render_frame, center, show_helper] = positional;
+            options = {status: options, render_frame: render_frame, center: center, show_helper: show_helper};
+        }
+        
+        // missing options take the defaults
+        options = Object.fromEntries(Object.entries(DEFAULT_PLAYER_OPTIONS).map(
+            ([name, value]) => [name, undefined === options[name] ? value : options[name]]));
+        
+        this.status_callback = options.status;
+        this.on_render_frame_callback = options.render_frame;
+        this.owns_renderer = !(render_window instanceof PointCloudRenderer);
+        this.renderer = this.owns_renderer
+            ? new PointCloudRenderer(render_window, options.show_helper, options.center)
+            : render_window;
+        this.event_identifier = 0;
+        this.abort_controller = new AbortController();
+        this.render_window = this.renderer.render_window;
+        
+        // where the point clouds of this player are shown
+        this.scene = this.renderer.scene;
+        this.points_name = POINT_CLOUD_NAME;
+        this.scene_transform = this.renderer.createSceneTransform();
+        this.tint = undefined;
+        
+        this.is_playing = false;
+        this.loaded = false;
+        this.frames = [];
+        this.current_frame = undefined;
+        this.cache = new FrameCache(
+            this.requestFrame.bind(this),
+            this.disposeFrame.bind(this));
+        this.cache_window = {ahead: this.cache.ahead, behind: this.cache.behind};
+        this.accumulation = new FrameAccumulation(this.points_name);
+        this.failed_frame_mode = "skip";
+        this.cloud_names = [];
+        this.static_clouds = [];
+        this.failed_layers = [];
+        this.image_cameras = new Map();
+        this.is_ready = false;
+        
+        this.setFailedFrameMode(options.failed_frames);
+        if(this.owns_renderer) {
+            this.renderer.setRetries(options.retries, options.retry_delay);
+        }
+        
+        // the controls are shared by all players of the renderer
+        this.camera_listener = () => this.emit("camerachange", {viewpoint: this.renderer.viewpoint()});
+        this.renderer.controls.addEventListener("change", this.camera_listener);
+        
+        this.clock = new PlaybackClock();
+        this.animation_frame = undefined;
+        this.dropped_frames = 0;
+        
+        this.viewpoints = [];
+        this.camera_paths = [];
+        this.camera_path = undefined;
+    }
+    
+    
+    /**
+     * Dispatch an event, see the events of the `Player`.
+     * 
+     * :param type: name of the event
+     * :param detail: the `detail` of the `CustomEvent`
+     */
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, {detail: detail}));
+    }
+    
+    
+    /**
+     * Stop the player and free its resources.
+     * 
+     * The point clouds are removed from the scene and the downloads are
+     * cancelled. A renderer of its own is disposed as well, a shared one is
+     * left to its player. The player can't be used anymore afterwards.
+     */
+    dispose() {
+        this.reset();
+        this.accumulation.group.removeFromParent();
+        this.renderer.controls.removeEventListener("change", this.camera_listener);
+        this.status_callback = undefined;
+        this.on_render_frame_callback = undefined;
+        
+        if(this.owns_renderer) {
+            this.renderer.dispose();
+        }
+    }
+    
+    
+    /**
+     * Inform the listeners that the view changed.
+     */
+    viewChanged() {
+        this.emit("viewchange");
+    }
+    
+    
+    /**
+     * Set the playback speed.
+     * 
+     * :param speed: factor applied to the recorded timestamps; is clamped to
+     *     the range from 0.1 to 8
+     */
+    setPlaybackSpeed(speed) {
+        this.clock.setSpeed(speed);
+    }
+    
+    
+    /**
+     * Play forwards or backwards.
+     * 
+     * :param reverse: `true` to play backwards
+     */
+    setReverse(reverse) {
+        this.clock.setReverse(reverse);
+    }
+    
+    
+    /**
+     * Set what happens at the end of the scene.
+     * 
+     * :param mode: `loop`, `once` or `pingpong`, see `PLAYBACK_MODES`
+     */
+    setPlaybackMode(mode) {
+        this.clock.setMode(mode);
+    }
+    
+    
+    /**
+     * Set what happens with frames which could not be loaded.
+     * 
+     * :param mode: `skip` or `mark`, see `FAILED_FRAME_MODES`
+     */
+    setFailedFrameMode(mode) {
+        if(!FAILED_FRAME_MODES.includes(mode)) {
+            throw new Error("Unknown failed-frame mode " + mode + ".");
+        }
+        
+        this.failed_frame_mode = mode;
+    }
+    
+    
+    /**
+     * Change how often failed downloads are retried, see `setRetries` of
+     * the `PointCloudRenderer`.
+     */
+    setRetries(retries, delay=undefined) {
+        this.renderer.setRetries(retries, delay);
+    }
+    
+    
+    /**
+     * Change the size of the points.
+     * 
+     * The frames in the cache take the size when they are shown, see
+     * `addToScene` of the renderer.
+     * 
+     * :param size: size of the points in the current units, see
+     *     `setPointSizeUnits`
+     */
+    setPointSize(size) {
+        this.renderer.setPointSize(size);
+        this.viewChanged();
+    }
+    
+    
+    /**
+     * Change the units of the point size and the distance attenuation, see
+     * `setPointSizeUnits` of the `PointCloudRenderer`.
+     */
+    setPointSizeUnits(units, attenuation=undefined, size=undefined) {
+        this.renderer.setPointSizeUnits(units, attenuation, size);
+        this.viewChanged();
+    }
+    
+    
+    /**
+     * Move the camera back to its initial viewpoint.
+     * 
+     * A camera path keeps moving the camera while it is selected.
+     */
+    resetCamera() {
+        this.renderer.resetCamera();
+        this.renderer.render();
+    }
+    
+    
+    /**
+     * Change the number of points rendered at most for single point clouds.
+     */
+    setPointBudget(budget) {
+        this.renderer.setPointBudget(budget);
+    }
+    
+    
+    /**
+     * Show or hide the ground grid, the range rings or the axes.
+     *
+     * :param name: see `SCENE_HELPERS`
+     */
+    setHelperVisible(name, visible) {
+        this.renderer.helpers.setVisible(name, visible);
+        this.renderer.render();
+    }
+    
+    
+    /**
+     * Show the ground plane or hide or paint the points on the ground.
+     *
+     * :param mode: see `GROUND_MODES`
+     */
+    setGroundMode(mode) {
+        this.renderer.helpers.setGroundMode(mode);
+        this.renderer.render();
+    }
+    
+    
+    /**
+     * Change how many frames are kept in memory.
+     * 
+     * :param ahead: number of frames loaded ahead of the current frame
+     * :param behind: number of frames kept behind the current frame
+     */
+    setBufferSize(ahead, behind) {
+        this.cache.setWindow(ahead, behind);
+        
+        if(this.loaded) {
+            this.cache.update(this.current_frame);
+        }
+    }
+    
+    
+    /**
+     * Show the point clouds of the player in a viewport of a shared
+     * renderer.
+     * 
+     * Must be called before loading anything.
+     * 
+     * :param scene: the scene of the viewport, see `addViewport` of the
+     *     `PointCloudRenderer`
+     * :param name: name of the point clouds in the scene; must be unique if
+     *     several players share a scene
+     */
+    setTarget(scene, name=POINT_CLOUD_NAME) {
+        this.scene = scene;
+        this.points_name = name;
+        this.accumulation.setTarget(name);
+    }
+    
+    
+    /**
+     * Show the frames around the current frame together with it.
+     * 
+     * The frames are registered by their poses and fade with their distance
+     * to the current frame, see `FrameAccumulation`. Frames which are
+     * centered on their own can't be registered, so the scene is centered
+     * as a whole instead and the frames are loaded again.
+     * 
+     * :param previous: number of frames before the current frame, 0 turns
+     *     the accumulation off together with `next`
+     * :param next: number of frames after the current frame
+     * :param fade: whether older frames are more transparent
+     */
+    setAccumulation(previous, next=0, fade=true) {
+        this.accumulation.setWindow(previous, next, fade);
+        
+        // the frames of the accumulation stay in memory
+        this.cache.setWindow(
+            Math.max(this.cache_window.ahead, this.accumulation.next),
+            Math.max(this.cache_window.behind, this.accumulation.previous));
+        
+        if(this.accumulation.isEnabled() && "frame" == this.scene_transform.center) {
+            this.scene_transform.center = "scene";
+            this.scene_transform.reset();
+            
+            if(this.loaded) {
+                this.reloadFrames();
+            }
+        }
+        
+        if(this.loaded) {
+            this.showCurrentFrame();
+        }
+        
+        this.viewChanged();
+    }
+    
+    
+    /**
+     * Drop all loaded frames and load them again, e.g. with another
+     * transformation.
+     */
+    reloadFrames() {
+        this.event_identifier++;
+        this.abort_controller.abort();
+        this.abort_controller = new AbortController();
+        
+        this.renderer.removePointCloud(this.points_name, this.scene);
+        this.accumulation.clear();
+        this.cache.reset(this.frames);
+    }
+    
+    
+    /**
+     * Multiply the colors of all points with a color.
+     * 
+     * Used to tell several point clouds in the same scene apart.
+     * 
+     * :param color: a CSS color or `undefined` to keep the colors
+     */
+    setTint(color) {
+        this.tint = color;
+        
+        for(const frame of this.frames) {
+            if(undefined !== frame.points) {
+                this.applyTint(frame.points);
+            }
+        }
+        
+        this.renderer.render();
+    }
+    
+    
+    /**
+     * Apply the tint to a point cloud.
+     * 
+     * The visibility and the colors of the named clouds are applied as
+     * well, see `CloudLayers`.
+     */
+    applyTint(points) {
+        this.renderer.layers.apply(points, this.tint);
+    }
+    
+    
+    /**
+     * Names of the clouds of the scene: the sensors and the static layers.
+     */
+    cloudNames() {
+        return this.cloud_names;
+    }
+    
+    
+    /**
+     * Show or hide the clouds of a sensor or a static layer.
+     */
+    setCloudVisible(name, visible) {
+        this.renderer.layers.setVisible(name, visible);
+        this.updateLayers();
+    }
+    
+    
+    /**
+     * Multiply the colors of the clouds of a sensor or a static layer with
+     * a color.
+     * 
+     * :param color: a CSS color or `undefined` to keep the colors
+     */
+    setCloudColor(name, color) {
+        this.renderer.layers.setColor(name, color);
+        this.updateLayers();
+    }
+    
+    
+    /**
+     * Apply the settings of the named clouds to all frames in memory.
+     */
+    updateLayers() {
+        for(const frame of this.frames) {
+            if(undefined !== frame.points) {
+                this.applyTint(frame.points);
+            }
+        }
+        
+        this.renderer.render();
+        this.viewChanged();
+    }
+    
+    
+    /**
+     * Change how the points are colored.
+     * 
+     * All frames in memory are colored again and the current frame is
+     * rendered, nothing is reloaded.
+     * 
+     * :param options: object with any of the following attributes: `field`
+     *     to color by (see `availableFields`), `colormap` (see
+     *     `COLORMAPS`) and `min` and `max` to clamp the values to; a range
+     *     of `undefined` is taken from the data
+     */
+    setColoring(options) {
+        const coloring = this.renderer.coloring;
+        
+        if("field" in options) {
+            coloring.setField(options.field);
+        }
+        
+        if("colormap" in options) {
+            coloring.setColormap(options.colormap);
+        }
+        
+        if("min" in options || "max" in options) {
+            coloring.setRange(options.min, options.max);
+        }
+        
+        // the current frame first, it defines the automatic range
+        const current = this.frames[this.current_frame];
+        const frames = undefined === current ? this.frames : [current, ...this.frames];
+        
+        for(const frame of new Set(frames)) {
+            if(undefined !== frame.points) {
+                this.renderer.colorPointCloud(frame.points);
+                this.applyTint(frame.points);
+            }
+        }
+        
+        for(const points of this.renderer.layers.staticLayers(this.points_name)) {
+            this.renderer.colorPointCloud(points);
+            this.renderer.layers.apply(points);
+        }
+        
+        this.renderer.render();
+        this.viewChanged();
+    }
+    
+    
+    /**
+     * List the fields the current frame can be colored by.
+     */
+    availableFields() {
+        const frame = this.frames[this.current_frame];
+        
+        if(undefined === frame || undefined === frame.points) {
+            return [];
+        }
+        
+        const fields = cloudsOf(frame.points).map((cloud) => PointColoring.availableFields(cloud));
+        return Array.from(new Set(fields.flat()));
+    }
+    
+    
+    /**
+     * List the classes of all annotations in the scene.
+     */
+    annotationClasses() {
+        var classes = new Set();
+        for(const frame of this.frames) {
+            for(const annotation of frame.annotations) {
+                classes.add(annotation.class);
+            }
+        }
+        
+        return Array.from(classes).sort();
+    }
+    
+    
+    /**
+     * Show or hide all annotations.
+     */
+    setAnnotationsVisible(visible) {
+        this.renderer.annotations.setVisible(visible);
+        this.renderer.render();
+        this.viewChanged();
+    }
+    
+    
+    /**
+     * Show or hide the annotations of a single class.
+     */
+    setAnnotationClassVisible(name, visible) {
+        this.renderer.annotations.setClassVisible(name, visible);
+        this.renderer.render();
+        this.viewChanged();
+    }
+    
+    
+    /**
+     * Color the annotations by class or by track.
+     * 
+     * :param mode: `class` or `track`, see `ANNOTATION_COLOR_MODES`
+     */
+    setAnnotationColorMode(mode) {
+        this.renderer.annotations.setColorMode(mode);
+        this.renderer.render();
+    }
+    
+    
+    /**
+     * Turn the editing of annotations on or off.
+     * 
+     * :returns: the `AnnotationEditor` of the renderer
+     */
+    setEditing(enabled) {
+        return this.renderer.setEditing(enabled);
+    }
+    
+    
+    /**
+     * Select the tool for picking points and measuring.
+     * 
+     * :returns: the `MeasurementTool` of the renderer
+     */
+    setMeasurementTool(tool) {
+        return this.renderer.setMeasurementTool(tool);
+    }
+    
+    
+    /**
+     * Names of the cameras with images in the current scene.
+     */
+    imageCameras() {
+        return Array.from(this.image_cameras.keys());
+    }
+    
+    
+    /**
+     * The image of a camera in a frame.
+     * 
+     * :param camera: name of the camera
+     * :param index: index of the frame; the current frame by default
+     * :returns: object with the `path` and the `full_path` of the image and
+     *     the `offset` of its timestamp to the one of the point cloud in
+     *     seconds, if known, or `undefined` if there is no image
+     */
+    frameImage(camera, index=this.current_frame) {
+        const frame = this.frames[index];
+        if(undefined === frame || undefined === frame.images || undefined === frame.images[camera]) {
+            return undefined;
+        }
+        
+        const image = frame.images[camera];
+        
+        return {
+            path: image.path,
+            full_path: image.full_path,
+            offset: undefined === image.timestamp ? undefined : image.timestamp - frame.source_timestamp
+        };
+    }
+    
+    
+    /**
+     * Transformation of the points of a frame into a camera.
+     * 
+     * :param camera: name of the camera
+     * :param index: index of the frame; the current frame by default
+     * :returns: `THREE.Matrix4`, see `viewerToCamera` of the
+     *     `CameraCalibration`, or `undefined` if the frame is not loaded
+     */
+    imageProjection(camera, index=this.current_frame) {
+        const calibration = this.image_cameras.get(camera);
+        const frame = this.frames[index];
+        
+        if(undefined === calibration || undefined === frame || undefined === frame.points) {
+            return undefined;
+        }
+        
+        return calibration.viewerToCamera(this.scene_transform.egoMatrix(frame.points));
+    }
+    
+    
+    /**
+     * Remove all measurements from the view.
+     */
+    clearMeasurements() {
+        if(undefined !== this.renderer.measurement) {
+            this.renderer.measurement.clear();
+        }
+    }
+    
+    
+    /**
+     * Add a new box to the current frame.
+     * 
+     * The box gets a track identifier which is not used anywhere else in the
+     * scene.
+     * 
+     * :param name: class of the box
+     * :returns: `false` if the current frame is not shown yet
+     */
+    createAnnotation(name) {
+        const frame = this.frames[this.current_frame];
+        
+        if(undefined === frame || undefined === frame.points) {
+            return false;
+        }
+        
+        this.setEditing(true).createAnnotation(name, this.nextTrackId());
+        return true;
+    }
+    
+    
+    /**
+     * Smallest track identifier larger than all others in the scene.
+     */
+    nextTrackId() {
+        var track_id = 0;
+        for(const frame of this.frames) {
+            for(const annotation of frame.annotations) {
+                const value = parseInt(annotation.track_id);
+                
+                if(!isNaN(value)) {
+                    track_id = Math.max(track_id, value + 1);
+                }
+            }
+        }
+        
+        return track_id;
+    }
+    
+    
+    /**
+     * Copy the selected box into the following frames.
+     * 
+     * The box is moved with the poses of the frames, so a static object stays
+     * in place. A box with the same track identifier in a target frame is
+     * replaced.
+     * 
+     * :param count: number of following frames
+     * :returns: number of frames the box was copied to
+     */
+    copySelectedAnnotation(count) {
+        const annotation = this.renderer.annotations.selectedAnnotation();
+        if(undefined === annotation) {
+            return 0;
+        }
+        
+        const scene_transform = this.scene_transform;
+        const source = this.frames[this.current_frame];
+        const source_matrix = scene_transform.worldMatrix(source.pose);
+        const last = Math.min(this.current_frame + count, this.frames.length - 1);
+        
+        for(var index = this.current_frame + 1; index <= last; ++index) {
+            const target = this.frames[index];
+            const copy = transferAnnotation(
+                annotation,
+                source_matrix,
+                scene_transform.worldMatrix(target.pose));
+            
+            const existing = target.annotations.findIndex((other) =>
+                undefined !== annotation.track_id && other.track_id == annotation.track_id);
+            
+            if(0 <= existing) {
+                target.annotations[existing] = copy;
+            } else {
+                target.annotations.push(copy);
+            }
+        }
+        
+        return Math.max(0, last - this.current_frame);
+    }
+    
+    
+    /**
+     * Export the annotations of all frames.
+     * 
+     * The result has the layout of the scene configuration with the original
+     * timestamps of the frames. Saved in the directory of the scene and
+     * referenced as `annotations_file` by the `config.yaml`, it replaces the
+     * annotations of the configuration, see `loadScene` of the
+     * `SceneCatalog`.
+     * 
+     * :returns: object with the `name` of the scene and its `frames`
+     */
+    exportAnnotations() {
+        const frames = this.frames.map((frame) => ({
+            timestamp: frame.source_timestamp,
+            annotations: frame.annotations.map(serializeAnnotation)
+        }));
+        
+        return {
+            name: 0 < this.frames.length ? this.frames[0].scene : undefined,
+            frames: frames
+        };
+    }
+    
+    
+    /**
+     * Set up the viewpoints and camera paths of a scene.
+     * 
+     * The first viewpoint is shown right away.
+     * 
+     * :param config: the `cameras` entry of the scene configuration with a
+     *     list of `viewpoints` (see `parseViewpoint`) and a list of `paths`
+     *     (see `CameraPath`)
+     */
+    loadCameras(config=undefined) {
+        config = config || {};
+        
+        this.viewpoints = (config["viewpoints"] || []).map(parseViewpoint);
+        this.camera_paths = (config["paths"] || []).map((path) => new CameraPath(path));
+        this.camera_path = undefined;
+        
+        if(0 < this.viewpoints.length) {
+            this.renderer.setViewpoint(this.viewpoints[0]);
+        }
+    }
+    
+    
+    /**
+     * Store the current view of the camera under a name.
+     * 
+     * A viewpoint with the same name is replaced.
+     */
+    saveViewpoint(name) {
+        this.removeViewpoint(name);
+        this.viewpoints.push({name: name, ...this.renderer.viewpoint()});
+    }
+    
+    
+    /**
+     * Move the camera to a stored viewpoint.
+     * 
+     * :returns: `false` if there is no viewpoint with the name
+     */
+    showViewpoint(name) {
+        const viewpoint = this.viewpoints.find((other) => other.name == name);
+        if(undefined === viewpoint) {
+            return false;
+        }
+        
+        this.renderer.setViewpoint(viewpoint);
+        this.renderer.render();
+        
+        return true;
+    }
+    
+    
+    /**
+     * Remove a stored viewpoint.
+     */
+    removeViewpoint(name) {
+        this.viewpoints = this.viewpoints.filter((other) => other.name != name);
+    }
+    
+    
+    /**
+     * Let the camera follow a path during playback.
+     * 
+     * While a path is selected, it moves the camera whenever the time of the
+     * player changes, also while seeking and exporting.
+     * 
+     * :param name: name of the path or `undefined` to control the camera by
+     *     hand again
+     * :returns: the `CameraPath` or `undefined`
+     */
+    setCameraPath(name) {
+        this.camera_path = this.camera_paths.find((path) => path.name == name);
+        
+        if(this.loaded) {
+            this.updateCamera(this.clock.time);
+            this.renderer.render();
+        }
+        
+        this.viewChanged();
+        
+        return this.camera_path;
+    }
+    
+    
+    /**
+     * Add the current view of the camera as keyframe at the current time.
+     * 
+     * The path is created if there is none with the name. For a path which
+     * follows the ego pose, the view is stored relative to the pose of the
+     * current frame.
+     * 
+     * :param name: name of the path
+     * :param follow: mode of a new path, see `CAMERA_PATH_MODES`
+     * :returns: the `CameraPath` or `undefined` if the current frame is not
+     *     shown yet
+     */
+    addCameraKeyframe(name, follow="scene") {
+        var path = this.camera_paths.find((other) => other.name == name);
+        if(undefined === path) {
+            path = new CameraPath({name: name, follow: follow});
+            this.camera_paths.push(path);
+        }
+        
+        const frame = this.frames[this.current_frame];
+        if(undefined === frame || undefined === frame.points) {
+            return undefined;
+        }
+        
+        const matrix = "ego" == path.follow ? this.egoMatrixAt(this.clock.time) : undefined;
+        path.addKeyframe(this.clock.time, this.renderer.viewpoint(matrix));
+        
+        return path;
+    }
+    
+    
+    /**
+     * Remove the keyframe of a path at the current time.
+     */
+    removeCameraKeyframe(name) {
+        const path = this.camera_paths.find((other) => other.name == name);
+        
+        if(undefined !== path) {
+            path.removeKeyframe(this.clock.time);
+        }
+    }
+    
+    
+    /**
+     * Move the camera along the selected path.
+     * 
+     * :param time: normalized timestamp in seconds
+     */
+    updateCamera(time) {
+        if(undefined === this.camera_path) {
+            return;
+        }
+        
+        const viewpoint = this.camera_path.at(time);
+        const matrix = "ego" == this.camera_path.follow ? this.egoMatrixAt(time) : undefined;
+        
+        if(undefined === viewpoint || ("ego" == this.camera_path.follow && undefined === matrix)) {
+            return;
+        }
+        
+        this.renderer.setViewpoint(viewpoint, matrix);
+    }
+    
+    
+    /**
+     * Ego pose at a point in time in the coordinates of the viewer.
+     * 
+     * Between two loaded frames, the pose is interpolated, so a camera
+     * following the vehicle moves smoothly.
+     * 
+     * :returns: `THREE.Matrix4` or `undefined` if the frame shown at that
+     *     time is not loaded
+     */
+    egoMatrixAt(time) {
+        const index = this.frameShownAt(time);
+        const frame = this.frames[index];
+        const next = this.frames[index + 1];
+        
+        if(undefined === frame || undefined === frame.points) {
+            return undefined;
+        }
+        
+        const matrix = this.scene_transform.egoMatrix(frame.points);
+        if(undefined === next || undefined === next.points || time <= frame.timestamp) {
+            return matrix;
+        }
+        
+        const fraction = Math.min(1, (time - frame.timestamp) / (next.timestamp - frame.timestamp));
+        const next_matrix = this.scene_transform.egoMatrix(next.points);
+        
+        var position = new THREE.Vector3();
+        var rotation = new THREE.Quaternion();
+        var scale = new THREE.Vector3();
+        matrix.decompose(position, rotation, scale);
+        
+        var next_position = new THREE.Vector3();
+        var next_rotation = new THREE.Quaternion();
+        next_matrix.decompose(next_position, next_rotation, new THREE.Vector3());
+        
+        return matrix.compose(
+            position.lerp(next_position, fraction),
+            rotation.slerp(next_rotation, fraction),
+            scale);
+    }
+    
+    
+    /**
+     * Export the viewpoints and camera paths.
+     * 
+     * :returns: object in the layout of the `cameras` entry of the scene
+     *     configuration, see `loadCameras`
+     */
+    exportCameras() {
+        return {
+            viewpoints: this.viewpoints.map(serializeViewpoint),
+            paths: this.camera_paths.map((path) => path.toConfig())
+        };
+    }
+    
+    
+    /**
+     * Describe what the player shows.
+     * 
+     * Together with the loaded scene, the state reproduces the view, see
+     * `restoreViewState`.
+     * 
+     * :returns: object with the index of the current `frame` and its
+     *     normalized `time`, the `camera` viewpoint, the coloring `field`,
+     *     `colormap`, `min` and `max`, the point `size`, its `units` and
+     *     `attenuation`, whether the `annotations` are visible, the `hidden`
+     *     annotation classes and the name of the camera `path`
+     */
+    viewState() {
+        const coloring = this.renderer.coloring;
+        const annotations = this.renderer.annotations;
+        const frame = this.frames[this.current_frame];
+        
+        return {
+            frame: this.current_frame,
+            time: undefined === frame ? undefined : frame.timestamp,
+            camera: this.renderer.viewpoint(),
+            field: coloring.field,
+            colormap: coloring.colormap,
+            min: coloring.min,
+            max: coloring.max,
+            size: this.renderer.point_size,
+            units: this.renderer.point_size_units,
+            attenuation: this.renderer.point_attenuation,
+            annotations: annotations.visible,
+            hidden: Array.from(annotations.hidden_classes),
+            path: undefined === this.camera_path ? undefined : this.camera_path.name
+        };
+    }
+    
+    
+    /**
+     * Restore a view described by `viewState`.
+     * 
+     * All attributes of the state are optional. The frame is picked by the
+     * `time` if given, otherwise by its index. A camera path overrides the
+     * `camera`.
+     */
+    restoreViewState(state) {
+        if(undefined !== state.units || undefined !== state.attenuation) {
+            this.setPointSizeUnits(state.units || this.renderer.point_size_units, state.attenuation, state.size);
+        } else if(undefined !== state.size) {
+            this.setPointSize(state.size);
+        }
+        
+        var coloring = {};
+        for(const name of ["field", "colormap", "min", "max"]) {
+            if(undefined !== state[name]) {
+                coloring[name] = state[name];
+            }
+        }
+        
+        if(0 < Object.keys(coloring).length) {
+            this.setColoring(coloring);
+        }
+        
+        if(undefined !== state.annotations) {
+            this.setAnnotationsVisible(state.annotations);
+        }
+        
+        if(undefined !== state.hidden) {
+            for(const name of this.annotationClasses()) {
+                this.setAnnotationClassVisible(name, !state.hidden.includes(name));
+            }
+        }
+        
+        if(undefined !== state.camera) {
+            this.renderer.setViewpoint(state.camera);
+        }
+        
+        if(undefined !== state.path) {
+            this.setCameraPath(state.path);
+        }
+        
+        if(undefined !== state.time) {
+            this.seekToTime(state.time);
+        } else if(undefined !== state.frame) {
+            this.seekToFrame(state.frame);
+        }
+        
+        this.renderer.render();
+    }
+    
+    
+    /**
+     * Render the frames of the scene into a video or a zip archive of
+     * images.
+     * 
+     * The player is paused and shows each frame in turn. Afterwards, it goes
+     * back to the frame shown before.
+     * 
+     * :param options: see `export` of the `SequenceExporter`
+     * :returns: promise of the video or archive as `Blob`
+     */
+    exportSequence(options) {
+        const render_frame = this.on_render_frame_callback;
+        this.on_render_frame_callback = undefined;
+        
+        return new SequenceExporter(this).export(options).finally(() => {
+            this.on_render_frame_callback = render_frame;
+        });
+    }
+    
+    
+    /**
+     * Keep all point clouds of the scene in the `FrameStore` of the
+     * renderer, so the scene can be shown without a network.
+     * 
+     * The point clouds which are not stored yet are downloaded right away.
+     * Local files and prebuilt octrees are not stored, see `loadPointCloud`.
+     * If a download fails, the scene is not pinned.
+     * 
+     * :param key: name of the pin, e.g. the scene and the point-cloud type
+     * :returns: promise which is resolved when all point clouds are stored
+     */
+    pinScene(key) {
+        const store = this.renderer.frame_store;
+        const decoder = this.renderer.decoder;
+        const sources = this.frames.flatMap((frame) => frame.clouds).concat(this.static_clouds)
+            .filter((source) => !source.full_path.startsWith("blob:") && !source.full_path.endsWith(".json"));
+        const missing = sources.filter((source) => !store.has(source.full_path, source.hash));
+        var stored = 0;
+        
+        return store.pin(key, sources.map((source) => source.full_path)).then(() => Promise.all(
+            missing.map((source) => {
+                const format = formatOf(source.full_path, source.format);
+                
+                return this.renderer.retry(() => decoder.decode(source.full_path, format))
+                    .then((cloud) => store.put(source.full_path, cloud))
+                    .then(() => {
+                        stored++;
+                        this.status("Stored " + stored + " of " + missing.length + " point clouds for offline use.");
+                    });
+            }))).catch((error) => store.unpin(key).then(() => {
+                throw error;
+            }));
+    }
+    
+    
+    /**
+     * Allow the point clouds of a pinned scene to be evicted again.
+     */
+    unpinScene(key) {
+        return this.renderer.frame_store.unpin(key);
+    }
+    
+    
+    /**
+     * Load a sequence of point clouds.
+     * 
+     * The frames are not loaded all at once. Only a window of frames around
+     * the current frame is loaded and kept in memory, see `FrameCache`. The
+     * first frame is shown as soon as it is available.
+     * 
+     * The method is non-blocking and calls `pointCloudLoaded` for every
+     * loaded point cloud.
+     * 
+     * Every frame may hold several clouds, e.g. of the sensors of a rig.
+     * They are shown together, each with the extrinsic transformation of its
+     * sensor, see `SceneTransform`. Static layers like a map are loaded once
+     * and stay in the scene while the frames change. The visibility and the
+     * color of every named cloud can be changed, see `setCloudVisible` and
+     * `setCloudColor`.
+     * 
+     * The positional arguments `name, frames, type_identifier, transform,
+     * cameras, layers, images` of earlier versions are still accepted.
+     * 
+     * :param scene: the scene configuration, see `SceneCatalog`, with
+     *     - `name`: name of the scene
+     *     - `frames`: frames to be loaded
+     *     - `transform`: see `SceneTransform`; the frames may contain a
+     *       `pose` entry
+     *     - `cameras`: viewpoints and camera paths, see `loadCameras`
+     *     - `layers`: static layers, see `loadStaticLayers`
+     *     - `images`: the cameras of the images of the frames, see
+     *       `CameraCalibration`
+     * :param type_identifier: indicates the type of the point-cloud data;
+     *     for example plain color for camera based colors; a list of types
+     *     shows the clouds of all of them, frames may miss some of them
+     */
+    loadPointClouds(scene, type_identifier, ...positional) {
+        if("string" == typeof scene) {
+            const [type, transform, cameras, layers, images] = positional;
+            scene = {name: scene, frames: type_identifier, transform: transform, cameras: cameras, layers: layers, images: images};
+            type_identifier = type;
+        }
+        
+        const name = scene["name"];
+        const frames = scene["frames"] || [];
+        const transform = scene["transform"];
+        const cameras = scene["cameras"];
+        const layers = scene["layers"];
+        const images = scene["images"];
+        
+        this.status("Loading point clouds.");
+        
+        // don't show any data
+        this.reset();
+        
+        try {
+            this.scene_transform = this.renderer.createSceneTransform(transform);
+        } catch(error) {
+            this.status("Invalid transformation: " + error.message);
+            return;
+        }
+        
+        try {
+            this.loadCameras(cameras);
+        } catch(error) {
+            this.status("Invalid cameras: " + error.message);
+            return;
+        }
+        
+        try {
+            this.image_cameras = parseCameras(images);
+        } catch(error) {
+            this.status("Invalid image cameras: " + error.message);
+            return;
+        }
+        
+        if(0 == frames.length) {
+            this.status("No frames in scene.");
+            return;
+        }
+        
+        const types = Array.isArray(type_identifier) ? type_identifier : [type_identifier];
+        
+        // the clouds of a frame and fused frames are only registered with the same offset
+        if((1 < types.length || layers || this.accumulation.isEnabled()) && "frame" == this.scene_transform.center) {
+            this.scene_transform.center = "scene";
+        }
+        
+        for(var index = 0; index < frames.length; ++index) {
+            const frame = frames[index];
+            const timestamp = frame["timestamp"];
+            const clouds = frame["clouds"] || {};
+            const sources = types
+                .filter((type) => undefined !== clouds[type])
+                .map((type) => cloudSource(type, clouds[type]));
+            
+            // frames without the type are reported like broken files
+            const missing = types
+                .filter((type) => undefined === clouds[type])
+                .map((type) => ({
+                    cloud: type,
+                    error: new PointCloudLoadError("missing", undefined, "The frame at " + timestamp + " has no " + type + " point cloud.")
+                }));
+            
+            this.frames.push({
+                timestamp: timestamp,
+                source_timestamp: timestamp,
+                path: 0 < sources.length ? sources[0].path : undefined,
+                full_path: 0 < sources.length ? sources[0].full_path : undefined,
+                scene: name,
+                pose: frame["pose"],
+                clouds: sources,
+                images: Object.fromEntries(Object.entries(frame["images"] || {})
+                    .map(([camera, image]) => [camera, {...cloudSource(camera, image), timestamp: image["timestamp"]}])),
+                missing_clouds: missing,
+                errors: missing,
+                annotations: (frame["annotations"] || []).map(parseAnnotation),
+                points: undefined
+            });
+        }
+        
+        if(this.frames.every((frame) => 0 == frame.clouds.length)) {
+            // nothing to show
+            this.status("No " + types.join(", ") + " point clouds in scene.");
+            this.frames = [];
+            return;
+        }
+        
+        this.loadStaticLayers(layers);
+        this.cloud_names = types.concat(this.static_clouds.map((source) => source.name));
+        
+        this.status("Loading point clouds...");
+        this.startFrames();
+    }
+    
+    
+    /**
+     * Load the static layers of a scene.
+     * 
+     * The layers are given by name:
+     * 
+     *     layers:
+     *       map:
+     *         path: map.laz
+     *         color: "#808080"
+     *         visible: true
+     * 
+     * The `path`, `format` and `hash` are the same as for the clouds of a
+     * frame. A layer is in world coordinates unless it has a `pose`; the
+     * extrinsic transformation of the sensors is not applied. The `color`
+     * and `visible` entries are the initial settings of the layer.
+     * 
+     * Layers which can't be loaded are reported like failed frames, see
+     * `failedLayers`.
+     * 
+     * :param layers: the `layers` entry of the scene configuration or
+     *     `undefined`
+     */
+    loadStaticLayers(layers=undefined) {
+        this.static_clouds = [];
+        this.failed_layers = [];
+        
+        for(const [name, layer] of Object.entries(layers || {})) {
+            const source = {...cloudSource(name, layer), pose: layer["pose"]};
+            this.static_clouds.push(source);
+            
+            if(undefined !== layer["color"]) {
+                this.renderer.layers.setColor(name, layer["color"]);
+            }
+            
+            if(undefined !== layer["visible"]) {
+                this.renderer.layers.setVisible(name, layer["visible"]);
+            }
+            
+            this.loadStaticLayer(source);
+        }
+    }
+    
+    
+    /**
+     * Load a static layer, see `loadStaticLayers`.
+     */
+    loadStaticLayer(source) {
+        const meta = {
+            event_identifier: this.event_identifier,
+            signal: this.abort_controller.signal,
+            pose: source.pose,
+            extrinsic: new THREE.Matrix4(),
+            scene_transform: this.scene_transform,
+            format: source.format,
+            hash: source.hash,
+            lod: true,
+            on_node_error: this.nodeFailed.bind(this)
+        };
+        
+        this.renderer.loadPointCloud(source.full_path, source.name, meta, (points, meta) => {
+            if(this.event_identifier != meta.event_identifier) {
+                this.renderer.disposePointCloud(points);
+                return;
+            }
+            
+            this.renderer.layers.addStatic(this.points_name, this.scene, points);
+            this.renderer.render();
+        }, (error, meta) => {
+            if(this.event_identifier == meta.event_identifier) {
+                this.layerFailed(source, error);
+            }
+        });
+    }
+    
+    
+    /**
+     * Report a static layer which could not be loaded.
+     */
+    layerFailed(source, error) {
+        const errors = [{cloud: source.name, error: error}];
+        this.failed_layers.push({source: source, errors: errors});
+        
+        this.status("Layer " + source.name + " could not be loaded: " + error.message);
+        this.emit("error", {layer: source.name, errors: errors});
+    }
+    
+    
+    /**
+     * Report a node of an octree which could not be loaded.
+     * 
+     * The rest of the octree is still shown, the node is loaded again by
+     * `retryFailedFrames`.
+     */
+    nodeFailed(name, node, error, meta) {
+        if(this.event_identifier != meta.event_identifier) {
+            return;
+        }
+        
+        const errors = [{cloud: name, error: error}];
+        
+        this.status("Part " + node.name + " of " + name + " could not be loaded: " + error.message);
+        this.emit("error", {cloud: name, node: node.name, errors: errors});
+    }
+    
+    
+    /**
+     * The static layers which could not be loaded.
+     * 
+     * :returns: list of objects with the `name` of the layer and its
+     *     `errors`, see `failedFrames`
+     */
+    failedLayers() {
+        return this.failed_layers.map((failed) => ({name: failed.source.name, errors: failed.errors}));
+    }
+    
+    
+    /**
+     * Start showing the frames of a new scene.
+     * 
+     * The frames are sorted, handed to the cache and the first frame is
+     * requested. It is shown as soon as it is loaded.
+     */
+    startFrames() {
+        this.normalizeFrames();
+        this.cache.reset(this.frames);
+        this.clock.setDuration(this.sceneDuration());
+        this.clock.setTime(0);
+        
+        this.current_frame = 0;
+        this.loaded = true;
+        this.showCurrentFrame();
+    }
+    
+    
+    /**
+     * Load a frame requested by the cache.
      */
-    loadPointClouds(name, frames, type_identifier) {
-        this.status("Loading point clouds.");
-        
-        // don't show any data
-        this.reset();
+    requestFrame(frame, index) {
+        frame.errors = frame.missing_clouds.slice();
         
-        if(0 == frames.length) {
-            this.status("No frames in scene.");
+        if(0 == frame.clouds.length) {
+            // not right away, the cache is still requesting frames
+            const event_identifier = this.event_identifier;
+            Promise.resolve().then(() => {
+                if(this.event_identifier == event_identifier) {
+                    this.frameFailed(index);
+                }
+            });
+            
             return;
         }
         
-        for(var index = 0; index < frames.length; ++index) {
-            const frame = frames[index];
-            const timestamp = frame["timestamp"];
-            const clouds = frame["clouds"];
-                
-            if(0 == clouds.length) {
-                // nothing to show
-                this.status("No clouds in frame.");
-                return;
-            }
-            
-            const cloud = clouds[type_identifier];
-            
-            // FIXME: That's not so nice here and should be solved on the server side
-            const path = cloud["path"];
-            const full_path = "pointclouds/" + path;
-                
-            var meta = {
+        // the clouds of the frame are collected until all of them arrived
+        const parts = {clouds: new Array(frame.clouds.length), missing: frame.clouds.length};
+        
+        frame.clouds.forEach((source, cloud_index) => {
+            const meta = {
+                // the identifier must match the scene
                 event_identifier: this.event_identifier,
-                scene: name,
+                signal: this.abort_controller.signal,
                 index: index,
-                num_frames: frames.length,
-                timestamp: timestamp,
-                path: path
+                cloud_index: cloud_index,
+                parts: parts,
+                pose: frame.pose,
+                scene_transform: this.scene_transform,
+                extrinsic: this.scene_transform.sensorExtrinsic(source.name),
+                format: source.format,
+                hash: source.hash,
+                lod: frame.lod,
+                on_node_error: this.nodeFailed.bind(this)
             };
             
-            this.status("Loading point clouds...");
-            this.loadPointCloud(full_path, meta);
-        }
+            this.loadPointCloud(source.full_path, meta, source.name);
+        });
     }
     
     
     /**
      * Load a point cloud.
      */
-    loadPointCloud(full_path, meta, name=POINT_CLOUD_NAME) {
+    loadPointCloud(full_path, meta, name=this.points_name) {
         this.renderer.loadPointCloud(
             full_path,
             name,
             meta,
-            this.pointCloudLoaded.bind(this));
+            this.pointCloudLoaded.bind(this),
+            this.pointCloudFailed.bind(this));
     }
     
     
     /**
      * Load a single point cloud.
+     * 
+     * Point clouds with more points than the point budget are rendered with
+     * a level of detail. A path to an `octree.json` loads a prebuilt octree,
+     * see `parseOctree`.
+     * 
+     * :param full_path: URL of the point cloud
+     * :param format: name of the format if the URL has no file extension,
+     *     e.g. for object URLs; see `formatOf`
      */
-    loadSinglePointCloud(full_path) {
+    loadSinglePointCloud(full_path, format=undefined) {
         this.reset();
+        this.scene_transform = this.renderer.createSceneTransform();
+        this.loadCameras();
         
-        const meta = {
-            // the identifier must match the scene
-            event_identifier: this.event_identifier,
-            
-            // there is only a single frame
-            num_frames: 1
-        };
-            
-        this.loadPointCloud(full_path, meta)
+        // there is only a single frame
+        this.cloud_names = [SINGLE_CLOUD_NAME];
+        this.frames.push({
+            timestamp: 0,
+            source_timestamp: 0,
+            path: full_path,
+            full_path: full_path,
+            scene: undefined,
+            clouds: [{name: SINGLE_CLOUD_NAME, path: full_path, full_path: full_path, format: format}],
+            missing_clouds: [],
+            errors: [],
+            annotations: [],
+            points: undefined,
+            lod: true
+        });
+        
+        this.startFrames();
     }
     
     
@@ -288,62 +2337,214 @@ export class Player {
      * Resets the scene.
      * 
      * This means stopping the player, removing the frames and removing all
-     * the point clouds from the scene.
+     * the point clouds from the scene. Afterwards, a `reset` event is
+     * dispatched.
      */
     reset() {
         // we are now one step further and don't want to render old data
         this.pause();
         this.loaded = false;
+        this.is_ready = false;
         this.current_frame = undefined;
         this.frames = []
         this.event_identifier++;
         
-        // remove the point cloud from the scene
-        this.renderer.removePointCloud(POINT_CLOUD_NAME);
+        // stop downloading and decoding the frames of the previous scene
+        this.abort_controller.abort();
+        this.abort_controller = new AbortController();
+        
+        // remove the point clouds from the scene and free the memory
+        this.renderer.removePointCloud(this.points_name, this.scene);
+        this.accumulation.clear();
+        this.renderer.layers.removeStatic(this.points_name, this.renderer.disposePointCloud.bind(this.renderer));
+        this.cache.reset();
+        this.static_clouds = [];
+        this.failed_layers = [];
+        this.cloud_names = [];
+        this.image_cameras = new Map();
+        
+        if(this.owns_renderer) {
+            this.renderer.annotations.reset();
+        }
+        
+        this.emit("reset");
+    }
+    
+    
+    /**
+     * Free a frame dropped by the cache.
+     */
+    disposeFrame(points) {
+        this.accumulation.release(points);
+        this.renderer.disposePointCloud(points);
     }
     
     
     /**
      * Is called when a point cloud is loaded.
      * 
-     * This method is handling new point clouds. If a new one is available, it
-     * is added to the list of frames. If an outdated one is loaded, it is
-     * dropped.
+     * This method is handling new point clouds. As soon as all clouds of a
+     * frame are available, they are grouped and handed to the cache, see
+     * `composeClouds`. If an outdated one is loaded, it is dropped.
      * 
-     * When all frames of a scene are loaded, the player is updated and the
-     * first frame is rendered.
+     * If the loaded point cloud belongs to the current frame, the frame is
+     * rendered.
      * 
      * :param points: point cloud data
      * :param meta: meta data provided by the call of the loader; the meta
-     *     data contains information regarding the timestamp, the number of
-     *     frames in the scene and to which loading event the data belongs to.
+     *     data contains the index of the frame and to which loading event the
+     *     data belongs to.
      */
     pointCloudLoaded(points, meta) {
         if(this.event_identifier != meta.event_identifier) {
-            // we no langer want this point cloud, ignore it!
+            // we no langer want this point cloud, free it!
+            this.renderer.disposePointCloud(points);
             return;
         }
         
-        // store the frame, it's a recent one
-        this.frames.push({
-            timestamp: meta.timestamp,
-            path: meta.path,
-            scene: meta.scene,
-            points: points
-        });
+        meta.parts.clouds[meta.cloud_index] = points;
+        this.cloudFinished(meta);
+    }
+    
+    
+    /**
+     * Is called when a point cloud could not be loaded.
+     * 
+     * The error is kept with the frame, see `failedFrames`. The other clouds
+     * of the frame are still shown.
+     * 
+     * :param error: the `PointCloudLoadError`
+     * :param meta: see `pointCloudLoaded`
+     */
+    pointCloudFailed(error, meta) {
+        if(this.event_identifier != meta.event_identifier) {
+            return;
+        }
         
-        this.status("Loaded " + this.frames.length + " frames of " + meta.num_frames + ".");
+        const frame = this.frames[meta.index];
+        frame.errors.push({cloud: frame.clouds[meta.cloud_index].name, error: error});
+        this.cloudFinished(meta);
+    }
+    
+    
+    /**
+     * Hand a frame to the cache once all of its clouds are loaded or failed.
+     */
+    cloudFinished(meta) {
+        const parts = meta.parts;
+        if(0 < --parts.missing) {
+            return;
+        }
         
-        if(this.frames.length == meta.num_frames) {
-            // all frames loaded, sort them by timestamp
-            this.normalizeFrames();
-            this.status("Ready.")
-            
-            // start with the first frame
-            this.current_frame = -1;
+        const index = meta.index;
+        const clouds = parts.clouds.filter((points) => undefined !== points);
+        if(0 == clouds.length) {
+            this.frameFailed(index);
+            return;
+        }
+        
+        const frame = composeClouds(this.points_name, clouds);
+        this.applyTint(frame);
+        this.cache.store(index, frame);
+        this.loadProgress(index);
+        
+        if(0 < this.frames[index].errors.length) {
+            this.loadErrors(index);
+        }
+        
+        if(index == this.current_frame) {
+            this.showCurrentFrame();
+        } else {
+            if(this.accumulation.covers(this.current_frame, index) && this.cache.isLoaded(this.current_frame)) {
+                this.showAccumulation();
+                this.renderer.render();
+            }
             
-            this.loaded = true;
-            this.nextFrame();
+            this.status(this.frameStatus());
+        }
+    }
+    
+    
+    /**
+     * Mark a frame as failed, none of its clouds could be loaded.
+     */
+    frameFailed(index) {
+        this.cache.fail(index);
+        this.loadProgress(index);
+        this.loadErrors(index);
+        
+        if(index == this.current_frame) {
+            this.showCurrentFrame();
+        } else {
+            this.status(this.frameStatus());
+        }
+    }
+    
+    
+    /**
+     * Inform the listeners about the errors of a frame.
+     */
+    loadErrors(index) {
+        this.emit("error", {index: index, errors: this.frames[index].errors});
+    }
+    
+    
+    /**
+     * Inform about the fill level of the buffer after a frame arrived.
+     */
+    loadProgress(index) {
+        const fill = this.cache.fill();
+        
+        this.emit("loadprogress", {index: index, loaded: fill.loaded, size: fill.size});
+    }
+    
+    
+    /**
+     * The frames with clouds which could not be loaded.
+     * 
+     * :returns: list of objects with the `index` and the `timestamp` of the
+     *     frame, whether it `failed` completely and its `errors`, each with
+     *     the name of the `cloud` and the `PointCloudLoadError` as `error`
+     */
+    failedFrames() {
+        var failed = [];
+        
+        this.frames.forEach((frame, index) => {
+            if(0 < frame.errors.length || this.cache.hasFailed(index)) {
+                failed.push({
+                    index: index,
+                    timestamp: frame.timestamp,
+                    failed: this.cache.hasFailed(index),
+                    errors: frame.errors
+                });
+            }
+        });
+        
+        return failed;
+    }
+    
+    
+    /**
+     * Try to load the failed frames, static layers and octree nodes again.
+     */
+    retryFailedFrames() {
+        const layers = this.failed_layers.map((failed) => failed.source);
+        
+        this.failed_layers = [];
+        for(const source of layers) {
+            this.loadStaticLayer(source);
+        }
+        
+        this.cache.retryFailed();
+        
+        this.scene.traverse((object) => {
+            if(object.isPointOctree) {
+                object.retryFailedNodes();
+            }
+        });
+        
+        if(this.loaded) {
+            this.showCurrentFrame();
         }
     }
     
@@ -373,7 +2574,8 @@ export class Player {
      * 
      * First, the smallest timestamp is substracted from all other timestamps
      * in the sequence. Second, the duration of a frame is added as an
-     * attribute to each frame. The last frame gets a default lenght.
+     * attribute to each frame. The last frame gets the average duration of
+     * all other frames or a default length if there is only a single frame.
      */
     normalizeTimeStamps() {
         if(0 == this.frames.length) {
@@ -395,8 +2597,11 @@ export class Player {
             this.frames[index].duration = second - first;
         }
         
-        // the last frame has a default duration
-        this.frames[this.frames.length - 1].duration = 1.0;
+        // the last frame lasts as long as an average frame
+        const last = this.frames.length - 1;
+        this.frames[last].duration = 0 < last
+            ? this.frames[last].timestamp / last
+            : DEFAULT_FRAME_DURATION;
     }
 
     
@@ -409,7 +2614,11 @@ export class Player {
      * :param text: the status text which is published
      */
     status(text) {
-        this.status_callback(text);
+        if(undefined !== this.status_callback) {
+            this.status_callback(text);
+        }
+        
+        this.emit("status", {text: text});
     }
     
     
@@ -423,7 +2632,8 @@ export class Player {
             return;
         }
         
-        this.current_frame = (this.current_frame + 1) % this.frames.length;
+        this.current_frame = this.stepOverFailed(this.current_frame, 1);
+        this.clock.setTime(this.frames[this.current_frame].timestamp);
         this.showCurrentFrame();
     }
     
@@ -438,21 +2648,241 @@ export class Player {
             return;
         }
         
-        this.current_frame = (this.frames.length + this.current_frame - 1) % this.frames.length;
+        this.current_frame = this.stepOverFailed(this.current_frame, -1);
+        this.clock.setTime(this.frames[this.current_frame].timestamp);
+        this.showCurrentFrame();
+    }
+    
+    
+    /**
+     * Step to the next or previous frame.
+     * 
+     * In the `skip` mode, frames known to have failed are stepped over.
+     * 
+     * :param index: index of the current frame
+     * :param step: `1` or `-1`
+     * :returns: index of the new frame
+     */
+    stepOverFailed(index, step) {
+        const count = this.frames.length;
+        var next = (count + index + step) % count;
+        
+        if("skip" == this.failed_frame_mode) {
+            for(var tries = 1; tries < count && this.cache.hasFailed(next); ++tries) {
+                next = (count + next + step) % count;
+            }
+        }
+        
+        return next;
+    }
+    
+    
+    /**
+     * Go to a frame by its index.
+     * 
+     * Indices outside of the sequence are clamped to the first or last frame.
+     * 
+     * :param index: index of the frame in the sorted sequence
+     * :returns: the index of the frame which is shown now or `false` if no
+     *     scene is loaded
+     */
+    seekToFrame(index) {
+        if(!this.loaded) {
+            return false;
+        }
+        
+        this.current_frame = Math.min(Math.max(0, Math.round(index)), this.frames.length - 1);
+        this.clock.setTime(this.frames[this.current_frame].timestamp);
         this.showCurrentFrame();
+        
+        return this.current_frame;
+    }
+    
+    
+    /**
+     * Go to the frame closest to a point in time.
+     * 
+     * :param time: normalized timestamp in seconds, i.e. the first frame of
+     *     the scene is at 0 seconds
+     * :returns: see `seekToFrame`
+     */
+    seekToTime(time) {
+        if(!this.loaded) {
+            return false;
+        }
+        
+        return this.seekToFrame(this.frameAtTime(time));
+    }
+    
+    
+    /**
+     * Find the index of the frame closest to a point in time.
+     * 
+     * The frames are sorted by timestamp, hence a binary search finds the
+     * first frame at or after the given time. Then, this frame and its
+     * predecessor are compared.
+     */
+    frameAtTime(time) {
+        var lower = 0;
+        var upper = this.frames.length - 1;
+        
+        while(lower < upper) {
+            const middle = Math.floor((lower + upper) / 2);
+            
+            if(this.frames[middle].timestamp < time) {
+                lower = middle + 1;
+            } else {
+                upper = middle;
+            }
+        }
+        
+        if(0 < lower) {
+            const before = time - this.frames[lower - 1].timestamp;
+            const after = this.frames[lower].timestamp - time;
+            
+            if(before <= after) {
+                return lower - 1;
+            }
+        }
+        
+        return lower;
+    }
+    
+    
+    /**
+     * Find the index of the frame which is shown at a point in time.
+     * 
+     * A frame is shown from its timestamp until the timestamp of the next
+     * frame, i.e. this is the last frame at or before the given time.
+     */
+    frameShownAt(time) {
+        const index = this.frameAtTime(time);
+        
+        if(0 < index && time < this.frames[index].timestamp) {
+            return index - 1;
+        }
+        
+        return index;
+    }
+    
+    
+    /**
+     * Normalized timestamp of the last frame.
+     * 
+     * This is the length of the scene without the duration of the last frame.
+     */
+    lastTimestamp() {
+        if(0 == this.frames.length) {
+            return 0;
+        }
+        
+        return this.frames[this.frames.length - 1].timestamp;
+    }
+    
+    
+    /**
+     * Length of the scene in seconds including the duration of the last
+     * frame.
+     */
+    sceneDuration() {
+        if(0 == this.frames.length) {
+            return 0;
+        }
+        
+        const last = this.frames[this.frames.length - 1];
+        
+        return last.timestamp + last.duration;
+    }
+    
+    
+    /**
+     * Status text for the current frame and the fill level of the buffer.
+     */
+    frameStatus() {
+        const fill = this.cache.fill();
+        var text = "Frame " + (this.current_frame + 1) + " of " + this.frames.length + ". "
+            + "Buffered " + fill.loaded + " of " + fill.size + ".";
+        
+        if(0 < this.dropped_frames) {
+            text += " Dropped " + this.dropped_frames + ".";
+        }
+        
+        const failed = this.frames.filter((frame, index) => this.cache.hasFailed(index)).length;
+        if(0 < failed) {
+            text += " Failed " + failed + ".";
+        }
+        
+        return text;
+    }
+    
+    
+    /**
+     * Show the frames around the current frame, see `setAccumulation`.
+     */
+    showAccumulation() {
+        this.accumulation.show(this.frames, this.current_frame);
+        
+        // takes the current point size as well
+        this.renderer.addToScene(this.accumulation.group, this.scene);
     }
     
     
     /**
      * Show the currently selected frame.
+     * 
+     * Moves the window of the cache to the current frame. If the frame is not
+     * loaded yet, it is shown by `pointCloudLoaded` as soon as it arrives.
      */
     showCurrentFrame() {
         const frame = this.frames[this.current_frame];
         
-        this.status("Frame " + (this.current_frame + 1) + " of " + this.frames.length + ".");
+        this.accumulation.clear();
+        this.cache.setReverse(this.clock.isReverse());
+        this.cache.update(this.current_frame);
+        this.renderer.removePointCloud(this.points_name, this.scene);
+        
+        this.emit("framechange", {index: this.current_frame, timestamp: frame.timestamp});
+        
+        if(this.cache.hasFailed(this.current_frame)) {
+            this.status("Frame " + (this.current_frame + 1) + " of " + this.frames.length + " could not be loaded: "
+                + frame.errors.map((entry) => entry.error.message).join(" "));
+            if(this.owns_renderer) {
+                this.renderer.annotations.clear();
+            }
+            
+            this.renderer.render();
+            return;
+        }
+        
+        if(undefined === frame.points) {
+            this.status("Loading frame " + (this.current_frame + 1) + " of " + this.frames.length + "...");
+            if(this.owns_renderer) {
+                this.renderer.annotations.clear();
+            }
+            
+            this.renderer.render();
+            return;
+        }
+        
+        this.status(this.frameStatus());
+        
+        this.renderer.addToScene(frame.points, this.scene);
+        this.showAccumulation();
+        
+        if(!this.is_ready) {
+            this.is_ready = true;
+            this.emit("ready", {frames: this.frames.length});
+        }
+        
+        if(this.owns_renderer) {
+            this.renderer.annotations.show(frame.annotations, frame.points.userData.matrix);
+        }
+        
+        // while playing, the camera follows the clock instead
+        if(!this.is_playing) {
+            this.updateCamera(frame.timestamp);
+        }
         
-        this.renderer.removePointCloud(POINT_CLOUD_NAME);
-        this.renderer.addToScene(frame.points);
         this.renderer.render();
         
         if(this.on_render_frame_callback !== undefined) {
@@ -470,8 +2900,9 @@ export class Player {
     /**
      * Play the sequence.
      * 
-     * Each frame of the sequence is shown for the specified duration. At the
-     * end of all frames, the player starts again with the first frame.
+     * The frames are shown according to their timestamps, scaled by the
+     * playback speed. What happens at the end of the sequence depends on the
+     * playback mode. Calling this method while playing pauses the player.
      */
     play() {
         if(this.frames.length < 2) {
@@ -480,7 +2911,7 @@ export class Player {
         }
         
         if(!this.loaded) {
-            // not all frames loaded yet
+            // the scene is not set up yet
             return false;
         }
         
@@ -489,9 +2920,12 @@ export class Player {
             this.pause();
         } else {
             this.is_playing = true;
+            this.dropped_frames = 0;
             
             // start playing
-            this.createNextFrameTimer();
+            this.clock.start(performance.now());
+            this.requestTick();
+            this.playbackChanged();
         }
         
         return this.is_playing;
@@ -505,37 +2939,95 @@ export class Player {
      * a pause it is possible to play again.
      */
     pause() {
-        this.is_playing = false;
+        if(undefined !== this.animation_frame) {
+            cancelAnimationFrame(this.animation_frame);
+            this.animation_frame = undefined;
+        }
+        
+        if(this.is_playing) {
+            this.is_playing = false;
+            this.playbackChanged();
+        }
     }
     
     
     /**
-     * Is called after a frame is rendered.
-     * 
-     * This funciton then creates a timer with the duration of the current
-     * frame. After this duration, the callback function is called and the
-     * next frame is played. This is the foundation of the play loop.
+     * Inform the listeners that the player started or stopped playing.
      */
-    createNextFrameTimer() {
-        const seconds = this.frames[this.current_frame].duration;
-        
-        setTimeout(this.playNextFrameCallback.bind(this), 1000 * seconds);
+    playbackChanged() {
+        this.emit(this.is_playing ? "play" : "pause", {index: this.current_frame});
+    }
+    
+    
+    /**
+     * Schedule the next step of the play loop.
+     */
+    requestTick() {
+        this.animation_frame = requestAnimationFrame(this.tick.bind(this));
     }
 
     
     /**
-     * Show a new frame.
+     * Advance the playback to an animation frame.
+     * 
+     * This is the foundation of the play loop. The clock is advanced and the
+     * frame belonging to the new scene time is shown. If that frame is not
+     * loaded yet, it is dropped and the previous frame stays visible, so the
+     * playback stays in sync with the timestamps. Only if the current frame
+     * itself is missing, the clock waits until it is loaded.
      * 
-     * This is the callback function used to render a new frame. When the
-     * frame is shown, a new timer is set for the next frame.
+     * Frames which could not be loaded are dropped as well in the `skip`
+     * mode and shown as empty frames in the `mark` mode.
+     * 
+     * :param now: timestamp of the animation frame in milliseconds
      */
-    playNextFrameCallback() {
+    tick(now) {
+        this.animation_frame = undefined;
         if(!this.is_playing) {
             return;
         }
         
-        this.nextFrame();
-        this.createNextFrameTimer();
+        if(!this.cache.isLoaded(this.current_frame) && !this.cache.hasFailed(this.current_frame)) {
+            // nothing to show yet, wait for the buffer
+            this.clock.start(now);
+            this.status("Buffering... " + this.frameStatus());
+            this.requestTick();
+            return;
+        }
+        
+        const running = this.clock.advance(now);
+        const index = this.frameShownAt(this.clock.time);
+        this.updateCamera(this.clock.time);
+        
+        if(index != this.current_frame) {
+            const marked = "mark" == this.failed_frame_mode && this.cache.hasFailed(index);
+            if(this.cache.isLoaded(index) || marked) {
+                this.dropped_frames += this.framesBetween(this.current_frame, index);
+                this.current_frame = index;
+                this.showCurrentFrame();
+            } else {
+                // keep loading around the playhead without dropping the frame shown
+                this.cache.setReverse(this.clock.isReverse());
+                this.cache.update(this.current_frame, index);
+            }
+        }
+        
+        if(running) {
+            this.requestTick();
+        } else {
+            this.pause();
+        }
     }
+    
+    
+    /**
+     * Number of frames skipped when going from one frame to another in the
+     * current playback direction.
+     */
+    framesBetween(from, to) {
+        const count = this.frames.length;
+        const distance = this.clock.isReverse() ? from - to : to - from;
         
+        return Math.max(0, ((distance % count) + count) % count - 1);
+    }
 }
@@ -0,0 +1,267 @@
+import {load as parseYAML} from "js-yaml";
+
+const DEFAULT_ROOT = "pointclouds/";
+const INDEX_FILE = "index.yaml";
+const CONFIG_FILE = "config.yaml";
+const CONFIGURATION_CACHE = "pointcloud-configurations";
+
+
+/**
+ * Join two parts of a path with exactly one slash.
+ */
+function joinPath(directory, path) {
+    if(directory.endsWith("/")) {
+        return directory + path;
+    }
+
+    return directory + "/" + path;
+}
+
+
+/**
+ * Whether a path is a complete URL, e.g. an object URL of a local file.
+ */
+function isURL(path) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(path);
+}
+
+
+/**
+ * Fetch a file and fall back to Cache Storage without a network.
+ *
+ * Every file fetched successfully is stored, so the scenes can still be
+ * listed offline.
+ */
+function fetchCached(url) {
+    if("undefined" === typeof caches) {
+        return fetch(url);
+    }
+
+    return fetch(url).then(
+        (response) => {
+            if(response.ok) {
+                const copy = response.clone();
+                caches.open(CONFIGURATION_CACHE)
+                    .then((cache) => cache.put(url, copy))
+                    .catch((error) => console.warn("Could not keep " + url + " for offline use.", error));
+            }
+
+            return response;
+        },
+        (error) => caches.match(url).then((cached) => {
+            if(undefined === cached) {
+                throw error;
+            }
+
+            return cached;
+        }));
+}
+
+
+/**
+ * Static catalog of all scenes.
+ *
+ * The catalog replaces the `/configurations` endpoint of the server. It reads
+ * the list of scenes from a static index file and loads the `config.yaml` of
+ * every scene. The result has the same layout the server provided: an object
+ * mapping the scene identifier to the scene configuration.
+ *
+ * The index file lists the scene directories below the root directory:
+ *
+ *     scenes:
+ *     - kreuzberg_ball_2
+ */
+export class SceneCatalog {
+    /**
+     * Set up the catalog.
+     *
+     * :param root: directory containing the index file and one directory
+     *     per scene
+     * :param index: name of the index file in the root directory
+     */
+    constructor(root = DEFAULT_ROOT, index = INDEX_FILE) {
+        this.root = root;
+        this.index = index;
+    }
+
+
+    /**
+     * Load all scenes listed in the index.
+     *
+     * Scenes which can't be loaded are skipped, so a single broken scene
+     * does not hide all the other ones.
+     *
+     * :returns: promise of an object mapping scene identifiers to scene
+     *     configurations
+     */
+    load() {
+        return this.loadIndex().then((identifiers) => {
+            const scenes = identifiers.map(
+                (identifier) => this.loadScene(identifier).catch((error) => {
+                    console.warn("Can't load scene " + identifier + ".", error);
+                    return undefined;
+                }));
+
+            return Promise.all(scenes).then((configurations) => {
+                var catalog = {};
+                for(var index = 0; index < identifiers.length; ++index) {
+                    if(undefined !== configurations[index]) {
+                        catalog[identifiers[index]] = configurations[index];
+                    }
+                }
+
+                return catalog;
+            });
+        });
+    }
+
+
+    /**
+     * Load the list of scene identifiers from the index.
+     */
+    loadIndex() {
+        return this.fetchYAML(joinPath(this.root, this.index))
+            .then((index) => (index && index["scenes"]) || []);
+    }
+
+
+    /**
+     * Load the configuration of a single scene.
+     *
+     * The paths of all clouds are resolved relative to the scene directory.
+     * Afterwards, they include the root directory, so they can be loaded as
+     * they are.
+     *
+     * The configuration may reference files next to it, e.g. exported from
+     * the viewer: the annotations of an `annotations_file` replace the ones
+     * of the configuration, the viewpoints and camera paths of a
+     * `cameras_file` replace the `cameras` entry:
+     *
+     *     annotations_file: annotations.yaml
+     *     cameras_file: cameras.yaml
+     *
+     * A referenced file which can't be loaded is left out.
+     *
+     * :param identifier: name of the scene directory
+     */
+    loadScene(identifier) {
+        const directory = joinPath(this.root, identifier);
+        const optional = (name) => {
+            if(!name) {
+                return Promise.resolve(undefined);
+            }
+
+            return this.fetchYAML(joinPath(directory, name)).catch((error) => {
+                console.warn("Can't load " + name + " of scene " + identifier + ".", error);
+                return undefined;
+            });
+        };
+
+        return this.fetchYAML(joinPath(directory, CONFIG_FILE)).then((config) => Promise.all([
+            config,
+            optional(config && config["annotations_file"]),
+            optional(config && config["cameras_file"])
+        ])).then(([config, annotations, cameras]) => {
+            const scene = this.normalizeScene(identifier, config);
+            this.mergeAnnotations(scene, annotations);
+
+            if(cameras) {
+                scene["cameras"] = cameras;
+            }
+
+            return scene;
+        });
+    }
+
+
+    /**
+     * Replace the annotations of frames with the same timestamp.
+     */
+    mergeAnnotations(scene, annotations) {
+        if(!annotations || !annotations["frames"]) {
+            return;
+        }
+
+        var by_timestamp = new Map();
+        for(const frame of annotations["frames"]) {
+            by_timestamp.set(frame["timestamp"], frame["annotations"] || []);
+        }
+
+        for(const frame of scene["frames"]) {
+            if(by_timestamp.has(frame["timestamp"])) {
+                frame["annotations"] = by_timestamp.get(frame["timestamp"]);
+            }
+        }
+    }
+
+
+    /**
+     * Bring a parsed `config.yaml` into the layout the player expects.
+     *
+     * The paths of the static `layers` and of the camera `images` of the
+     * frames are resolved like the ones of the clouds, see
+     * `loadStaticLayers` of the `Player` and `CameraCalibration`.
+     */
+    normalizeScene(identifier, config) {
+        if(!config) {
+            throw new Error("Empty configuration for scene " + identifier + ".");
+        }
+
+        const frames = config["frames"] || [];
+        for(const frame of frames) {
+            const clouds = frame["clouds"] || {};
+
+            for(const type in clouds) {
+                const cloud = clouds[type];
+                cloud["path"] = this.resolvePath(identifier, cloud["path"]);
+            }
+
+            frame["clouds"] = clouds;
+
+            for(const image of Object.values(frame["images"] || {})) {
+                image["path"] = this.resolvePath(identifier, image["path"]);
+            }
+        }
+
+        for(const layer of Object.values(config["layers"] || {})) {
+            layer["path"] = this.resolvePath(identifier, layer["path"]);
+        }
+
+        config["name"] = config["name"] || identifier;
+        config["frames"] = frames;
+
+        return config;
+    }
+
+
+    /**
+     * Resolve the path of a cloud relative to its scene directory.
+     *
+     * Complete URLs are kept as they are.
+     */
+    resolvePath(identifier, path) {
+        if(isURL(path)) {
+            return path;
+        }
+
+        return joinPath(this.root, joinPath(identifier, path));
+    }
+
+
+    /**
+     * Fetch and parse a YAML file.
+     *
+     * Without a network, the last version fetched is used.
+     */
+    fetchYAML(url) {
+        return fetchCached(url)
+            .then((response) => {
+                if(!response.ok) {
+                    throw new Error("Can't load " + url + ": " + response.status + ".");
+                }
+
+                return response.text();
+            })
+            .then((text) => parseYAML(text));
+    }
+}
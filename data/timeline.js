@@ -0,0 +1,140 @@
+/**
+ * Timeline for a player.
+ *
+ * The timeline shows the position of the current frame within the scene as a
+ * playhead on a track. Clicking the track or dragging the playhead seeks to
+ * the frame closest to the selected point in time. A readout shows the time
+ * and the number of the current frame.
+ */
+export class Timeline {
+    /**
+     * Set up the timeline.
+     *
+     * :param container: element the timeline is drawn into
+     * :param player: the player the timeline is bound to
+     */
+    constructor(container, player) {
+        this.container = container;
+        this.player = player;
+        this.is_dragging = false;
+
+        this.createElements();
+        this.createEventListeners();
+
+        this.player.addEventListener("framechange", (event) => this.update(event.detail.index, event.detail.timestamp));
+        // the previous scene is gone
+        this.player.addEventListener("reset", () => this.update(undefined));
+        this.update(this.player.current_frame, 0);
+    }
+
+
+    /**
+     * Create the track, the playhead and the readout.
+     */
+    createElements() {
+        this.track_element = document.createElement("div");
+        this.track_element.className = "timeline_track";
+
+        this.progress_element = document.createElement("div");
+        this.progress_element.className = "timeline_progress";
+
+        this.playhead_element = document.createElement("div");
+        this.playhead_element.className = "timeline_playhead";
+
+        this.readout_element = document.createElement("div");
+        this.readout_element.className = "timeline_readout";
+
+        this.track_element.appendChild(this.progress_element);
+        this.track_element.appendChild(this.playhead_element);
+        this.container.replaceChildren(this.track_element, this.readout_element);
+    }
+
+
+    /**
+     * Seek on clicks and while the playhead is dragged.
+     */
+    createEventListeners() {
+        this.track_element.addEventListener(
+            "pointerdown",
+            this.onPointerDown.bind(this));
+
+        this.track_element.addEventListener(
+            "pointermove",
+            this.onPointerMove.bind(this));
+
+        this.track_element.addEventListener(
+            "pointerup",
+            this.onPointerUp.bind(this));
+
+        this.track_element.addEventListener(
+            "pointercancel",
+            this.onPointerUp.bind(this));
+    }
+
+
+    onPointerDown(event) {
+        this.is_dragging = true;
+        this.track_element.setPointerCapture(event.pointerId);
+
+        this.seekToPointer(event);
+    }
+
+
+    onPointerMove(event) {
+        if(this.is_dragging) {
+            this.seekToPointer(event);
+        }
+    }
+
+
+    onPointerUp(event) {
+        this.is_dragging = false;
+        this.track_element.releasePointerCapture(event.pointerId);
+    }
+
+
+    /**
+     * Seek to the point in time under the pointer.
+     */
+    seekToPointer(event) {
+        const bounds = this.track_element.getBoundingClientRect();
+        const fraction = Math.min(Math.max(0, (event.clientX - bounds.left) / bounds.width), 1);
+
+        this.player.seekToTime(fraction * this.player.lastTimestamp());
+    }
+
+
+    /**
+     * Move the playhead and update the readout.
+     *
+     * Is called by the player whenever the current frame changes.
+     *
+     * :param index: index of the current frame
+     * :param timestamp: normalized timestamp of the current frame
+     */
+    update(index, timestamp) {
+        if(undefined === index || !this.player.loaded) {
+            this.setPosition(0);
+            this.readout_element.textContent = "--";
+            return;
+        }
+
+        const last_timestamp = this.player.lastTimestamp();
+        const fraction = 0 < last_timestamp ? timestamp / last_timestamp : 0;
+
+        this.setPosition(fraction);
+        this.readout_element.textContent = timestamp.toFixed(3) + " s | "
+            + "Frame " + (index + 1) + " of " + this.player.frames.length;
+    }
+
+
+    /**
+     * Set the position of the playhead as a fraction of the track.
+     */
+    setPosition(fraction) {
+        const percent = (100 * fraction) + "%";
+
+        this.playhead_element.style.left = percent;
+        this.progress_element.style.width = percent;
+    }
+}
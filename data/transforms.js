@@ -0,0 +1,308 @@
+import * as THREE from 'three';
+
+/**
+ * X pointing forward, Y left and Z up, shared by `ros` and `kitti`.
+ */
+const FORWARD_LEFT_UP = [
+    0, -1, 0, 0,
+    0, 0, 1, 0,
+    -1, 0, 0, 0,
+    0, 0, 0, 1];
+
+/**
+ * Axis conventions of the data.
+ *
+ * Each convention maps the axes of the data to the axes of the viewer, which
+ * has the Y axis pointing up. `default` is the transformation the viewer
+ * always applied: a rotation around the Y and the X axes. `ros` and `kitti`
+ * have X pointing forward, Y left and Z up, `camera` has X pointing right, Y
+ * down and Z forward.
+ *
+ * The matrices are given row by row.
+ */
+export const CONVENTIONS = {
+    default: [
+        -1, 0, 0, 0,
+        0, 0, 1, 0,
+        0, 1, 0, 0,
+        0, 0, 0, 1],
+    ros: FORWARD_LEFT_UP,
+    kitti: FORWARD_LEFT_UP,
+    camera: [
+        1, 0, 0, 0,
+        0, -1, 0, 0,
+        0, 0, -1, 0,
+        0, 0, 0, 1]
+};
+
+/**
+ * How point clouds are centered.
+ *
+ * `none` keeps the coordinates, `frame` centers every point cloud on its own
+ * and `scene` computes the offset once for the whole scene, so the frames
+ * stay registered.
+ */
+export const CENTER_MODES = ["none", "frame", "scene"];
+
+
+/**
+ * Translation by the `offset` of a parsed point cloud, see `createCloud`.
+ *
+ * :param offset: list of three numbers or `undefined`
+ * :returns: `THREE.Matrix4`
+ */
+function offsetMatrix(offset) {
+    if(undefined === offset) {
+        return new THREE.Matrix4();
+    }
+
+    return new THREE.Matrix4().makeTranslation(offset[0], offset[1], offset[2]);
+}
+
+
+/**
+ * Parse a rigid transformation from a configuration.
+ *
+ * The transformation is either given as `matrix` with 16 values row by row
+ * (flat or as four rows) or as quaternion `rotation` with the values x, y, z
+ * and w plus a `translation`. Both parts of the latter are optional.
+ *
+ * :param config: the configuration or `undefined` for the identity
+ * :returns: `THREE.Matrix4`
+ */
+export function parseMatrix(config) {
+    var matrix = new THREE.Matrix4();
+
+    if(undefined === config || null === config) {
+        return matrix;
+    }
+
+    if(undefined !== config["matrix"]) {
+        const values = config["matrix"].flat();
+        if(16 != values.length) {
+            throw new Error("A transformation matrix needs 16 values.");
+        }
+
+        return matrix.set(...values);
+    }
+
+    const rotation = toArray(config["rotation"], ["x", "y", "z", "w"]) || [0, 0, 0, 1];
+    const translation = toArray(config["translation"], ["x", "y", "z"]) || [0, 0, 0];
+
+    return matrix.compose(
+        new THREE.Vector3(...translation),
+        new THREE.Quaternion(...rotation).normalize(),
+        new THREE.Vector3(1, 1, 1));
+}
+
+
+/**
+ * Accept vectors as arrays or as objects with named components.
+ */
+function toArray(value, names) {
+    if(undefined === value || Array.isArray(value)) {
+        return value;
+    }
+
+    return names.map((name) => value[name]);
+}
+
+
+/**
+ * Transformation of all the point clouds in a scene.
+ *
+ * The points of a frame are transformed in the following order:
+ *
+ * 1. the extrinsic transformation of the sensor from the scene
+ *    configuration,
+ * 2. the ego pose of the frame,
+ * 3. the centering offset and
+ * 4. the axis convention to bring the data into the coordinates of the
+ *    viewer.
+ *
+ * The scene configuration may contain a `transform` entry:
+ *
+ *     transform:
+ *       convention: ros
+ *       center: scene
+ *       rotation: [0, 0, 0, 1]
+ *       translation: [0, 0, 1.8]
+ *
+ * Each frame may contain a `pose` entry with a `matrix` or a `rotation` and a
+ * `translation`.
+ *
+ * Rigs with several sensors list the extrinsic transformation of every
+ * sensor in `sensors`, by the type of its clouds. Sensors without an entry
+ * use the extrinsic transformation of the scene:
+ *
+ *     transform:
+ *       convention: ros
+ *       sensors:
+ *         lidar_top:
+ *           translation: [0, 0, 1.8]
+ *         lidar_left:
+ *           rotation: [0, 0, 0.383, 0.924]
+ *           translation: [0.5, 0.8, 1.2]
+ */
+export class SceneTransform {
+    /**
+     * Set up the transformation.
+     *
+     * :param config: the `transform` entry of the scene configuration
+     * :param center: centering mode if the configuration does not set one
+     */
+    constructor(config = {}, center = "none") {
+        config = config || {};
+
+        const convention = config["convention"] || "default";
+        if(!(convention in CONVENTIONS)) {
+            throw new Error("Unknown axis convention " + convention + ".");
+        }
+
+        this.center = config["center"] || center;
+        if(!CENTER_MODES.includes(this.center)) {
+            throw new Error("Unknown centering mode " + this.center + ".");
+        }
+
+        this.convention = new THREE.Matrix4().set(...CONVENTIONS[convention]);
+        this.extrinsic = parseMatrix(config);
+        this.sensors = new Map(Object.entries(config["sensors"] || {})
+            .map(([name, sensor]) => [name, parseMatrix(sensor)]));
+        this.offset = undefined;
+    }
+
+
+    /**
+     * Extrinsic transformation of a sensor.
+     *
+     * :param name: type of the clouds of the sensor
+     * :returns: `THREE.Matrix4`
+     */
+    sensorExtrinsic(name) {
+        return this.sensors.has(name) ? this.sensors.get(name) : this.extrinsic;
+    }
+
+
+    /**
+     * Forget the centering offset of the scene.
+     */
+    reset() {
+        this.offset = undefined;
+    }
+
+
+    /**
+     * Transformation of a frame into world coordinates.
+     *
+     * This is the extrinsic transformation followed by the pose of the
+     * frame, without centering and axis convention.
+     *
+     * :param pose: the `pose` entry of the frame or `undefined`
+     * :param extrinsic: the extrinsic transformation of the sensor, see
+     *     `sensorExtrinsic`
+     * :returns: `THREE.Matrix4`
+     */
+    worldMatrix(pose, extrinsic = this.extrinsic) {
+        return parseMatrix(pose).multiply(extrinsic);
+    }
+
+
+    /**
+     * Transformation of a frame into the coordinates of the viewer.
+     *
+     * :param pose: the `pose` entry of the frame or `undefined`
+     * :param offset: centering offset in world coordinates
+     * :param extrinsic: see `worldMatrix`
+     * :returns: `THREE.Matrix4`
+     */
+    matrix(pose, offset = new THREE.Vector3(), extrinsic = this.extrinsic) {
+        return new THREE.Matrix4()
+            .copy(this.convention)
+            .multiply(new THREE.Matrix4().makeTranslation(offset.x, offset.y, offset.z))
+            .multiply(this.worldMatrix(pose, extrinsic));
+    }
+
+
+    /**
+     * Transformation of the ego vehicle of a frame into the coordinates of
+     * the viewer.
+     *
+     * This is the transformation of the point cloud without the extrinsic
+     * transformation of the sensor.
+     *
+     * :param points: a point cloud transformed with `apply`
+     * :returns: `THREE.Matrix4`
+     */
+    egoMatrix(points) {
+        const extrinsic = points.userData.extrinsic || this.extrinsic;
+        return points.userData.matrix.clone().multiply(extrinsic.clone().invert());
+    }
+
+
+    /**
+     * Transformation of the geometry of a point cloud.
+     *
+     * This is the `matrix` in the user data after the `offset` of the
+     * positions, see `createCloud`.
+     *
+     * :param points: a point cloud transformed with `apply`
+     * :returns: `THREE.Matrix4`
+     */
+    geometryMatrix(points) {
+        return points.userData.matrix.clone().multiply(offsetMatrix(points.userData.offset));
+    }
+
+
+    /**
+     * Transform the geometry of a point cloud.
+     *
+     * The transformation of the sensor is stored in the user data as
+     * `matrix`, so other objects of the frame can be transformed the same
+     * way. The positions are moved by the `offset` in the user data first,
+     * see `geometryMatrix`. The position of the sensor is stored as `origin`,
+     * its extrinsic transformation as `extrinsic`.
+     *
+     * :param points: the point cloud
+     * :param pose: the `pose` entry of the frame or `undefined`
+     * :param extrinsic: see `worldMatrix`
+     */
+    apply(points, pose, extrinsic = this.extrinsic) {
+        const local = offsetMatrix(points.userData.offset);
+        const offset = this.centeringOffset(points, this.worldMatrix(pose, extrinsic).multiply(local));
+        const matrix = this.matrix(pose, offset, extrinsic);
+
+        points.geometry.applyMatrix4(matrix.clone().multiply(local));
+        points.userData.matrix = matrix;
+        points.userData.origin = new THREE.Vector3().applyMatrix4(matrix);
+        points.userData.extrinsic = extrinsic;
+    }
+
+
+    /**
+     * Offset which moves the center of the point cloud to the origin.
+     *
+     * In the `scene` mode, the offset is computed from the first point cloud
+     * of the scene and reused for all others.
+     */
+    centeringOffset(points, world) {
+        if("none" == this.center) {
+            return new THREE.Vector3();
+        }
+
+        if("scene" == this.center && undefined !== this.offset) {
+            return this.offset;
+        }
+
+        points.geometry.computeBoundingBox();
+        const offset = points.geometry.boundingBox
+            .applyMatrix4(world)
+            .getCenter(new THREE.Vector3())
+            .negate();
+
+        if("scene" == this.center) {
+            this.offset = offset;
+        }
+
+        return offset;
+    }
+}
@@ -0,0 +1,202 @@
+import * as THREE from 'three';
+
+/**
+ * Delay before the URL follows a change, so playing or moving the camera
+ * doesn't flood the history API.
+ */
+const UPDATE_DELAY = 250;
+
+const NUMBER_DIGITS = 3;
+
+
+/**
+ * Read the state of the view from the fragment of a URL.
+ *
+ * The fragment holds URL parameters, e.g.
+ *
+ *     #scene=kreuzberg_ball_2&type=color&time=1.2&camera=0,5,-15,0,0,0,60
+ *
+ * The parameters are `scene`, `type` and `pointcloud` for what is loaded,
+ * `frame` and `time` for the position in the scene, `camera` with the
+ * position, the target and the field of view of the camera, `field`,
+ * `colormap`, `min` and `max` for the coloring, the point `size`, its
+ * `units` and `attenuation` (1 turns it on), `annotations` (0 hides them),
+ * the `hidden` annotation classes separated by commas and the camera `path`.
+ *
+ * :param hash: the fragment, e.g. `window.location.hash`
+ * :returns: object with an attribute for every parameter in the fragment,
+ *     see `viewState` of the `Player`
+ */
+export function parseViewState(hash) {
+    const parameters = new URLSearchParams(hash.replace(/^#/, ""));
+    var state = {};
+
+    for(const name of ["scene", "type", "pointcloud", "field", "colormap", "units", "path"]) {
+        if(parameters.has(name)) {
+            state[name] = parameters.get(name);
+        }
+    }
+
+    for(const name of ["frame", "time", "min", "max", "size"]) {
+        const value = parseFloat(parameters.get(name));
+        if(!isNaN(value)) {
+            state[name] = value;
+        }
+    }
+
+    if(parameters.has("camera")) {
+        const values = parameters.get("camera").split(",").map(parseFloat);
+
+        if(7 == values.length && !values.some(isNaN)) {
+            state.camera = {
+                position: new THREE.Vector3(...values.slice(0, 3)),
+                target: new THREE.Vector3(...values.slice(3, 6)),
+                fov: values[6]
+            };
+        }
+    }
+
+    if(parameters.has("annotations")) {
+        state.annotations = "0" != parameters.get("annotations");
+    }
+
+    if(parameters.has("attenuation")) {
+        state.attenuation = "1" == parameters.get("attenuation");
+    }
+
+    if(parameters.has("hidden")) {
+        state.hidden = parameters.get("hidden").split(",").filter((name) => 0 < name.length);
+    }
+
+    return state;
+}
+
+
+/**
+ * Write the state of the view into the fragment of a URL.
+ *
+ * Attributes which are `undefined` are left out.
+ *
+ * :param state: see `parseViewState`
+ * :returns: the fragment without `#`
+ */
+export function formatViewState(state) {
+    const round = (value) => String(parseFloat(value.toFixed(NUMBER_DIGITS)));
+    var parameters = new URLSearchParams();
+
+    for(const name of ["scene", "type", "pointcloud", "frame", "time", "field", "colormap", "min", "max", "size", "units", "path"]) {
+        const value = state[name];
+
+        if(undefined !== value && null !== value) {
+            parameters.set(name, "number" === typeof value ? round(value) : value);
+        }
+    }
+
+    if(undefined !== state.camera) {
+        const camera = state.camera;
+        const values = [...camera.position.toArray(), ...camera.target.toArray(), camera.fov];
+
+        parameters.set("camera", values.map(round).join(","));
+    }
+
+    if(undefined !== state.annotations) {
+        parameters.set("annotations", state.annotations ? "1" : "0");
+    }
+
+    if(undefined !== state.attenuation) {
+        parameters.set("attenuation", state.attenuation ? "1" : "0");
+    }
+
+    if(undefined !== state.hidden && 0 < state.hidden.length) {
+        parameters.set("hidden", state.hidden.join(","));
+    }
+
+    // commas are safe in fragments and keep the links readable
+    return parameters.toString().replaceAll("%2C", ",");
+}
+
+
+/**
+ * Keeps the URL of the page in sync with the view of a player.
+ *
+ * Whenever the frame, the camera, the coloring or the overlays change, the
+ * fragment of the URL is replaced, so the address of the page can be shared
+ * as it is. Opening such a link restores the view, see `restoreViewState`
+ * of the `Player`.
+ */
+export class ViewStateLink {
+    /**
+     * Start following the player.
+     *
+     * :param player: the `Player`
+     * :param context: function returning what is loaded, e.g. the `scene`
+     *     and the `type`, as object; is merged into the state of the player
+     * :param on_navigate: function called with the parsed state when the
+     *     fragment is changed by hand, e.g. by pasting a link
+     */
+    constructor(player, context=() => ({}), on_navigate=undefined) {
+        this.player = player;
+        this.context = context;
+        this.on_navigate = on_navigate;
+        this.timer = undefined;
+        this.fragment = undefined;
+
+        this.update = this.update.bind(this);
+        this.onHashChange = this.onHashChange.bind(this);
+
+        player.addEventListener("framechange", this.update);
+        player.addEventListener("viewchange", this.update);
+        player.renderer.controls.addEventListener("change", this.update);
+        window.addEventListener("hashchange", this.onHashChange);
+    }
+
+
+    /**
+     * Replace the URL after a short delay.
+     */
+    update() {
+        if(undefined !== this.timer) {
+            return;
+        }
+
+        this.timer = setTimeout(() => {
+            this.timer = undefined;
+            this.write();
+        }, UPDATE_DELAY);
+    }
+
+
+    /**
+     * Replace the URL right away.
+     *
+     * The history is not extended, the back button still leaves the page.
+     */
+    write() {
+        this.fragment = formatViewState({...this.context(), ...this.player.viewState()});
+        window.history.replaceState(null, "", "#" + this.fragment);
+    }
+
+
+    onHashChange() {
+        const fragment = window.location.hash.replace(/^#/, "");
+
+        if(fragment != this.fragment && undefined !== this.on_navigate) {
+            this.fragment = fragment;
+            this.on_navigate(parseViewState(fragment));
+        }
+    }
+
+
+    /**
+     * Stop following the player.
+     */
+    dispose() {
+        clearTimeout(this.timer);
+        this.timer = undefined;
+
+        this.player.removeEventListener("framechange", this.update);
+        this.player.removeEventListener("viewchange", this.update);
+        this.player.renderer.controls.removeEventListener("change", this.update);
+        window.removeEventListener("hashchange", this.onHashChange);
+    }
+}
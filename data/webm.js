@@ -0,0 +1,205 @@
+/**
+ * Minimal writer for WebM videos.
+ *
+ * Stores already encoded frames, e.g. the chunks of a `VideoEncoder`, with a
+ * single video track. The frames are kept in memory and the video is written
+ * at once, so all sizes are known. There is no index of the key frames, which
+ * players can do without for short videos.
+ */
+
+const EBML = 0x1a45dfa3;
+const EBML_VERSION = 0x4286;
+const EBML_READ_VERSION = 0x42f7;
+const EBML_MAX_ID_LENGTH = 0x42f2;
+const EBML_MAX_SIZE_LENGTH = 0x42f3;
+const DOC_TYPE = 0x4282;
+const DOC_TYPE_VERSION = 0x4287;
+const DOC_TYPE_READ_VERSION = 0x4285;
+const SEGMENT = 0x18538067;
+const INFO = 0x1549a966;
+const TIMECODE_SCALE = 0x2ad7b1;
+const MUXING_APP = 0x4d80;
+const WRITING_APP = 0x5741;
+const DURATION = 0x4489;
+const TRACKS = 0x1654ae6b;
+const TRACK_ENTRY = 0xae;
+const TRACK_NUMBER = 0xd7;
+const TRACK_UID = 0x73c5;
+const TRACK_TYPE = 0x83;
+const FLAG_LACING = 0x9c;
+const CODEC_ID = 0x86;
+const VIDEO = 0xe0;
+const PIXEL_WIDTH = 0xb0;
+const PIXEL_HEIGHT = 0xba;
+const CLUSTER = 0x1f43b675;
+const TIMECODE = 0xe7;
+const SIMPLE_BLOCK = 0xa3;
+
+const APPLICATION = "pointcloud player";
+
+/**
+ * The timestamps are written in milliseconds.
+ */
+const NANOSECONDS_PER_TICK = 1000000;
+
+/**
+ * Largest timestamp of a frame relative to its cluster.
+ */
+const MAX_RELATIVE_TIMESTAMP = 32767;
+
+
+/**
+ * Bytes of an unsigned integer in big-endian order.
+ *
+ * :param length: number of bytes; as few as needed by default
+ */
+function uintBytes(value, length=undefined) {
+    var bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while(0 < value || (undefined !== length && bytes.length < length));
+
+    return new Uint8Array(bytes);
+}
+
+
+/**
+ * Size of an element as variable-length integer.
+ */
+function sizeBytes(size) {
+    var length = 1;
+    while(length < 8 && 2 ** (7 * length) - 1 <= size) {
+        ++length;
+    }
+
+    var bytes = uintBytes(size, length);
+    bytes[0] |= 0x80 >> (length - 1);
+
+    return bytes;
+}
+
+
+/**
+ * An element with its content.
+ *
+ * :param children: the content as list of `Uint8Array`
+ * :returns: list of `Uint8Array`
+ */
+function element(id, children) {
+    const size = children.reduce((sum, child) => sum + child.byteLength, 0);
+
+    return [uintBytes(id), sizeBytes(size), ...children];
+}
+
+
+function uintElement(id, value) {
+    return element(id, [uintBytes(value)]);
+}
+
+
+function floatElement(id, value) {
+    var bytes = new DataView(new ArrayBuffer(8));
+    bytes.setFloat64(0, value);
+
+    return element(id, [new Uint8Array(bytes.buffer)]);
+}
+
+
+function stringElement(id, value) {
+    return element(id, [new TextEncoder().encode(value)]);
+}
+
+
+/**
+ * Collects the encoded frames of a video and writes them into a WebM file.
+ */
+export class WebMWriter {
+    /**
+     * :param codec: Matroska codec ID, e.g. `V_VP9`
+     * :param width: width of the video in pixels
+     * :param height: height of the video in pixels
+     */
+    constructor(codec, width, height) {
+        this.codec = codec;
+        this.width = width;
+        this.height = height;
+        this.clusters = [];
+        this.cluster = undefined;
+    }
+
+
+    /**
+     * Add an encoded frame.
+     *
+     * Key frames start a new cluster, so players can seek to them.
+     *
+     * :param data: the frame as `Uint8Array`
+     * :param timestamp: start of the frame in microseconds
+     * :param key: whether the frame is a key frame
+     */
+    add(data, timestamp, key) {
+        const time = Math.round(timestamp / 1000);
+
+        if(undefined === this.cluster || key || MAX_RELATIVE_TIMESTAMP < time - this.cluster.time) {
+            this.cluster = {time: time, blocks: []};
+            this.clusters.push(this.cluster);
+        }
+
+        var header = new DataView(new ArrayBuffer(4));
+        // track number 1 as variable-length integer
+        header.setUint8(0, 0x81);
+        header.setInt16(1, time - this.cluster.time);
+        header.setUint8(3, key ? 0x80 : 0);
+
+        this.cluster.blocks.push(element(SIMPLE_BLOCK, [new Uint8Array(header.buffer), data]));
+    }
+
+
+    /**
+     * Finish the video.
+     *
+     * :param duration: length of the video in microseconds, i.e. the end of
+     *     the last frame
+     * :returns: the video as `Blob`
+     */
+    finish(duration) {
+        const header = element(EBML, [
+            ...uintElement(EBML_VERSION, 1),
+            ...uintElement(EBML_READ_VERSION, 1),
+            ...uintElement(EBML_MAX_ID_LENGTH, 4),
+            ...uintElement(EBML_MAX_SIZE_LENGTH, 8),
+            ...stringElement(DOC_TYPE, "webm"),
+            ...uintElement(DOC_TYPE_VERSION, 2),
+            ...uintElement(DOC_TYPE_READ_VERSION, 2)
+        ]);
+
+        const info = element(INFO, [
+            ...uintElement(TIMECODE_SCALE, NANOSECONDS_PER_TICK),
+            ...stringElement(MUXING_APP, APPLICATION),
+            ...stringElement(WRITING_APP, APPLICATION),
+            ...floatElement(DURATION, duration / 1000)
+        ]);
+
+        const tracks = element(TRACKS, element(TRACK_ENTRY, [
+            ...uintElement(TRACK_NUMBER, 1),
+            ...uintElement(TRACK_UID, 1),
+            ...uintElement(TRACK_TYPE, 1),
+            ...uintElement(FLAG_LACING, 0),
+            ...stringElement(CODEC_ID, this.codec),
+            ...element(VIDEO, [
+                ...uintElement(PIXEL_WIDTH, this.width),
+                ...uintElement(PIXEL_HEIGHT, this.height)
+            ])
+        ]));
+
+        const clusters = this.clusters.map((cluster) => element(CLUSTER, [
+            ...uintElement(TIMECODE, cluster.time),
+            ...cluster.blocks.flat()
+        ]));
+
+        const segment = element(SEGMENT, [...info, ...tracks, ...clusters.flat()]);
+
+        return new Blob([...header, ...segment], {type: "video/webm"});
+    }
+}
@@ -1,11 +1,35 @@
 import {Player} from "pointcloud";
+import {ViewStateLink, parseViewState} from "./viewstate.js";
+import {KeyboardShortcuts} from "./keyboard.js";
+import {acceptDroppedFiles, openLocalFiles} from "./localfiles.js";
 
 function updateStatus(text) {
     
 }
 
 
-function pointCloudPath(defaultPath) {
+/**
+ * Show why dropped files could not be opened.
+ * 
+ * The page does not show the status of the player, so the error gets an
+ * element of its own, see `index.html`.
+ */
+function showError(error) {
+    document.getElementById("error").textContent = "Could not open the files: " + error.message;
+}
+
+
+/**
+ * Path of the point cloud from the URL.
+ * 
+ * The path is taken from the state in the fragment of the URL or from the
+ * `pointcloud` query parameter.
+ */
+function pointCloudPath(defaultPath, state) {
+    if(undefined !== state.pointcloud) {
+        return state.pointcloud;
+    }
+    
     const urlParams = new URLSearchParams(window.location.search);
     const pointCloud = urlParams.get("pointcloud");
 
@@ -21,17 +45,66 @@ function pointCloudPath(defaultPath) {
  * Load when the document is ready!
  */
 let player = undefined;
+let path = undefined;
+let link = undefined;
+let keyboard = undefined;
+let local_catalog = undefined;
+
+
+/**
+ * Show dropped files: a single point cloud or the first scene.
+ */
+function openDroppedFiles(files) {
+    openLocalFiles(files).then((opened) => {
+        document.getElementById("error").textContent = "";
+        
+        // the dropped files can't be linked to
+        path = undefined;
+        link.update();
+        
+        // the previous files are not needed anymore
+        if(undefined !== local_catalog) {
+            local_catalog.dispose();
+        }
+        
+        local_catalog = opened.catalog;
+        
+        if(undefined !== opened.single) {
+            player.loadSinglePointCloud(opened.single.url, opened.single.format);
+            return;
+        }
+        
+        const scene = Object.values(opened.scenes)[0];
+        const type = Object.keys(scene["frames"][0]["clouds"])[0];
+        
+        player.loadPointClouds(scene, type);
+        player.play();
+    }).catch(showError);
+}
+
 function startPointCloudVisualization(ev) {
     var render_window = document.getElementById("render_window");
 
-    player = new Player(
-            render_window,
-            updateStatus,
-            undefined,
-            true,
-            false);
+    player = new Player(render_window, {status: updateStatus});
+    keyboard = new KeyboardShortcuts(player);
+    
+    const state = parseViewState(window.location.hash);
+    path = pointCloudPath("pointclouds/kreuzberg_ball_2/images/161.pcd", state);
+    
+    player.loadSinglePointCloud(path);
+    player.restoreViewState(state);
+    
+    // the URL always links to the current view
+    link = new ViewStateLink(player, () => (undefined === path ? {} : {pointcloud: path}), (state) => {
+        if(undefined !== state.pointcloud && state.pointcloud != path) {
+            path = state.pointcloud;
+            player.loadSinglePointCloud(path);
+        }
+        
+        player.restoreViewState(state);
+    });
     
-    player.loadSinglePointCloud(pointCloudPath("pointclouds/kreuzberg_ball_2/images/161.pcd"))
+    acceptDroppedFiles(render_window, openDroppedFiles, showError);
 }
 
 
@@ -0,0 +1,127 @@
+/**
+ * Minimal writer for zip archives.
+ *
+ * The files are stored without compression, which is all that is needed for
+ * already compressed content like PNG images.
+ */
+
+var crc_table = undefined;
+
+
+/**
+ * CRC-32 checksum of a byte array as used by zip archives.
+ */
+function crc32(bytes) {
+    if(undefined === crc_table) {
+        crc_table = new Uint32Array(256);
+
+        for(var value = 0; value < 256; ++value) {
+            var crc = value;
+            for(var bit = 0; bit < 8; ++bit) {
+                crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+            }
+
+            crc_table[value] = crc >>> 0;
+        }
+    }
+
+    var crc = 0xffffffff;
+    for(var index = 0; index < bytes.length; ++index) {
+        crc = crc_table[(crc ^ bytes[index]) & 0xff] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+
+/**
+ * Date and time of a file in the MS-DOS layout of zip archives.
+ */
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+
+/**
+ * Collects files and writes them into a zip archive.
+ *
+ * Archives larger than 4 GiB are not supported.
+ */
+export class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.directory = [];
+        this.offset = 0;
+        this.modified = dosDateTime(new Date());
+    }
+
+
+    /**
+     * Add a file to the archive.
+     *
+     * :param name: path of the file within the archive
+     * :param data: content as `Uint8Array`, `ArrayBuffer` or string
+     */
+    add(name, data) {
+        const bytes = "string" === typeof data
+            ? new TextEncoder().encode(data)
+            : new Uint8Array(data);
+        const file_name = new TextEncoder().encode(name);
+        const crc = crc32(bytes);
+
+        var header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);
+        // the names are UTF-8
+        header.setUint16(6, 0x0800, true);
+        header.setUint16(8, 0, true);
+        header.setUint16(10, this.modified.time, true);
+        header.setUint16(12, this.modified.date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, bytes.length, true);
+        header.setUint32(22, bytes.length, true);
+        header.setUint16(26, file_name.length, true);
+        header.setUint16(28, 0, true);
+
+        var entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, this.modified.time, true);
+        entry.setUint16(14, this.modified.date, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, bytes.length, true);
+        entry.setUint32(24, bytes.length, true);
+        entry.setUint16(28, file_name.length, true);
+        entry.setUint32(42, this.offset, true);
+
+        this.parts.push(header, file_name, bytes);
+        this.directory.push(entry, file_name);
+        this.offset += header.byteLength + file_name.length + bytes.length;
+    }
+
+
+    /**
+     * Finish the archive.
+     *
+     * :returns: the archive as `Blob`
+     */
+    finish() {
+        const size = this.directory.reduce((sum, part) => sum + part.byteLength, 0);
+        const count = this.directory.length / 2;
+
+        var end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, count, true);
+        end.setUint16(10, count, true);
+        end.setUint32(12, size, true);
+        end.setUint32(16, this.offset, true);
+
+        return new Blob([...this.parts, ...this.directory, end], {type: "application/zip"});
+    }
+}
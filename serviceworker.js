@@ -0,0 +1,152 @@
+/**
+ * Service worker keeping the player available without a network.
+ *
+ * The pages, the modules of the player including the decoder worker and the
+ * modules loaded from CDNs are stored when the worker is installed. Requests
+ * for them go to the network first, so updates are picked up, and fall back
+ * to the stored copy offline. Modules found later on, e.g. the imports of
+ * three.js or laz-perf, are stored the same way when they are fetched.
+ *
+ * Only the files of the player are handled. The point clouds are kept by the
+ * player itself, see `FrameStore`, and the scene configurations by the
+ * `SceneCatalog`; other files of the site are left alone as well.
+ *
+ * The worker lives next to the pages, as it only controls the pages below
+ * its own directory.
+ */
+
+const CACHE_PREFIX = "pointcloud-app-";
+const CACHE_NAME = CACHE_PREFIX + "1";
+
+/**
+ * Directory of the modules of the player.
+ */
+const MODULE_DIRECTORY = "data/";
+
+/**
+ * Origins of the modules loaded from CDNs.
+ */
+const CDN_ORIGINS = [
+    "https://threejs.org",
+    "https://unpkg.com",
+    "https://esm.sh"
+];
+
+const FILES = [
+    "player.html",
+    "index.html",
+    "data/style.css",
+    "data/accumulation.js",
+    "data/annotationeditor.js",
+    "data/annotations.js",
+    "data/cameraimages.js",
+    "data/camerapath.js",
+    "data/clock.js",
+    "data/cloud.js",
+    "data/code.js",
+    "data/coloring.js",
+    "data/colormaps.js",
+    "data/comparison.js",
+    "data/decoder.js",
+    "data/decodeworker.js",
+    "data/exporter.js",
+    "data/formats.js",
+    "data/framecache.js",
+    "data/framestore.js",
+    "data/ground.js",
+    "data/helpers.js",
+    "data/keyboard.js",
+    "data/labels.js",
+    "data/las.js",
+    "data/layers.js",
+    "data/loaderrors.js",
+    "data/localfiles.js",
+    "data/measurement.js",
+    "data/octree.js",
+    "data/octreelayout.js",
+    "data/pcd.js",
+    "data/ply.js",
+    "data/pointcloud.js",
+    "data/scenes.js",
+    "data/timeline.js",
+    "data/transforms.js",
+    "data/viewstate.js",
+    "data/webm.js",
+    "data/website.js",
+    "data/zip.js",
+    "https://unpkg.com/es-module-shims@1.3.6/dist/es-module-shims.js",
+    "https://threejs.org/build/three.module.js",
+    "https://threejs.org/examples/jsm/controls/OrbitControls.js",
+    "https://threejs.org/examples/jsm/controls/TransformControls.js",
+    "https://unpkg.com/js-yaml@4.1.0/dist/js-yaml.mjs"
+];
+
+
+/**
+ * Whether a request is for a file of the player.
+ */
+function isPlayerFile(url) {
+    if(url.origin == self.location.origin) {
+        const scope = new URL(self.registration.scope);
+        if(!url.pathname.startsWith(scope.pathname)) {
+            return false;
+        }
+
+        const path = url.pathname.slice(scope.pathname.length);
+        return FILES.includes(path) || path.startsWith(MODULE_DIRECTORY);
+    }
+
+    return CDN_ORIGINS.includes(url.origin);
+}
+
+
+/**
+ * Fetch a file and store it; fall back to the stored copy without a network.
+ */
+function fetchAndStore(request) {
+    return fetch(request).then(
+        (response) => {
+            if(response.ok) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME)
+                    .then((cache) => cache.put(request, copy))
+                    .catch((error) => console.warn("Could not store " + request.url + ".", error));
+            }
+
+            return response;
+        },
+        (error) => caches.match(request).then((cached) => {
+            if(undefined === cached) {
+                throw error;
+            }
+
+            return cached;
+        }));
+}
+
+
+self.addEventListener("install", (event) => {
+    // files which can't be fetched now are stored once they are used
+    event.waitUntil(caches.open(CACHE_NAME).then((cache) => Promise.allSettled(
+        FILES.map((file) => cache.add(file)))));
+    self.skipWaiting();
+});
+
+
+self.addEventListener("activate", (event) => {
+    // only the files of older versions of the player are removed
+    event.waitUntil(caches.keys()
+        .then((names) => Promise.all(names
+            .filter((name) => name.startsWith(CACHE_PREFIX) && name != CACHE_NAME)
+            .map((name) => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+
+self.addEventListener("fetch", (event) => {
+    const url = new URL(event.request.url);
+
+    if("GET" == event.request.method && isPlayerFile(url)) {
+        event.respondWith(fetchAndStore(event.request));
+    }
+});